@@ -0,0 +1,205 @@
+// lib/admin.js
+// Authenticated admin API, mounted at /admin.
+// Auth: "Authorization: Bearer $ADMIN_TOKEN" only (a query-string token would end up in access
+// logs and proxy logs). Disabled when ADMIN_TOKEN is unset.
+// The admin page (public/admin.html) is a thin client of these routes.
+const crypto = require("crypto");
+const express = require("express");
+const { ADMIN_TOKEN } = require("./config");
+const {
+  planSeed, startSeedJob, listSeedJobs, getSeedJob, cancelSeedJob, loadRegions,
+} = require("./seed");
+const { startExportJob, getExportJob, listExportJobs } = require("./mbtiles");
+const { cacheStats, purgeTiles } = require("./cache");
+const { runCleanupOnce, cleanupStatus } = require("./cleaner");
+const { renderActivity } = require("./render");
+const { breakerStats, limiterStats } = require("./upstream");
+const { runSearchIndex, searchIndexStatus } = require("./search");
+
+const isActive = (job) => job.status === "queued" || job.status === "running";
+
+function tokenMatches(given) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(ADMIN_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(403).json({ error: "admin API disabled (set ADMIN_TOKEN)" });
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  if (m && tokenMatches(m[1])) return next();
+  res.setHeader("WWW-Authenticate", "Bearer");
+  res.status(401).json({ error: "unauthorized" });
+}
+
+/** Seed spec from JSON body and/or query string (body wins). */
+function seedSpec(req) {
+  const q = req.query, b = req.body || {};
+  return {
+    region: b.region ?? q.region,
+    bbox: b.bbox ?? q.bbox,
+    zoom: b.zoom ?? q.zoom,
+    style: b.style ?? q.style,
+    size: b.size ?? q.size,
+    ratio: b.ratio ?? q.ratio,
+    vectorOnly: b.vectorOnly ?? q.vectorOnly,
+  };
+}
+
+/** Purge spec: what to delete (lib/cache). */
+function purgeSpec(req) {
+  const q = req.query, b = req.body || {};
+  const pick = (k) => b[k] ?? q[k];
+  return {
+    tree: pick("tree"), style: pick("style"), provider: pick("provider"),
+    tile: pick("tile"), zoom: pick("zoom"), bbox: pick("bbox"), region: pick("region"),
+    all: pick("all"), dryRun: pick("dryRun"),
+  };
+}
+
+/** Export spec: seed fields + kind/source/fill. */
+function exportSpec(req) {
+  const q = req.query, b = req.body || {};
+  return {
+    ...seedSpec(req),
+    kind: b.kind ?? q.kind,
+    source: b.source ?? q.source,
+    fill: b.fill ?? q.fill,
+  };
+}
+
+function sendError(res, L, tag, e) {
+  if (e.code === "BAD_SEED_SPEC" || e.code === "BAD_PURGE_SPEC") return res.status(400).json({ error: e.message });
+  L?.err?.(tag, e.stack || e.message);
+  res.status(500).json({ error: e.message });
+}
+
+function createAdminRouter({ L } = {}) {
+  const r = express.Router();
+  r.use(requireAdmin);
+  r.use(express.json({ limit: "1mb" }));
+
+  r.get("/regions", (_req, res) => res.json(loadRegions()));
+
+  // ── Status: running renders, active jobs, cleanup, upstream ──────────────────
+  r.get("/status", (_req, res) => {
+    res.json({
+      renders: renderActivity(),
+      seeds: listSeedJobs().filter(isActive),
+      exports: listExportJobs().filter(isActive),
+      cleanup: cleanupStatus(),
+      upstream: { limiter: limiterStats(), breakers: breakerStats() },
+      search: searchIndexStatus(),
+    });
+  });
+
+  // ── Cache ────────────────────────────────────────────────────────────────────
+  // GET /admin/cache → [{ tree, name, files, bytes, zooms: { z: { files, bytes } } }] (walks the trees)
+  r.get("/cache", async (_req, res) => {
+    try {
+      res.json(await cacheStats());
+    } catch (e) {
+      sendError(res, L, "CACHE", e);
+    }
+  });
+
+  // POST /admin/purge { tile: "z/x/y" | zoom? + (bbox | region)?, tree?: raster|vector|all, style?, provider?, all?, dryRun? }
+  r.post("/purge", async (req, res) => {
+    try {
+      res.json(await purgeTiles(purgeSpec(req), { L }));
+    } catch (e) {
+      sendError(res, L, "PURGE", e);
+    }
+  });
+
+  // POST /admin/rerender { region | bbox, zoom?, style?, size?, ratio? }
+  // A seed job that renders over cached tiles (they keep being served until replaced).
+  r.post("/rerender", (req, res) => {
+    try {
+      const { job } = startSeedJob({ ...seedSpec(req), vectorOnly: false, force: true }, { origin: "http", L });
+      res.status(202).location(`/admin/seed/${job.id}`).json(job);
+    } catch (e) {
+      sendError(res, L, "SEED", e);
+    }
+  });
+
+  // POST /admin/cleanup → TTL/quota cleanup now; answers when it's done
+  r.post("/cleanup", async (_req, res) => {
+    if (cleanupStatus().running) return res.status(409).json({ error: "cleanup already running" });
+    const results = await runCleanupOnce("admin");
+    if (!results) return res.status(500).json({ error: "cleanup failed (see logs)" });
+    res.json(cleanupStatus().lastRun);
+  });
+
+  // POST /admin/search/reindex { rebuild? } → scan the vector cache into the search index now
+  // (rebuild empties it first, e.g. after changing SEARCH_NAME_FIELDS); answers when it's done
+  r.post("/search/reindex", async (req, res) => {
+    const rebuild = req.body?.rebuild ?? req.query.rebuild;
+    const flag = rebuild === true || rebuild === "1" || rebuild === "true";
+    if (flag && searchIndexStatus().running) return res.status(409).json({ error: "search indexing already running" });
+    try {
+      res.json(await runSearchIndex("admin", { rebuild: flag, L }));
+    } catch (e) {
+      sendError(res, L, "SEARCH", e);
+    }
+  });
+
+  // ── Seeding ──────────────────────────────────────────────────────────────────
+  // POST /admin/seed { region | bbox, zoom?, style?, size?, ratio?, vectorOnly?, dryRun? }
+  r.post("/seed", (req, res) => {
+    const dry = req.body?.dryRun ?? req.query.dryRun;
+    try {
+      if (dry === true || dry === "1" || dry === "true") {
+        return res.json({ dryRun: true, ...planSeed(seedSpec(req)) });
+      }
+      const { job } = startSeedJob(seedSpec(req), { origin: "http", L });
+      res.status(202).location(`/admin/seed/${job.id}`).json(job);
+    } catch (e) {
+      sendError(res, L, "SEED", e);
+    }
+  });
+
+  r.get("/seed", (_req, res) => res.json(listSeedJobs()));
+
+  r.get("/seed/:id", (req, res) => {
+    const job = getSeedJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "unknown job" });
+    res.json(job);
+  });
+
+  r.delete("/seed/:id", (req, res) => {
+    if (!cancelSeedJob(req.params.id)) return res.status(404).json({ error: "no such active job" });
+    res.json(getSeedJob(req.params.id));
+  });
+
+  // ── MBTiles export ───────────────────────────────────────────────────────────
+  // POST /admin/export { region | bbox, zoom?, kind?: raster|vector, style?, size?, ratio?, source?, fill? }
+  // Runs in the background (large exports outlive a request); poll, then download.
+  r.post("/export", (req, res) => {
+    try {
+      const job = startExportJob(exportSpec(req), { L });
+      res.status(202).location(`/admin/export/${job.id}`).json(job);
+    } catch (e) {
+      sendError(res, L, "EXPORT", e);
+    }
+  });
+
+  r.get("/export", (_req, res) => res.json(listExportJobs()));
+
+  r.get("/export/:id", (req, res) => {
+    const job = getExportJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "unknown export" });
+    res.json(job);
+  });
+
+  r.get("/export/:id/download", (req, res) => {
+    const job = getExportJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "unknown export" });
+    if (job.status !== "done") return res.status(409).json({ error: `export is ${job.status}` });
+    res.download(job.path, job.file);
+  });
+
+  return r;
+}
+
+module.exports = { createAdminRouter, requireAdmin };
@@ -0,0 +1,181 @@
+// lib/archives.js
+// Read-only vector tile archives, one per provider, in ARCHIVE_DIR (default $DATA_DIR):
+//   <provider>.pmtiles   (PMTiles v3, read with byte-range reads; nothing is loaded whole)
+//   <provider>.mbtiles   (MBTiles, format=pbf)
+//
+// Archives are consulted before the loose-file cache and the upstream. Inside the
+// archive's zoom range and bounds a missing tile is empty (no upstream call), so a
+// prebuilt archive for the whole state runs fully offline. Outside it, lookups fall
+// through to the normal cache/upstream path.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const Database = require("better-sqlite3");
+const { PMTiles, Compression, TileType } = require("pmtiles");
+const { ARCHIVE_DIR } = require("./config");
+const { tileInBounds } = require("./tiles");
+const { listProviders, getProvider } = require("./providers");
+
+const ARCHIVE_RE = /^([A-Za-z_-][A-Za-z0-9_-]*)\.(pmtiles|mbtiles)$/;
+
+// provider name → archive (see openArchive)
+const archives = new Map();
+
+function gunzipIfNeeded(buf) {
+  return buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b ? zlib.gunzipSync(buf) : buf;
+}
+
+// ── PMTiles ────────────────────────────────────────────────────────────────────
+// pmtiles Source over a local file: every getBytes() is one positional read
+function fileSource(file) {
+  let fh = null;
+  return {
+    getKey: () => file,
+    async getBytes(offset, length) {
+      fh = fh || fs.promises.open(file, "r");
+      const buf = Buffer.alloc(length);
+      const { bytesRead } = await (await fh).read(buf, 0, length, offset);
+      return { data: buf.buffer.slice(buf.byteOffset, buf.byteOffset + bytesRead) };
+    },
+    close() {
+      if (fh) fh.then(h => h.close(), () => {});
+      fh = null;
+    },
+  };
+}
+
+async function decompress(data, compression) {
+  const buf = Buffer.from(data);
+  if (compression === Compression.None || compression === Compression.Unknown) return buf;
+  if (compression === Compression.Gzip) return zlib.gunzipSync(buf);
+  if (compression === Compression.Brotli) return zlib.brotliDecompressSync(buf);
+  throw new Error(`unsupported compression ${compression}`);
+}
+
+function openPmtiles(file) {
+  const source = fileSource(file);
+  const pm = new PMTiles(source, undefined, decompress);
+  let header = null;
+
+  const ready = pm.getHeader().then((h) => {
+    if (h.tileType !== TileType.Mvt) throw new Error(`not a vector archive (tile type ${h.tileType})`);
+    header = h;
+  });
+
+  return {
+    file,
+    ready,
+    describe: () => header ? `z${header.minZoom}-${header.maxZoom}` : "",
+
+    async getTile(z, x, y) {
+      await ready;
+      if (z < header.minZoom || z > header.maxZoom) return null;
+      if (!tileInBounds([header.minLon, header.minLat, header.maxLon, header.maxLat], z, x, y)) return null;
+      const r = await pm.getZxy(z, x, y);
+      return r && r.data.length ? { status: "ok", data: gunzipIfNeeded(Buffer.from(r.data)) } : { status: "empty" };
+    },
+
+    close: () => source.close(),
+  };
+}
+
+// ── MBTiles ────────────────────────────────────────────────────────────────────
+function openMbtilesArchive(file) {
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  const meta = Object.fromEntries(db.prepare("SELECT name, value FROM metadata").all().map(r => [r.name, r.value]));
+  if (meta.format && meta.format !== "pbf") {
+    db.close();
+    throw new Error(`not a vector archive (format ${meta.format})`);
+  }
+
+  const zr = db.prepare("SELECT MIN(zoom_level) AS minzoom, MAX(zoom_level) AS maxzoom FROM tiles").get();
+  const minzoom = meta.minzoom != null ? Number(meta.minzoom) : zr.minzoom;
+  const maxzoom = meta.maxzoom != null ? Number(meta.maxzoom) : zr.maxzoom;
+  const bounds = meta.bounds ? meta.bounds.split(",").map(Number) : null;
+  const get = db.prepare("SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?").pluck();
+
+  return {
+    file,
+    ready: Promise.resolve(),
+    describe: () => `z${minzoom}-${maxzoom}`,
+
+    async getTile(z, x, y) {
+      if (z < minzoom || z > maxzoom) return null;
+      if (bounds && bounds.length === 4 && !tileInBounds(bounds, z, x, y)) return null;
+      const data = get.get(z, x, Math.pow(2, z) - 1 - y); // TMS rows
+      return data && data.length ? { status: "ok", data: gunzipIfNeeded(data) } : { status: "empty" };
+    },
+
+    close: () => db.close(),
+  };
+}
+
+/**
+ * Open one archive file (.pmtiles or .mbtiles).
+ * getTile(z, x, y) resolves to { status: "ok", data } (uncompressed PBF),
+ * { status: "empty" } inside the archive's coverage, or null outside it.
+ */
+function openArchive(file) {
+  return file.endsWith(".pmtiles") ? openPmtiles(file) : openMbtilesArchive(file);
+}
+
+/** Scan ARCHIVE_DIR and (re)open archives; names without a matching provider are ignored. */
+function loadArchives(L) {
+  for (const a of archives.values()) a.close();
+  archives.clear();
+
+  let files = [];
+  try { files = fs.readdirSync(ARCHIVE_DIR).sort(); } catch {}
+  const known = new Set(listProviders().map(p => p.name));
+
+  for (const f of files) {
+    const m = ARCHIVE_RE.exec(f);
+    if (!m) continue;
+    const [, name] = m;
+    if (!known.has(name)) {
+      L?.warn?.("ARCHIVE", `${f}: no provider "${name}"; ignored`);
+      continue;
+    }
+    if (archives.has(name)) {
+      L?.warn?.("ARCHIVE", `${f}: provider "${name}" already has ${path.basename(archives.get(name).file)}; ignored`);
+      continue;
+    }
+    const file = path.join(ARCHIVE_DIR, f);
+    try {
+      const a = openArchive(file);
+      archives.set(name, a);
+      a.ready.then(
+        () => L?.log?.("INIT", `Archive ${name}: ${file} (${a.describe()})`),
+        (e) => {
+          L?.err?.("ARCHIVE", `${f}: ${e.message}; ignored`);
+          if (archives.get(name) === a) archives.delete(name);
+          a.close();
+        },
+      );
+    } catch (e) {
+      L?.err?.("ARCHIVE", `${f}: ${e.message}; ignored`);
+    }
+  }
+  return archives;
+}
+
+/** Archive for a provider name, or null. */
+function archiveFor(name) {
+  return archives.get(name) || null;
+}
+
+/** { name: archiveFile } for the render worker's request handler ("" → default provider). */
+function providerArchivePaths() {
+  const out = {};
+  for (const [name, a] of archives) out[name] = a.file;
+  const def = getProvider().name;
+  if (out[def]) out[""] = out[def];
+  return out;
+}
+
+module.exports = {
+  openArchive,
+  loadArchives,
+  archiveFor,
+  providerArchivePaths,
+};
@@ -0,0 +1,144 @@
+// lib/bounds.js
+// Service area (SERVICE_BOUNDS): tiles that don't touch it are blank/empty for every
+// route, seeding, static maps and prints — no upstream fetch, no render, nothing cached.
+// - "w,s,e,n"                      → that box
+// - a feature name                 → polygon from REGIONS_GEOJSON_PATH (case-insensitive)
+// - a path to a .geojson/.json file → every (Multi)Polygon in it
+// Outer rings only (holes are ignored; a tile inside a hole is still served). Unset = everywhere.
+const fs = require("fs");
+const path = require("path");
+const { SERVICE_BOUNDS, REGIONS_GEOJSON_PATH, ROOT } = require("./config");
+const { tileBounds, parseBbox } = require("./tiles");
+
+let loaded = null; // { label, polygons: [{ bbox, ring }] } | { label: null, polygons: null }
+
+function boundsError(msg) {
+  const e = new Error(`SERVICE_BOUNDS: ${msg}`); e.code = "BAD_SERVICE_BOUNDS"; return e;
+}
+
+function readGeojson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw boundsError(`${file}: ${e.message}`);
+  }
+}
+
+// Outer rings of every (Multi)Polygon in a GeoJSON object
+function outerRings(gj) {
+  if (!gj || typeof gj !== "object") return [];
+  switch (gj.type) {
+    case "FeatureCollection": return (gj.features || []).flatMap(outerRings);
+    case "Feature": return outerRings(gj.geometry);
+    case "GeometryCollection": return (gj.geometries || []).flatMap(outerRings);
+    case "Polygon": return gj.coordinates?.length ? [gj.coordinates[0]] : [];
+    case "MultiPolygon": return (gj.coordinates || []).filter(p => p?.length).map(p => p[0]);
+    default: return [];
+  }
+}
+
+function ringBbox(ring) {
+  const xs = ring.map(p => p[0]), ys = ring.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+function resolveRings(spec) {
+  const box = parseBbox(spec);
+  if (box) {
+    const [w, s, e, n] = box;
+    return { label: `bbox ${box.join(",")}`, rings: [[[w, s], [e, s], [e, n], [w, n], [w, s]]] };
+  }
+  if (/\.(geo)?json$/i.test(spec)) {
+    const file = path.isAbsolute(spec) ? spec : path.resolve(ROOT, spec);
+    return { label: file, rings: outerRings(readGeojson(file)) };
+  }
+  const features = readGeojson(REGIONS_GEOJSON_PATH).features || [];
+  const want = spec.toLowerCase();
+  const f = features.find(f => String(f.properties?.name ?? "").toLowerCase() === want);
+  if (!f) {
+    const names = features.map(f => f.properties?.name).filter(Boolean);
+    throw boundsError(`no region "${spec}" in ${REGIONS_GEOJSON_PATH} (have: ${names.join(", ")})`);
+  }
+  return { label: `region "${f.properties.name}"`, rings: outerRings(f) };
+}
+
+/** Load SERVICE_BOUNDS (call at boot; throws err.code "BAD_SERVICE_BOUNDS" on a bad value). */
+function loadServiceBounds(L) {
+  if (!SERVICE_BOUNDS) {
+    loaded = { label: null, polygons: null };
+    return loaded;
+  }
+  const { label, rings } = resolveRings(SERVICE_BOUNDS);
+  const polygons = rings
+    .filter(r => Array.isArray(r) && r.length >= 4 && r.every(p => Number.isFinite(p?.[0]) && Number.isFinite(p?.[1])))
+    .map(ring => ({ ring, bbox: ringBbox(ring) }));
+  if (!polygons.length) throw boundsError(`${label} has no polygon`);
+  loaded = { label, polygons };
+  L?.log?.("INIT", `SERVICE_BOUNDS = ${label} (${polygons.length} polygon${polygons.length > 1 ? "s" : ""})`);
+  return loaded;
+}
+
+function ensureLoaded() {
+  return loaded || loadServiceBounds();
+}
+
+// ── Geometry ───────────────────────────────────────────────────────────────────
+// Even-odd ray cast
+function pointInRing([px, py], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Liang–Barsky: does segment a→b pass through rect [w, s, e, n]?
+function segmentHitsRect([x1, y1], [x2, y2], [w, s, e, n]) {
+  const dx = x2 - x1, dy = y2 - y1;
+  let t0 = 0, t1 = 1;
+  for (const [p, q] of [[-dx, x1 - w], [dx, e - x1], [-dy, y1 - s], [dy, n - y1]]) {
+    if (p === 0) {
+      if (q < 0) return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) { if (t > t1) return false; if (t > t0) t0 = t; }
+    else { if (t < t0) return false; if (t < t1) t1 = t; }
+  }
+  return true;
+}
+
+function ringTouchesRect(ring, rect) {
+  for (let i = 1; i < ring.length; i++) {
+    if (segmentHitsRect(ring[i - 1], ring[i], rect)) return true;
+  }
+  // no edge crosses the rect: it's either wholly inside the ring or wholly outside
+  return pointInRing([(rect[0] + rect[2]) / 2, (rect[1] + rect[3]) / 2], ring);
+}
+
+/** [w, s, e, n] touches the service area? (always true when SERVICE_BOUNDS is unset) */
+function bboxInServiceArea(rect) {
+  const { polygons } = ensureLoaded();
+  if (!polygons) return true;
+  const [w, s, e, n] = rect;
+  return polygons.some(({ bbox, ring }) =>
+    w <= bbox[2] && e >= bbox[0] && s <= bbox[3] && n >= bbox[1] && ringTouchesRect(ring, rect));
+}
+
+/** Tile z/x/y touches the service area? */
+function tileInServiceArea(z, x, y) {
+  return bboxInServiceArea(tileBounds(z, x, y));
+}
+
+/** { label, bbox } of the service area, or null when unrestricted. */
+function serviceBounds() {
+  const { label, polygons } = ensureLoaded();
+  if (!polygons) return null;
+  const bbox = polygons.reduce((b, p) => [
+    Math.min(b[0], p.bbox[0]), Math.min(b[1], p.bbox[1]), Math.max(b[2], p.bbox[2]), Math.max(b[3], p.bbox[3]),
+  ], [Infinity, Infinity, -Infinity, -Infinity]);
+  return { label, bbox };
+}
+
+module.exports = { loadServiceBounds, tileInServiceArea, bboxInServiceArea, serviceBounds };
@@ -0,0 +1,192 @@
+// lib/cache.js
+// Cache inspection and targeted purging (admin API):
+// - stats: files/bytes per zoom for every live raster variant (style + size) and every
+//   provider's vector tree
+// - purge: by zoom range, bbox or region, or one tile; raster, vector or both
+// Cache layout: <root>/<z>/<x>/<y>.png|webp|jpg|pbf (the default provider's root also holds the
+// named providers' trees, which have non-numeric names and are skipped).
+// Walks are async and yield to the event loop; archives are read-only and never purged.
+const fs = require("fs");
+const path = require("path");
+const { bboxTileRange, isValidTile, parseZoomRange, parseBbox } = require("./tiles");
+const { listProviders, getProvider } = require("./providers");
+const { listStyles, getStyle, styleRasterRoot } = require("./styles");
+const { findRegion } = require("./seed");
+
+const WALK_YIELD_EVERY = 500;
+const TILE_FILE_RE = /^(\d+)\.(?:png|webp|jpg|pbf)$/;
+const TILE_RE = /^(\d{1,2})\/(\d+)\/(\d+)$/;
+const TREES = ["raster", "vector", "all"];
+
+let statsRunning = null; // shared by concurrent callers
+
+function badSpec(msg) {
+  const e = new Error(msg); e.code = "BAD_PURGE_SPEC"; return e;
+}
+
+let walked = 0;
+async function tick() {
+  if (++walked % WALK_YIELD_EVERY === 0) await new Promise(r => setImmediate(r));
+}
+
+async function numericDirs(dir) {
+  let entries;
+  try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); } catch { return []; }
+  return entries.filter(e => e.isDirectory() && /^\d+$/.test(e.name)).map(e => Number(e.name)).sort((a, b) => a - b);
+}
+
+/**
+ * Visit tile files under a tree root: fn(file, z, x, y).
+ * `sel` { minzoom, maxzoom, tile?, bbox?, prune? } narrows zooms / tile ranges.
+ */
+async function eachTile(root, sel, fn) {
+  for (const z of await numericDirs(root)) {
+    if (z < sel.minzoom || z > sel.maxzoom) continue;
+    const range = sel.tile ? { x1: sel.tile.x, x2: sel.tile.x, y1: sel.tile.y, y2: sel.tile.y }
+      : sel.bbox ? bboxTileRange(sel.bbox, z) : null;
+    const zdir = path.join(root, String(z));
+    for (const x of await numericDirs(zdir)) {
+      if (range && (x < range.x1 || x > range.x2)) continue;
+      const xdir = path.join(zdir, String(x));
+      let files;
+      try { files = await fs.promises.readdir(xdir); } catch { continue; }
+      for (const f of files) {
+        await tick();
+        const m = TILE_FILE_RE.exec(f);
+        if (!m) continue;
+        const y = Number(m[1]);
+        if (range && (y < range.y1 || y > range.y2)) continue;
+        await fn(path.join(xdir, f), z, x, y);
+      }
+      if (sel.prune) {
+        try { if ((await fs.promises.readdir(xdir)).length === 0) await fs.promises.rmdir(xdir); } catch {}
+      }
+    }
+  }
+}
+
+// Tree roots to look at: [{ tree, name, root }]
+async function cacheRoots({ tree = "all", style, provider } = {}) {
+  const roots = [];
+  if (tree !== "vector") {
+    const entries = style ? [getStyle(style)] : [...listStyles().values()];
+    for (const entry of entries) {
+      const base = styleRasterRoot(entry);
+      let variants = [];
+      try { variants = await fs.promises.readdir(base); } catch {}
+      for (const v of variants.sort()) roots.push({ tree: "raster", name: `${entry.name}/${v}`, root: path.join(base, v) });
+    }
+  }
+  if (tree !== "raster") {
+    for (const p of provider ? [getProvider(provider)] : listProviders()) {
+      roots.push({ tree: "vector", name: p.name, root: p.cacheDir });
+    }
+  }
+  return roots;
+}
+
+/**
+ * Files and bytes per zoom for each cache tree.
+ * @returns {Promise<Array<{tree, name, files, bytes, zooms: {[z]: {files, bytes}}}>>}
+ */
+function cacheStats() {
+  if (statsRunning) return statsRunning;
+  statsRunning = (async () => {
+    const out = [];
+    for (const r of await cacheRoots()) {
+      const row = { tree: r.tree, name: r.name, files: 0, bytes: 0, zooms: {} };
+      await eachTile(r.root, { minzoom: 0, maxzoom: Infinity }, async (file, z) => {
+        let size;
+        try { size = (await fs.promises.stat(file)).size; } catch { return; }
+        const zs = row.zooms[z] || (row.zooms[z] = { files: 0, bytes: 0 });
+        zs.files++; zs.bytes += size;
+        row.files++; row.bytes += size;
+      });
+      out.push(row);
+    }
+    return out;
+  })().finally(() => { statsRunning = null; });
+  return statsRunning;
+}
+
+/**
+ * Normalise a purge request.
+ * in:  { tree?: raster|vector|all, style?, provider?, tile?: "z/x/y", zoom?, bbox?, region?, all?, dryRun? }
+ * Needs a tile, a zoom, a bbox/region or `all: true`. Throws err.code "BAD_PURGE_SPEC".
+ */
+function normalizePurgeSpec(spec = {}) {
+  const flag = (v) => v === true || v === "1" || v === "true";
+  const tree = spec.tree || "all";
+  if (!TREES.includes(tree)) throw badSpec(`tree must be one of ${TREES.join(", ")}`);
+  if (spec.style && !getStyle(spec.style)) throw badSpec(`unknown style "${spec.style}"`);
+  if (spec.provider && !getProvider(spec.provider)) throw badSpec(`unknown provider "${spec.provider}"`);
+
+  const out = {
+    tree, style: spec.style || null, provider: spec.provider || null,
+    minzoom: 0, maxzoom: Infinity, bbox: null, tile: null, region: null,
+    dryRun: flag(spec.dryRun),
+  };
+
+  if (spec.tile) {
+    const m = TILE_RE.exec(String(spec.tile).trim());
+    if (!m) throw badSpec("tile must be z/x/y");
+    out.tile = { z: Number(m[1]), x: Number(m[2]), y: Number(m[3]) };
+    if (!isValidTile(out.tile.z, out.tile.x, out.tile.y)) throw badSpec(`no tile ${spec.tile}`);
+    out.minzoom = out.maxzoom = out.tile.z;
+    return out;
+  }
+  if (spec.region) {
+    const r = findRegion(spec.region);
+    if (!r) throw badSpec(`unknown region "${spec.region}"`);
+    out.region = r.name;
+    out.bbox = [r.lon_min, r.lat_min, r.lon_max, r.lat_max];
+  }
+  if (spec.bbox) {
+    out.bbox = parseBbox(spec.bbox);
+    if (!out.bbox) throw badSpec("bbox must be west,south,east,north");
+  }
+  if (spec.zoom != null && spec.zoom !== "") {
+    const zr = parseZoomRange(spec.zoom);
+    if (!zr) throw badSpec("zoom must be like 14 or 10:16");
+    Object.assign(out, zr);
+  }
+  if (!out.bbox && !Number.isFinite(out.maxzoom) && !flag(spec.all)) {
+    throw badSpec("give a tile, zoom, bbox or region (or all: true to empty the cache)");
+  }
+  return out;
+}
+
+/**
+ * Delete cached tiles (and their upstream validator sidecars) matching a purge spec.
+ * With `dryRun` only counts them.
+ * @returns {Promise<{dryRun, files, bytes, trees: {[name]: {files, bytes}}}>}
+ */
+async function purgeTiles(spec, { L } = {}) {
+  const sel = normalizePurgeSpec(spec);
+  const out = { dryRun: sel.dryRun, files: 0, bytes: 0, trees: {} };
+
+  for (const r of await cacheRoots(sel)) {
+    const t = { files: 0, bytes: 0 };
+    await eachTile(r.root, { ...sel, prune: !sel.dryRun }, async (file) => {
+      try {
+        const { size } = await fs.promises.stat(file);
+        if (!sel.dryRun) {
+          await fs.promises.unlink(file);
+          fs.promises.unlink(`${file}.meta`).catch(() => {});
+        }
+        t.files++; t.bytes += size;
+      } catch {}
+    });
+    if (t.files) out.trees[`${r.tree}:${r.name}`] = t;
+    out.files += t.files;
+    out.bytes += t.bytes;
+  }
+
+  const what = sel.tile ? `${sel.tile.z}/${sel.tile.x}/${sel.tile.y}`
+    : `${sel.region || (sel.bbox ? sel.bbox.join(",") : "everywhere")}` +
+      `${Number.isFinite(sel.maxzoom) ? ` z${sel.minzoom}-${sel.maxzoom}` : ""}`;
+  if (!sel.dryRun) L?.log?.("PURGE", `${sel.tree} ${what}: ${out.files} files, ${(out.bytes / 1024 ** 2).toFixed(1)} MB`);
+  return out;
+}
+
+module.exports = { cacheStats, purgeTiles, normalizePurgeSpec, eachTile };
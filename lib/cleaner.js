@@ -1,84 +1,228 @@
 // lib/cleaner.js
+// Cache cleanup per tree (raster, vector):
+// - TTL: files whose mtime is older than RASTER_TTL_HOURS/VECTOR_TTL_HOURS
+// - quota: above RASTER_MAX_BYTES/VECTOR_MAX_BYTES, least-recently-served tiles go
+//   first until the tree is back under QUOTA_LOW_WATER of the quota
+// - tiles inside a pinned region ("pinned": true in regions.json) are never deleted
+// The walk is async and yields to the event loop, so tile serving keeps going. Trees
+// with nothing to enforce are still walked, for the cache size metrics.
 const fs   = require("fs");
 const path = require("path");
 const L    = require("./logger");
 const {
   RASTER_TTL_HOURS, VECTOR_TTL_HOURS,
-  RASTER_DIR, VECTOR_DIR,
+  RASTER_MAX_BYTES, VECTOR_MAX_BYTES,
+  DATA_DIR, RASTER_DIR, VECTOR_DIR,
 } = require("./config");
+const { counter, gauge } = require("./metrics");
+const { tileInBounds, parseZoomRange } = require("./tiles");
+const { loadRegions } = require("./seed");
+
+const HOUR_MS = 3600 * 1000;
+const QUOTA_LOW_WATER = 0.9;     // evict down to 90% so every run doesn't hover at the limit
+const WALK_YIELD_EVERY = 500;    // directory entries between event-loop turns
+const SERVED_FLUSH_MS = 60 * 1000;
+const SERVED_MAX = 50000;        // pending access stamps; beyond this they're dropped until the flush
+const TILE_PATH_RE = /(\d+)[\\/](\d+)[\\/](\d+)\.\w+$/;
 
 // serialize runs even if multiple callers schedule
 let cleanupRunning = false;
+let lastRun = null; // { trigger, finishedAt, durationMs, results }
 
-function fileIsOld(full, ttlHours) {
-  try {
-    if (!Number.isFinite(ttlHours)) return false; // Infinity => skip
-    const st = fs.statSync(full);
-    if (!st.isFile()) return false;
-    const ageMs = Date.now() - st.mtimeMs;
-    return ageMs > ttlHours * 3600 * 1000;
-  } catch { return false; }
+// ── Metrics ────────────────────────────────────────────────────────────────────
+const deleted = counter("qtopo_cleanup_deleted_files_total", "Cache files deleted by cleanup", ["tree", "reason"]);
+const freedBytes = counter("qtopo_cleanup_freed_bytes_total", "Bytes freed by cleanup", ["tree"]);
+const lastTotals = {}; // tree → { totalBytes, pinnedFiles, at } from the last walk
+
+gauge("qtopo_cache_bytes", "Cache tree size as of the last cleanup walk", () =>
+  Object.entries(lastTotals).map(([tree, t]) => ({ labels: { tree }, value: t.totalBytes })), ["tree"]);
+gauge("qtopo_cache_pinned_files", "Cached files inside pinned regions as of the last cleanup walk", () =>
+  Object.entries(lastTotals).map(([tree, t]) => ({ labels: { tree }, value: t.pinnedFiles })), ["tree"]);
+gauge("qtopo_cleanup_last_run_timestamp_seconds", "End of the last cleanup walk (unix time)", () =>
+  Object.entries(lastTotals).map(([tree, t]) => ({ labels: { tree }, value: t.at / 1000 })), ["tree"]);
+gauge("qtopo_data_disk_bytes", "Filesystem holding DATA_DIR", () => {
+  const st = fs.statfsSync(DATA_DIR);
+  return [
+    { labels: { kind: "size" }, value: st.blocks * st.bsize },
+    { labels: { kind: "available" }, value: st.bavail * st.bsize },
+  ];
+}, ["kind"]);
+
+// ── Access times ───────────────────────────────────────────────────────────────
+// Serving a tile doesn't change its mtime, and atime is unreliable (noatime/relatime
+// mounts), so served tiles get their atime set explicitly, in batches.
+const served = new Set();
+let flushTimer = null;
+
+async function flushServed() {
+  flushTimer = null;
+  const files = [...served];
+  served.clear();
+  const now = new Date();
+  for (const file of files) {
+    try {
+      const st = await fs.promises.stat(file);
+      if (now - st.atimeMs < HOUR_MS) continue; // fresh enough for hour-granular LRU
+      await fs.promises.utimes(file, now, st.mtime);
+    } catch {}
+  }
 }
 
-function pruneEmptyDirs(root) {
-  try {
-    const entries = fs.readdirSync(root, { withFileTypes: true });
-    for (const e of entries) {
-      const p = path.join(root, e.name);
-      if (e.isDirectory()) {
-        pruneEmptyDirs(p);
-        try {
-          if (fs.readdirSync(p).length === 0) fs.rmdirSync(p);
-        } catch {}
-      }
+/** Record that a cached tile was served (its atime is updated within a minute). */
+function markServed(file) {
+  if (!file || served.size >= SERVED_MAX) return;
+  served.add(file);
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushServed, SERVED_FLUSH_MS);
+    flushTimer.unref?.();
+  }
+}
+
+// ── Pinned regions ─────────────────────────────────────────────────────────────
+function loadPins() {
+  return loadRegions()
+    .filter(r => r.pinned)
+    .map(r => ({
+      bbox: [r.lon_min, r.lat_min, r.lon_max, r.lat_max],
+      zr: parseZoomRange(r.zoom_levels) || { minzoom: 0, maxzoom: 24 },
+    }));
+}
+
+function isPinned(file, pins) {
+  if (!pins.length) return false;
+  const m = TILE_PATH_RE.exec(file);
+  if (!m) return false;
+  const [z, x, y] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  return pins.some(p => z >= p.zr.minzoom && z <= p.zr.maxzoom && tileInBounds(p.bbox, z, x, y));
+}
+
+// ── Walk ───────────────────────────────────────────────────────────────────────
+const walkState = { entries: 0 };
+
+// Files under root as { path, size, mtimeMs, lastUsedMs }; partial writes (*.tmp) and
+// upstream validator sidecars (*.meta, removed with their tile) are skipped
+async function* walkFiles(root) {
+  let dir;
+  try { dir = await fs.promises.opendir(root); } catch { return; }
+  for await (const e of dir) {
+    if (++walkState.entries % WALK_YIELD_EVERY === 0) await new Promise(r => setImmediate(r));
+    const p = path.join(root, e.name);
+    if (e.isDirectory()) {
+      yield* walkFiles(p);
+    } else if (e.isFile() && !e.name.endsWith(".tmp") && !e.name.endsWith(".meta")) {
+      try {
+        const st = await fs.promises.stat(p);
+        yield { path: p, size: st.size, mtimeMs: st.mtimeMs, lastUsedMs: Math.max(st.atimeMs, st.mtimeMs) };
+      } catch {}
+    }
+  }
+}
+
+async function removeFile(p) {
+  try { await fs.promises.unlink(p); } catch { return false; }
+  fs.promises.unlink(`${p}.meta`).catch(() => {});
+  return true;
+}
+
+async function pruneEmptyDirs(root) {
+  let entries;
+  try { entries = await fs.promises.readdir(root, { withFileTypes: true }); } catch { return; }
+  for (const e of entries) {
+    if (!e.isDirectory()) continue;
+    const p = path.join(root, e.name);
+    await pruneEmptyDirs(p);
+    try {
+      if ((await fs.promises.readdir(p)).length === 0) await fs.promises.rmdir(p);
+    } catch {}
+  }
+}
+
+/**
+ * Clean one cache tree: TTL pass, then LRU eviction when over quota.
+ * Pass 1 buckets evictable bytes by hour of last use (memory stays flat on huge
+ * trees); pass 2 deletes the oldest hours until enough bytes are freed.
+ */
+async function cleanTree(root, { ttlHours, maxBytes, pins }) {
+  const ttlCutoff = Number.isFinite(ttlHours) ? Date.now() - ttlHours * HOUR_MS : -Infinity;
+  const out = { expired: 0, evicted: 0, freedBytes: 0, totalBytes: 0, pinnedFiles: 0 };
+  const buckets = new Map(); // hour of last use → evictable bytes
+
+  for await (const f of walkFiles(root)) {
+    if (isPinned(f.path, pins)) {
+      out.totalBytes += f.size;
+      out.pinnedFiles++;
+    } else if (f.mtimeMs < ttlCutoff) {
+      if (await removeFile(f.path)) { out.expired++; out.freedBytes += f.size; }
+    } else {
+      out.totalBytes += f.size;
+      const h = Math.floor(f.lastUsedMs / HOUR_MS);
+      buckets.set(h, (buckets.get(h) || 0) + f.size);
+    }
+  }
+
+  if (out.totalBytes > maxBytes) {
+    const need = out.totalBytes - Math.floor(maxBytes * QUOTA_LOW_WATER);
+    let cutoffHour = -Infinity, covered = 0;
+    for (const h of [...buckets.keys()].sort((a, b) => a - b)) {
+      covered += buckets.get(h);
+      cutoffHour = h;
+      if (covered >= need) break;
+    }
+
+    let freed = 0;
+    for await (const f of walkFiles(root)) {
+      if (freed >= need) break;
+      if (Math.floor(f.lastUsedMs / HOUR_MS) > cutoffHour || isPinned(f.path, pins)) continue;
+      if (await removeFile(f.path)) { out.evicted++; freed += f.size; }
     }
-  } catch {}
+    out.freedBytes += freed;
+    out.totalBytes -= freed;
+  }
+
+  await pruneEmptyDirs(root);
+  return out;
 }
 
+const gb = (bytes) => (bytes / 1024 ** 3).toFixed(2);
+
 async function runCleanupOnce(trigger = "manual") {
-  if (cleanupRunning) return;
+  if (cleanupRunning) return null;
   cleanupRunning = true;
   const t0 = Date.now();
   try {
-    const deleted = { raster: 0, vector: 0 };
-
-    // Raster tree
-    if (Number.isFinite(RASTER_TTL_HOURS)) {
-      const walk = (dir) => {
-        for (const name of fs.readdirSync(dir)) {
-          const p = path.join(dir, name);
-          const st = fs.statSync(p);
-          if (st.isDirectory()) walk(p);
-          else if (fileIsOld(p, RASTER_TTL_HOURS)) {
-            try { fs.unlinkSync(p); deleted.raster++; } catch {}
-          }
-        }
-      };
-      try { walk(RASTER_DIR); pruneEmptyDirs(RASTER_DIR); } catch {}
-    }
+    const pins = loadPins();
+    const trees = {
+      raster: { root: RASTER_DIR, ttlHours: RASTER_TTL_HOURS, maxBytes: RASTER_MAX_BYTES },
+      vector: { root: VECTOR_DIR, ttlHours: VECTOR_TTL_HOURS, maxBytes: VECTOR_MAX_BYTES },
+    };
+    const results = {};
 
-    // Vector tree (skip if ∞)
-    if (Number.isFinite(VECTOR_TTL_HOURS)) {
-      const walk = (dir) => {
-        for (const name of fs.readdirSync(dir)) {
-          const p = path.join(dir, name);
-          const st = fs.statSync(p);
-          if (st.isDirectory()) walk(p);
-          else if (fileIsOld(p, VECTOR_TTL_HOURS)) {
-            try { fs.unlinkSync(p); deleted.vector++; } catch {}
-          }
-        }
-      };
-      try { walk(VECTOR_DIR); pruneEmptyDirs(VECTOR_DIR); } catch {}
+    for (const [name, t] of Object.entries(trees)) {
+      const r = await cleanTree(t.root, { ...t, pins });
+      results[name] = r;
+      deleted.inc({ tree: name, reason: "expired" }, r.expired);
+      deleted.inc({ tree: name, reason: "evicted" }, r.evicted);
+      freedBytes.inc({ tree: name }, r.freedBytes);
+      lastTotals[name] = { totalBytes: r.totalBytes, pinnedFiles: r.pinnedFiles, at: Date.now() };
+      const quota = Number.isFinite(t.maxBytes) ? ` / ${gb(t.maxBytes)} GB` : "";
+      L.log("CLEANUP", `${name}: expired=${r.expired}, evicted=${r.evicted}, freed ${gb(r.freedBytes)} GB, now ${gb(r.totalBytes)} GB${quota}${r.pinnedFiles ? `, pinned=${r.pinnedFiles}` : ""}`);
     }
 
     const dt = Date.now() - t0;
-    L.log("CLEANUP", `Done in ${dt} ms  deleted: raster=${deleted.raster}, vector=${deleted.vector}`);
+    L.log("CLEANUP", `Done in ${dt} ms (${trigger})`);
+    lastRun = { trigger, finishedAt: new Date().toISOString(), durationMs: dt, results };
+    return results;
   } catch (e) {
     L.err("CLEANUP", e.stack || e.message);
+    return null;
   } finally {
     cleanupRunning = false;
   }
 }
 
-module.exports = { runCleanupOnce };
\ No newline at end of file
+/** { running, lastRun: { trigger, finishedAt, durationMs, results } | null } */
+function cleanupStatus() {
+  return { running: cleanupRunning, lastRun };
+}
+
+module.exports = { runCleanupOnce, cleanupStatus, markServed };
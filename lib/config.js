@@ -24,8 +24,80 @@ if (!STYLE_PATH) {
   STYLE_PATH = path.resolve(process.cwd(), STYLE_PATH);
 }
 
+// Validated copies of each live style version (render workers load these)
+const STYLE_SNAPSHOT_DIR = stripQuotes(process.env.STYLE_SNAPSHOT_DIR) || path.join(DATA_DIR, ".style-versions");
+
+// Upstream providers (optional JSON; built-in QLD provider when absent)
+let PROVIDERS_PATH = stripQuotes(process.env.PROVIDERS_PATH) || path.join(DATA_DIR, "providers.json");
+if (!path.isAbsolute(PROVIDERS_PATH)) PROVIDERS_PATH = path.resolve(process.cwd(), PROVIDERS_PATH);
+
 const FONT_DIR = stripQuotes(process.env.FONT_DIR) || path.join(ROOT, "assets", "fonts");
 
+// Named regions (bbox + zoom_levels) used by seeding/export
+const REGIONS_PATH = stripQuotes(process.env.REGIONS_PATH) || path.join(ROOT, "public", "regions.json");
+
+// Region outlines (viewer overlay; named service bounds)
+const REGIONS_GEOJSON_PATH = stripQuotes(process.env.REGIONS_GEOJSON_PATH) || path.join(ROOT, "public", "regions.geojson");
+
+// Service area: tiles outside it are blank/empty without an upstream call or render.
+// "w,s,e,n" | a feature name from REGIONS_GEOJSON_PATH | path to a GeoJSON file; unset = everywhere
+const SERVICE_BOUNDS = stripQuotes(process.env.SERVICE_BOUNDS) || "";
+
+// Elevation model for hillshading / 3D terrain (unset = none): a directory of terrain-RGB
+// tiles (<z>/<x>/<y>.png|webp) or an .mbtiles of them; relative paths resolve from CWD
+let DEM_PATH = stripQuotes(process.env.DEM_PATH) || "";
+if (DEM_PATH && !path.isAbsolute(DEM_PATH)) DEM_PATH = path.resolve(process.cwd(), DEM_PATH);
+const DEM_ENCODING = stripQuotes(process.env.DEM_ENCODING) || ""; // mapbox | terrarium ("" = MBTiles metadata, else mapbox)
+
+// Hillshade layer injected into styles that have none when a DEM is configured
+const HILLSHADE = !/^(0|false|no)$/i.test(stripQuotes(process.env.HILLSHADE) || "");
+
+// Elevation fallback without a DEM: contour lines in the cached vector tiles of
+// CONTOUR_PROVIDER ("" = default provider). Layers whose name contains one of CONTOUR_LAYERS
+// (case-insensitive); the height is the first numeric property of CONTOUR_ELEVATION_FIELDS
+const CONTOUR_PROVIDER = stripQuotes(process.env.CONTOUR_PROVIDER) || "";
+function listFromEnv(name, def) {
+  return (stripQuotes(process.env[name]) || def).split(",").map(s => s.trim()).filter(Boolean);
+}
+const CONTOUR_LAYERS = listFromEnv("CONTOUR_LAYERS", "contour");
+const CONTOUR_ELEVATION_FIELDS = listFromEnv("CONTOUR_ELEVATION_FIELDS", "elevation,ele,height,_name");
+
+// Place search: SQLite full-text index of named features in the cached vector tiles.
+// Names come from the first of SEARCH_NAME_FIELDS a feature has; layers whose name contains
+// one of SEARCH_EXCLUDE_LAYERS (case-insensitive) are skipped
+const SEARCH_DB_PATH = stripQuotes(process.env.SEARCH_DB_PATH) || path.join(DATA_DIR, "search.db");
+const SEARCH_NAME_FIELDS = listFromEnv("SEARCH_NAME_FIELDS", "name,_name,NAME");
+const SEARCH_EXCLUDE_LAYERS = listFromEnv("SEARCH_EXCLUDE_LAYERS", "contour");
+
+// Uploaded GPX/KML/GeoJSON overlays (converted GeoJSON + the original upload)
+const OVERLAY_DIR = stripQuotes(process.env.OVERLAY_DIR) || path.join(DATA_DIR, "overlays");
+
+// Seed job state (resume after restart)
+const SEED_DIR = stripQuotes(process.env.SEED_DIR) || path.join(DATA_DIR, "seed");
+
+// Read-only tile archives (<provider>.pmtiles / <provider>.mbtiles)
+const ARCHIVE_DIR = stripQuotes(process.env.ARCHIVE_DIR) || DATA_DIR;
+
+// MBTiles exports (CLI default output + admin downloads)
+const EXPORT_DIR = stripQuotes(process.env.EXPORT_DIR) || path.join(DATA_DIR, "exports");
+
+// Printable map sheets (PNG/PDF), kept for a day
+const PRINT_DIR = stripQuotes(process.env.PRINT_DIR) || path.join(DATA_DIR, "prints");
+
+// Admin API bearer token (admin routes are disabled when unset)
+const ADMIN_TOKEN = stripQuotes(process.env.ADMIN_TOKEN) || "";
+
+// Fallback blank (1x1 transparent) served for empty tiles
+const BLANK_TILE_PATH = stripQuotes(process.env.BLANK_TILE_PATH) || path.join(ROOT, "assets", "images", "blank.png");
+const ERROR_TILE_PATH = stripQuotes(process.env.ERROR_TILE_PATH) || path.join(ROOT, "assets", "images", "error.png");
+
+// Serve from cache/archives only; never call an upstream
+const OFFLINE = /^(1|true|yes)$/i.test(stripQuotes(process.env.OFFLINE) || "");
+
+// Logging: "text" (colored lines) or "json" (one object per line); minimum level
+const LOG_FORMAT = /^json$/i.test(stripQuotes(process.env.LOG_FORMAT) || "") ? "json" : "text";
+const LOG_LEVEL  = (stripQuotes(process.env.LOG_LEVEL) || "info").toLowerCase(); // debug | info | warn | error
+
 // TTL knobs (0 means ∞ / disabled)
 function ttlHoursFromEnv(name, def) {
   const raw = stripQuotes(process.env[name]);
@@ -39,6 +111,123 @@ function ttlHoursFromEnv(name, def) {
 const CLEANER_INTERVAL_HOURS    = ttlHoursFromEnv("CLEANER_INTERVAL_HOURS", 4)
 const RASTER_TTL_HOURS          = ttlHoursFromEnv("RASTER_TTL_HOURS", 72);
 const VECTOR_TTL_HOURS          = ttlHoursFromEnv("VECTOR_TTL_HOURS", 168);
+const VECTOR_REVALIDATE_HOURS   = ttlHoursFromEnv("VECTOR_REVALIDATE_HOURS", 72); // stale after N h: served, then revalidated upstream
+
+// Size quotas per tree in GB (0/unset means unlimited); least-recently-served tiles go first
+function bytesFromGbEnv(name) {
+  const n = Number(stripQuotes(process.env[name]));
+  return Number.isFinite(n) && n > 0 ? Math.round(n * 1024 ** 3) : Infinity;
+}
+
+const RASTER_MAX_BYTES          = bytesFromGbEnv("RASTER_MAX_GB");
+const VECTOR_MAX_BYTES          = bytesFromGbEnv("VECTOR_MAX_GB");
+
+// Integer knobs (fallback to default when unset/invalid/below min)
+function intFromEnv(name, def, min = 0) {
+  const raw = stripQuotes(process.env[name]);
+  if (raw == null || raw === "") return def;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < min) return def;
+  return n;
+}
+
+// Raster output: tile edge in px (256/512/1024) and label/line multiplier
+const RASTER_SIZES              = [256, 512, 1024];
+const TILE_PX_RAW               = intFromEnv("TILE_PX", 256);
+const TILE_PX                   = RASTER_SIZES.includes(TILE_PX_RAW) ? TILE_PX_RAW : 256;
+const LABEL_SCALE               = (() => {
+  const n = Number(stripQuotes(process.env.LABEL_SCALE));
+  return Number.isFinite(n) && n > 0 ? n : 1;
+})();
+
+// Raster encodings: lossy quality (1-100); RASTER_PNG_PALETTE=1 quantises .png tiles to
+// ≤ RASTER_PNG_COLOURS colours (8-bit palette); JPEG tiles and static maps are flattened onto RASTER_JPEG_BACKGROUND
+const RASTER_WEBP_QUALITY       = Math.min(100, intFromEnv("RASTER_WEBP_QUALITY", 80, 1));
+const RASTER_JPEG_QUALITY       = Math.min(100, intFromEnv("RASTER_JPEG_QUALITY", 85, 1));
+const RASTER_PNG_PALETTE        = /^(1|true|yes)$/i.test(stripQuotes(process.env.RASTER_PNG_PALETTE) || "");
+const RASTER_PNG_COLOURS        = Math.min(256, intFromEnv("RASTER_PNG_COLOURS", 256, 2));
+const RASTER_JPEG_BACKGROUND    = stripQuotes(process.env.RASTER_JPEG_BACKGROUND) || "#ffffff";
+
+// Zoom levels the tile routes answer (others are 404)
+const TILE_MIN_ZOOM             = intFromEnv("TILE_MIN_ZOOM", 0);
+const TILE_MAX_ZOOM             = intFromEnv("TILE_MAX_ZOOM", 22);
+
+// DEM tile edge in px (as stored; 256 or 512)
+const DEM_TILE_SIZE             = intFromEnv("DEM_TILE_SIZE", 256, 1);
+
+// Elevation API: vector zoom the contours are read at, samples per profile (default / max)
+const CONTOUR_ZOOM              = intFromEnv("CONTOUR_ZOOM", 14);
+const PROFILE_SAMPLES           = intFromEnv("PROFILE_SAMPLES", 100, 2);
+const PROFILE_MAX_SAMPLES       = intFromEnv("PROFILE_MAX_SAMPLES", 1000, 2);
+
+// Search index: highest vector zoom indexed, minutes between scans of the cache (0 = at boot only)
+const SEARCH_MAX_ZOOM           = intFromEnv("SEARCH_MAX_ZOOM", 16);
+const SEARCH_INDEX_MINUTES      = intFromEnv("SEARCH_INDEX_MINUTES", 30);
+
+// Overlay uploads: max file size, how many are kept, how many one raster tile may burn in
+// (every distinct set gets its own cache tree, so keep the last one small)
+const OVERLAY_MAX_MB            = intFromEnv("OVERLAY_MAX_MB", 10, 1);
+const OVERLAY_MAX_COUNT         = intFromEnv("OVERLAY_MAX_COUNT", 100, 1);
+const OVERLAY_MAX_PER_TILE      = intFromEnv("OVERLAY_MAX_PER_TILE", 1, 1);
+
+// Style hot-reload polling interval
+const STYLE_WATCH_INTERVAL_MS   = intFromEnv("STYLE_WATCH_INTERVAL_MS", 2000, 250);
+
+// Seeding: tiles processed in parallel per batch
+const SEED_CONCURRENCY          = intFromEnv("SEED_CONCURRENCY", 2, 1);
+
+// Render pool: persistent workers, bounded queue, per-job timeout, worker start-up timeout
+const RENDER_WORKERS            = intFromEnv("RENDER_WORKERS", 2, 1);
+const RENDER_QUEUE_MAX          = intFromEnv("RENDER_QUEUE_MAX", 256, 1);
+const RENDER_TIMEOUT_MS         = intFromEnv("RENDER_TIMEOUT_MS", 30000, 1000);
+const RENDER_WORKER_MAX_JOBS    = intFromEnv("RENDER_WORKER_MAX_JOBS", 0); // 0 = never recycle
+const RENDER_START_TIMEOUT_MS   = intFromEnv("RENDER_START_TIMEOUT_MS", 60000, 1000);
+
+// Static map images: max width/height in CSS px (before @2x)
+const STATIC_MAX_PX             = intFromEnv("STATIC_MAX_PX", 2048, 64);
+
+// Print sheets: max width/height of the map area in px (bounds paper size × DPI)
+const PRINT_MAX_PX              = intFromEnv("PRINT_MAX_PX", 10000, 500);
+
+// Upstream resilience: retries with jittered exponential backoff, per-provider circuit breaker
+const UPSTREAM_TIMEOUT_MS       = intFromEnv("UPSTREAM_TIMEOUT_MS", 15000, 1000);
+const UPSTREAM_RETRIES          = intFromEnv("UPSTREAM_RETRIES", 2);
+const UPSTREAM_BACKOFF_MS       = intFromEnv("UPSTREAM_BACKOFF_MS", 250, 10);
+const BREAKER_THRESHOLD         = intFromEnv("BREAKER_THRESHOLD", 5, 1);        // consecutive failed fetches → open
+const BREAKER_COOLDOWN_MS       = intFromEnv("BREAKER_COOLDOWN_MS", 30000, 1000); // open → one probe request
+
+// Upstream politeness: concurrent fetches (all / per host), token bucket per host, interactive queue cap
+const UPSTREAM_CONCURRENCY      = intFromEnv("UPSTREAM_CONCURRENCY", 8, 1);
+const UPSTREAM_HOST_CONCURRENCY = intFromEnv("UPSTREAM_HOST_CONCURRENCY", 4, 1);
+const UPSTREAM_RATE             = intFromEnv("UPSTREAM_RATE", 20);      // requests/s per host; 0 = unlimited
+const UPSTREAM_BURST            = intFromEnv("UPSTREAM_BURST", 40, 1);
+const UPSTREAM_QUEUE_MAX        = intFromEnv("UPSTREAM_QUEUE_MAX", 256, 1); // waiting interactive fetches before 503
+
+// Readiness (/readyz): free space the data disk must keep
+const READYZ_MIN_FREE_MB        = intFromEnv("READYZ_MIN_FREE_MB", 100);
+
+// HTTP caching of tile responses: max-age in seconds, per route, optionally per zoom
+//   "3600"                          → every zoom
+//   "0-10:604800,11-14:86400,3600"  → z0-10 a week, z11-14 a day, the rest an hour ("15-:…" = 15 and up)
+function maxAgeFromEnv(name, def) {
+  const policy = { maxAge: def, zooms: [] };
+  const raw = stripQuotes(process.env[name]);
+  if (raw == null || raw === "") return policy;
+  for (const part of raw.split(",")) {
+    const m = /^\s*(?:(\d+)(-(\d*))?:)?(\d+)\s*$/.exec(part);
+    if (!m) continue;
+    if (m[1] === undefined) { policy.maxAge = Number(m[4]); continue; }
+    const minzoom = Number(m[1]);
+    const maxzoom = !m[2] ? minzoom : m[3] === "" ? Infinity : Number(m[3]);
+    policy.zooms.push({ minzoom, maxzoom, maxAge: Number(m[4]) });
+  }
+  return policy;
+}
+
+const RASTER_MAX_AGE            = maxAgeFromEnv("RASTER_MAX_AGE", 3600);
+const VECTOR_MAX_AGE            = maxAgeFromEnv("VECTOR_MAX_AGE", 3600);
+const BLANK_MAX_AGE             = intFromEnv("BLANK_MAX_AGE", 300);          // blank/empty/error tiles: retried soon
+const STALE_WHILE_REVALIDATE    = intFromEnv("STALE_WHILE_REVALIDATE", 600);
 
 // Make these visible to child processes (render_worker)
 process.env.DATA_DIR   = DATA_DIR;
@@ -47,12 +236,31 @@ process.env.VECTOR_DIR = VECTOR_DIR;
 process.env.STYLE_DIR  = STYLE_DIR;
 process.env.STYLE_PATH = STYLE_PATH;
 process.env.FONT_DIR   = FONT_DIR;
+process.env.DEM_PATH   = DEM_PATH;
+process.env.TILE_PX    = String(TILE_PX);
+process.env.LABEL_SCALE = String(LABEL_SCALE);
 
 module.exports = {
   ROOT,
   DATA_DIR, RASTER_DIR, VECTOR_DIR,
-  STYLE_DIR, STYLE_PATH,
-  FONT_DIR,
+  STYLE_DIR, STYLE_PATH, STYLE_SNAPSHOT_DIR, STYLE_WATCH_INTERVAL_MS,
+  FONT_DIR, PROVIDERS_PATH, ARCHIVE_DIR, BLANK_TILE_PATH, ERROR_TILE_PATH,
+  REGIONS_PATH, REGIONS_GEOJSON_PATH, SERVICE_BOUNDS, DEM_PATH, DEM_ENCODING, DEM_TILE_SIZE, HILLSHADE,
+  CONTOUR_PROVIDER, CONTOUR_LAYERS, CONTOUR_ELEVATION_FIELDS, CONTOUR_ZOOM, PROFILE_SAMPLES, PROFILE_MAX_SAMPLES,
+  SEARCH_DB_PATH, SEARCH_NAME_FIELDS, SEARCH_EXCLUDE_LAYERS, SEARCH_MAX_ZOOM, SEARCH_INDEX_MINUTES,
+  OVERLAY_DIR, OVERLAY_MAX_MB, OVERLAY_MAX_COUNT, OVERLAY_MAX_PER_TILE,
+  SEED_DIR, SEED_CONCURRENCY, EXPORT_DIR, STATIC_MAX_PX, ADMIN_TOKEN,
+  PRINT_DIR, PRINT_MAX_PX,
   CLEANER_INTERVAL_HOURS, RASTER_TTL_HOURS, VECTOR_TTL_HOURS,
-  stripQuotes,
+  VECTOR_REVALIDATE_HOURS,
+  RASTER_MAX_BYTES, VECTOR_MAX_BYTES,
+  RASTER_SIZES, TILE_PX, LABEL_SCALE, TILE_MIN_ZOOM, TILE_MAX_ZOOM,
+  RASTER_WEBP_QUALITY, RASTER_JPEG_QUALITY, RASTER_PNG_PALETTE, RASTER_PNG_COLOURS, RASTER_JPEG_BACKGROUND,
+  RASTER_MAX_AGE, VECTOR_MAX_AGE, BLANK_MAX_AGE, STALE_WHILE_REVALIDATE,
+  RENDER_WORKERS, RENDER_QUEUE_MAX, RENDER_TIMEOUT_MS, RENDER_WORKER_MAX_JOBS, RENDER_START_TIMEOUT_MS,
+  LOG_FORMAT, LOG_LEVEL,
+  OFFLINE, UPSTREAM_TIMEOUT_MS, UPSTREAM_RETRIES, UPSTREAM_BACKOFF_MS, BREAKER_THRESHOLD, BREAKER_COOLDOWN_MS,
+  UPSTREAM_CONCURRENCY, UPSTREAM_HOST_CONCURRENCY, UPSTREAM_RATE, UPSTREAM_BURST, UPSTREAM_QUEUE_MAX,
+  READYZ_MIN_FREE_MB,
+  stripQuotes, intFromEnv,
 };
\ No newline at end of file
@@ -0,0 +1,221 @@
+// lib/dem.js
+// Local elevation model (DEM_PATH) for hillshading and 3D terrain:
+// - a directory of terrain-RGB tiles, <z>/<x>/<y>.png|webp (e.g. rio-rgbify output from a GeoTIFF)
+// - or an .mbtiles of them (TMS rows; zoom range, bounds and encoding from its metadata)
+// Served at /terrain/{z}/{x}/{y}.png, added to every style as the "terrain" raster-dem source
+// (plus a hillshade layer unless HILLSHADE=0) and read directly by the render workers.
+// Tiles are passed through as stored; above the DEM's maxzoom clients overzoom themselves.
+// demElevation(lon, lat) samples the DEM's highest zoom (bilinear) for the elevation API.
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { DEM_PATH, DEM_ENCODING, DEM_TILE_SIZE, HILLSHADE } = require("./config");
+const { lonToFrac, latToFrac } = require("./tiles");
+
+const SOURCE_ID = "terrain";
+const HILLSHADE_ID = "hillshade";
+const TILE_URL = "/terrain/{z}/{x}/{y}.png";
+const ENCODINGS = ["mapbox", "terrarium"];
+const TILE_EXTS = ["png", "webp"];
+const DECODED_MAX = 32; // decoded tiles kept for elevation lookups (~256 KB each at 256 px)
+
+let loaded = null; // { label, minzoom, maxzoom, bounds, encoding, getTile(z, x, y) } | { label: null }
+
+function demError(msg) {
+  const e = new Error(`DEM_PATH: ${msg}`); e.code = "BAD_DEM"; return e;
+}
+
+// ── Sources ────────────────────────────────────────────────────────────────────
+function openMbtilesDem(file) {
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  const meta = Object.fromEntries(db.prepare("SELECT name, value FROM metadata").all().map(r => [r.name, r.value]));
+  if (meta.format && !TILE_EXTS.includes(meta.format)) {
+    db.close();
+    throw demError(`${file}: not a terrain-RGB archive (format ${meta.format})`);
+  }
+  const zr = db.prepare("SELECT MIN(zoom_level) AS minzoom, MAX(zoom_level) AS maxzoom FROM tiles").get();
+  const bounds = meta.bounds ? meta.bounds.split(",").map(Number) : null;
+  const get = db.prepare("SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?").pluck();
+  return {
+    label: file,
+    minzoom: meta.minzoom != null ? Number(meta.minzoom) : zr.minzoom,
+    maxzoom: meta.maxzoom != null ? Number(meta.maxzoom) : zr.maxzoom,
+    bounds: bounds && bounds.length === 4 && bounds.every(Number.isFinite) ? bounds : null,
+    encoding: meta.encoding,
+    getTile: async (z, x, y) => get.get(z, x, Math.pow(2, z) - 1 - y) || null, // TMS rows
+  };
+}
+
+function openDirectoryDem(dir) {
+  const zooms = fs.readdirSync(dir).filter(n => /^\d+$/.test(n)).map(Number).sort((a, b) => a - b);
+  if (!zooms.length) throw demError(`${dir} has no <z>/<x>/<y> tiles`);
+  return {
+    label: dir,
+    minzoom: zooms[0],
+    maxzoom: zooms[zooms.length - 1],
+    bounds: null,
+    async getTile(z, x, y) {
+      for (const ext of TILE_EXTS) {
+        try {
+          return await fs.promises.readFile(path.join(dir, String(z), String(x), `${y}.${ext}`));
+        } catch {}
+      }
+      return null;
+    },
+  };
+}
+
+/** Open DEM_PATH (call at boot; throws err.code "BAD_DEM" when it can't be read). */
+function loadDem(L) {
+  if (!DEM_PATH) {
+    loaded = { label: null };
+    return loaded;
+  }
+  let st;
+  try { st = fs.statSync(DEM_PATH); } catch (e) { throw demError(e.message); }
+  let dem;
+  try {
+    dem = st.isDirectory() ? openDirectoryDem(DEM_PATH) : openMbtilesDem(DEM_PATH);
+  } catch (e) {
+    throw e.code === "BAD_DEM" ? e : demError(`${DEM_PATH}: ${e.message}`);
+  }
+  dem.encoding = DEM_ENCODING || dem.encoding || "mapbox";
+  if (!ENCODINGS.includes(dem.encoding)) throw demError(`unknown encoding "${dem.encoding}" (${ENCODINGS.join(" | ")})`);
+  loaded = dem;
+  L?.log?.("INIT", `DEM ${dem.label} (z${dem.minzoom}-${dem.maxzoom}, ${dem.encoding}, ${DEM_TILE_SIZE}px)`);
+  return loaded;
+}
+
+function ensureLoaded() {
+  return loaded || loadDem();
+}
+
+/** DEM configured? */
+function hasDem() {
+  return !!ensureLoaded().label;
+}
+
+/**
+ * Terrain-RGB tile as stored, or null (no DEM, outside its zoom range, or missing).
+ * @returns {Promise<{data: Buffer, contentType: string}|null>}
+ */
+async function getDemTile(z, x, y) {
+  const dem = ensureLoaded();
+  if (!dem.label || z < dem.minzoom || z > dem.maxzoom) return null;
+  const data = await dem.getTile(z, x, y);
+  if (!data || !data.length) return null;
+  // RIFF....WEBP; anything else is taken for PNG
+  const webp = data.length > 12 && data.toString("latin1", 0, 4) === "RIFF" && data.toString("latin1", 8, 12) === "WEBP";
+  return { data, contentType: webp ? "image/webp" : "image/png" };
+}
+
+// ── Elevation ──────────────────────────────────────────────────────────────────
+// sharp (libvips) decodes tiles for sampling only; serving and rendering never load it
+let sharp = null;
+const decoded = new Map(); // "z/x/y" → Promise<{ width, height, channels, data } | null>, LRU
+
+const DECODERS = {
+  mapbox: (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1,
+  terrarium: (r, g, b) => r * 256 + g + b / 256 - 32768,
+};
+
+function decodedTile(z, x, y) {
+  const key = `${z}/${x}/${y}`;
+  let p = decoded.get(key);
+  if (p) {
+    decoded.delete(key); decoded.set(key, p); // bump LRU
+    return p;
+  }
+  p = getDemTile(z, x, y).then(async (tile) => {
+    if (!tile) return null;
+    sharp = sharp || require("sharp");
+    const { data, info } = await sharp(tile.data).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    return { width: info.width, height: info.height, channels: info.channels, data };
+  });
+  p.catch(() => decoded.delete(key)); // unreadable tiles are retried next time
+  decoded.set(key, p);
+  while (decoded.size > DECODED_MAX) decoded.delete(decoded.keys().next().value);
+  return p;
+}
+
+/**
+ * Elevation in metres at lon/lat from the DEM's highest zoom (bilinear between pixel
+ * centres), or null without a DEM or a tile there.
+ * @returns {Promise<number|null>}
+ */
+async function demElevation(lon, lat) {
+  const dem = ensureLoaded();
+  if (!dem.label) return null;
+  const z = dem.maxzoom, n = Math.pow(2, z);
+  const fx = Math.min(lonToFrac(lon) * n, n - 1e-9), fy = Math.min(latToFrac(lat) * n, n - 1e-9);
+  const x = Math.floor(fx), y = Math.floor(fy);
+  const tile = await decodedTile(z, x, y);
+  if (!tile) return null;
+
+  const { width, height, channels, data } = tile;
+  const decode = DECODERS[dem.encoding];
+  const at = (px, py) => {
+    const i = (Math.min(height - 1, Math.max(0, py)) * width + Math.min(width - 1, Math.max(0, px))) * channels;
+    return decode(data[i], data[i + 1], data[i + 2]);
+  };
+  const px = (fx - x) * width - 0.5, py = (fy - y) * height - 0.5;
+  const x0 = Math.floor(px), y0 = Math.floor(py), tx = px - x0, ty = py - y0;
+  const top = at(x0, y0) * (1 - tx) + at(x0 + 1, y0) * tx;
+  const bottom = at(x0, y0 + 1) * (1 - tx) + at(x0 + 1, y0 + 1) * tx;
+  return top * (1 - ty) + bottom * ty;
+}
+
+// ── Styles ─────────────────────────────────────────────────────────────────────
+/** Changes whenever the terrain a style would get changes (part of the style hash). */
+function terrainSignature() {
+  const dem = ensureLoaded();
+  if (!dem.label) return "";
+  return `\nterrain:${dem.label}|${dem.minzoom}-${dem.maxzoom}|${dem.encoding}|${DEM_TILE_SIZE}|${HILLSHADE ? "hillshade" : ""}`;
+}
+
+// Hillshade goes above area fills and below lines, symbols and the rest
+const UNDER_HILLSHADE = new Set(["background", "fill", "raster"]);
+
+/**
+ * Add the DEM to a parsed style (in place): a "terrain" raster-dem source unless the style
+ * brings its own, and a hillshade layer when the style has none and HILLSHADE is on.
+ * No-op without a DEM.
+ */
+function addTerrain(style) {
+  const dem = ensureLoaded();
+  if (!dem.label) return style;
+  style.sources = style.sources || {};
+  style.layers = style.layers || [];
+
+  const demSources = Object.keys(style.sources).filter(id => style.sources[id].type === "raster-dem");
+  if (!demSources.length) {
+    if (style.sources[SOURCE_ID]) return style; // id taken by something else: leave the style alone
+    style.sources[SOURCE_ID] = {
+      type: "raster-dem",
+      tiles: [TILE_URL],
+      tileSize: DEM_TILE_SIZE,
+      encoding: dem.encoding,
+      minzoom: dem.minzoom,
+      maxzoom: dem.maxzoom,
+      ...(dem.bounds ? { bounds: dem.bounds } : {}),
+    };
+    demSources.push(SOURCE_ID);
+  }
+
+  if (!HILLSHADE || style.layers.some(l => l.type === "hillshade") || style.layers.some(l => l.id === HILLSHADE_ID)) return style;
+  const at = style.layers.findIndex(l => !UNDER_HILLSHADE.has(l.type));
+  style.layers.splice(at === -1 ? style.layers.length : at, 0, {
+    id: HILLSHADE_ID,
+    type: "hillshade",
+    source: demSources[0],
+    paint: {
+      "hillshade-exaggeration": 0.35,
+      "hillshade-shadow-color": "#473b24",
+      "hillshade-highlight-color": "#ffffff",
+      "hillshade-accent-color": "#5a5a5a",
+    },
+  });
+  return style;
+}
+
+module.exports = { loadDem, hasDem, getDemTile, demElevation, terrainSignature, addTerrain };
@@ -0,0 +1,212 @@
+// lib/elevation.js
+// Spot heights and elevation profiles:
+// - from the DEM (lib/dem) where it has a tile
+// - otherwise interpolated between the two nearest contour levels found in the vector tiles
+//   of CONTOUR_PROVIDER at CONTOUR_ZOOM (read through ensureVectorTile, so archives and the
+//   cache come first). That's approximate: hilltops and valley floors come out flattened.
+// Profiles are sampled at even spacing along the line (great-circle distances, metres).
+const fs = require("fs");
+const {
+  CONTOUR_PROVIDER, CONTOUR_LAYERS, CONTOUR_ELEVATION_FIELDS, CONTOUR_ZOOM,
+  PROFILE_SAMPLES, PROFILE_MAX_SAMPLES,
+} = require("./config");
+const { demElevation } = require("./dem");
+const { readFeatures } = require("./mvt");
+const { ensureVectorTile } = require("./pbf");
+const { getProvider } = require("./providers");
+const { lonToFrac, latToFrac } = require("./tiles");
+
+const EARTH_RADIUS_M = 6371008.8;
+const CONTOUR_MARGIN = 0.25; // also read neighbouring tiles when the point is this close (tile fraction) to an edge
+
+function badSpec(msg) {
+  const e = new Error(msg); e.code = "BAD_ELEVATION_SPEC"; return e;
+}
+
+function validLonLat(lon, lat) {
+  return Number.isFinite(lon) && Number.isFinite(lat) && lon >= -180 && lon <= 180 && lat >= -85.0511 && lat <= 85.0511;
+}
+
+function haversine([lon1, lat1], [lon2, lat2]) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad, dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// ── Contours ───────────────────────────────────────────────────────────────────
+const isContourLayer = (name) => CONTOUR_LAYERS.some(s => name.toLowerCase().includes(s.toLowerCase()));
+
+function contourElevation(properties) {
+  for (const field of CONTOUR_ELEVATION_FIELDS) {
+    const v = properties[field];
+    const n = typeof v === "number" ? v : parseFloat(v);
+    if (Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+// One vector tile's contours as segments in world fractions: [{ e, ax, ay, bx, by }]
+async function tileContours(provider, z, x, y, L) {
+  const r = await ensureVectorTile(z, x, y, { provider, L });
+  if (r.status !== "ok") return [];
+  const buf = r.data || await fs.promises.readFile(r.path);
+  const n = Math.pow(2, z), segments = [];
+  for (const layer of readFeatures(buf, { layers: isContourLayer })) {
+    const fx = (px) => (x + px / layer.extent) / n, fy = (py) => (y + py / layer.extent) / n;
+    for (const f of layer.features) {
+      const e = contourElevation(f.properties);
+      if (e === null) continue;
+      for (const part of f.parts) {
+        const pts = part.map(([px, py]) => [fx(px), fy(py)]);
+        if (f.type === 3) pts.push(pts[0]); // rings close back to the start
+        if (pts.length === 1) segments.push({ e, ax: pts[0][0], ay: pts[0][1], bx: pts[0][0], by: pts[0][1] }); // label points
+        for (let k = 1; k < pts.length; k++) {
+          segments.push({ e, ax: pts[k - 1][0], ay: pts[k - 1][1], bx: pts[k][0], by: pts[k][1] });
+        }
+      }
+    }
+  }
+  return segments;
+}
+
+function pointSegmentDistance(px, py, { ax, ay, bx, by }) {
+  const dx = bx - ax, dy = by - ay, len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+/**
+ * Elevation between the nearest contour and the nearest one of another height, weighted by
+ * distance; `tiles` caches decoded tiles across the samples of one request.
+ */
+async function contourElevationAt(lon, lat, { tiles = new Map(), L } = {}) {
+  const provider = getProvider(CONTOUR_PROVIDER || undefined);
+  if (!provider) return null;
+  const z = Math.max(provider.minzoom, Math.min(provider.maxzoom, CONTOUR_ZOOM));
+  const n = Math.pow(2, z);
+  const px = lonToFrac(lon), py = latToFrac(lat);
+
+  const xs = new Set([px - CONTOUR_MARGIN / n, px, px + CONTOUR_MARGIN / n].map(f => Math.floor(f * n)));
+  const ys = new Set([py - CONTOUR_MARGIN / n, py, py + CONTOUR_MARGIN / n].map(f => Math.floor(f * n)));
+  const nearest = new Map(); // elevation → distance
+  for (const x of xs) {
+    for (const y of ys) {
+      if (x < 0 || y < 0 || x >= n || y >= n) continue;
+      const key = `${z}/${x}/${y}`;
+      if (!tiles.has(key)) {
+        tiles.set(key, tileContours(provider, z, x, y, L).catch((e) => {
+          L?.warn?.("ELEV", `contours ${provider.name} ${key}: ${e.message}`);
+          return [];
+        }));
+      }
+      for (const seg of await tiles.get(key)) {
+        const d = pointSegmentDistance(px, py, seg);
+        if (!nearest.has(seg.e) || d < nearest.get(seg.e)) nearest.set(seg.e, d);
+      }
+    }
+  }
+  if (!nearest.size) return null;
+  const [[e1, d1], second] = [...nearest].sort((a, b) => a[1] - b[1]);
+  if (!second || d1 === 0) return e1;
+  const [e2, d2] = second;
+  return (e1 * d2 + e2 * d1) / (d1 + d2);
+}
+
+// ── Queries ────────────────────────────────────────────────────────────────────
+const round1 = (v) => Math.round(v * 10) / 10;
+
+async function sampleElevation(lon, lat, ctx) {
+  const dem = await demElevation(lon, lat);
+  if (dem !== null) return { elevation: round1(dem), source: "dem" };
+  const contour = await contourElevationAt(lon, lat, ctx);
+  return contour !== null ? { elevation: round1(contour), source: "contours" } : { elevation: null, source: null };
+}
+
+/**
+ * Spot height at lon/lat.
+ * Throws err.code "BAD_ELEVATION_SPEC" on invalid coordinates.
+ * @returns {Promise<{lon, lat, elevation: number|null, source: "dem"|"contours"|null}>}
+ */
+async function elevationAt(lon, lat, { L } = {}) {
+  lon = Number(lon); lat = Number(lat);
+  if (!validLonLat(lon, lat)) throw badSpec("lat and lon must be numbers in range");
+  return { lon, lat, ...(await sampleElevation(lon, lat, { L })) };
+}
+
+// GeoJSON LineString (geometry or Feature) → [[lon, lat], …]
+function lineCoordinates(geojson) {
+  const g = geojson?.type === "Feature" ? geojson.geometry : geojson;
+  if (g?.type !== "LineString" || !Array.isArray(g.coordinates)) throw badSpec("geometry must be a GeoJSON LineString");
+  const coords = g.coordinates.map(c => [Number(c?.[0]), Number(c?.[1])]);
+  if (coords.length < 2) throw badSpec("LineString needs at least 2 positions");
+  if (!coords.every(([lon, lat]) => validLonLat(lon, lat))) throw badSpec("LineString has positions out of range");
+  return coords;
+}
+
+// `count` points at even spacing along the line, ends included: [{ distance, lon, lat }]
+function samplePoints(coords, count) {
+  const cum = [0];
+  for (let i = 1; i < coords.length; i++) cum.push(cum[i - 1] + haversine(coords[i - 1], coords[i]));
+  const length = cum[cum.length - 1];
+  const out = [];
+  let seg = 1;
+  for (let k = 0; k < count; k++) {
+    const distance = (length * k) / (count - 1);
+    while (seg < coords.length - 1 && cum[seg] < distance) seg++;
+    const span = cum[seg] - cum[seg - 1];
+    const t = span > 0 ? (distance - cum[seg - 1]) / span : 0;
+    const [lon1, lat1] = coords[seg - 1], [lon2, lat2] = coords[seg];
+    out.push({ distance, lon: lon1 + t * (lon2 - lon1), lat: lat1 + t * (lat2 - lat1) });
+  }
+  return { length, points: out };
+}
+
+/**
+ * Elevation profile along a GeoJSON LineString.
+ * in:  { geometry | LineString | Feature, samples? (2..PROFILE_MAX_SAMPLES) }
+ * Ascent/descent add up the rises and falls between consecutive samples with a value.
+ * Throws err.code "BAD_ELEVATION_SPEC" on invalid input.
+ * @returns {Promise<{length, samples: Array<{distance, lon, lat, elevation}>, ascent, descent, min, max, source}>}
+ */
+async function elevationProfile(body = {}, { L } = {}) {
+  const coords = lineCoordinates(body.geometry || body);
+  let count = PROFILE_SAMPLES;
+  if (body.samples != null) {
+    count = Number(body.samples);
+    if (!Number.isInteger(count) || count < 2 || count > PROFILE_MAX_SAMPLES) {
+      throw badSpec(`samples must be an integer 2..${PROFILE_MAX_SAMPLES}`);
+    }
+  }
+
+  const { length, points } = samplePoints(coords, count);
+  const ctx = { tiles: new Map(), L };
+  const sources = new Set();
+  const samples = [];
+  for (const p of points) {
+    const { elevation, source } = await sampleElevation(p.lon, p.lat, ctx);
+    if (source) sources.add(source);
+    samples.push({ distance: round1(p.distance), lon: +p.lon.toFixed(6), lat: +p.lat.toFixed(6), elevation });
+  }
+
+  let ascent = 0, descent = 0, prev = null;
+  const values = samples.map(s => s.elevation).filter(v => v !== null);
+  for (const v of values) {
+    if (prev !== null) {
+      if (v > prev) ascent += v - prev;
+      else descent += prev - v;
+    }
+    prev = v;
+  }
+  return {
+    length: round1(length),
+    samples,
+    ascent: round1(ascent),
+    descent: round1(descent),
+    min: values.length ? Math.min(...values) : null,
+    max: values.length ? Math.max(...values) : null,
+    source: sources.size > 1 ? "mixed" : [...sources][0] || null,
+  };
+}
+
+module.exports = { elevationAt, elevationProfile };
@@ -0,0 +1,105 @@
+// lib/health.js
+// Readiness checks behind GET /readyz (GET /healthz stays a plain liveness answer):
+// - style:  the default style is loaded and its file currently parses/validates
+// - dirs:   DATA_DIR, RASTER_DIR and VECTOR_DIR take a small write, and the data disk
+//           has READYZ_MIN_FREE_MB left (read-only mounts, full disks)
+// - render: a z0 tile renders through the worker pool (Xvfb/GL alive, MapLibre loads the style)
+// A result is reused for READYZ_CACHE_MS and concurrent probes share one run, so
+// frequent probes don't each queue a render.
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR, RASTER_DIR, VECTOR_DIR, FONT_DIR, READYZ_MIN_FREE_MB } = require("./config");
+const { renderSingleTile, renderPoolStats } = require("./render");
+const { DEFAULT_STYLE, listStyles, getStyle } = require("./styles");
+
+const READYZ_CACHE_MS = 10000;
+const READYZ_RENDER_TIMEOUT_MS = 20000;
+const PROBE_DIR = path.join(DATA_DIR, ".readyz");
+
+let last = null;     // { at, result }
+let running = null;  // Promise of the run in progress
+
+function checkStyle() {
+  const entry = getStyle(DEFAULT_STYLE);
+  if (!entry) return { ok: false, error: `default style "${DEFAULT_STYLE}" not loaded` };
+  if (entry.error) return { ok: false, error: `${DEFAULT_STYLE}: ${entry.error}`, serving: entry.hash };
+
+  // broken non-default styles keep serving their last good version: reported, not fatal
+  const invalid = {};
+  for (const [name, e] of listStyles()) if (e.error) invalid[name] = e.error;
+  return { ok: true, hash: entry.hash, ...(Object.keys(invalid).length ? { invalid } : {}) };
+}
+
+function checkDirs() {
+  const out = { ok: true, dirs: {} };
+  for (const dir of [DATA_DIR, RASTER_DIR, VECTOR_DIR]) {
+    const probe = path.join(dir, `.readyz-${process.pid}.tmp`);
+    try {
+      fs.writeFileSync(probe, "ok");
+      fs.unlinkSync(probe);
+      out.dirs[dir] = "writable";
+    } catch (e) {
+      out.ok = false;
+      out.dirs[dir] = e.code || e.message;
+    }
+  }
+  try {
+    const st = fs.statfsSync(DATA_DIR);
+    out.freeMb = Math.floor((st.bavail * st.bsize) / 1024 ** 2);
+    if (out.freeMb < READYZ_MIN_FREE_MB) {
+      out.ok = false;
+      out.error = `${out.freeMb} MB free on the data disk (< ${READYZ_MIN_FREE_MB} MB)`;
+    }
+  } catch {}
+  return out;
+}
+
+async function checkRender(L) {
+  const entry = getStyle(DEFAULT_STYLE);
+  if (!entry) return { ok: false, error: "no style to render" };
+  const pool = renderPoolStats();
+  if (!pool.ready) return { ok: false, error: `no render worker ready (${pool.workers} started)` };
+  const t0 = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`no tile after ${READYZ_RENDER_TIMEOUT_MS}ms`)), READYZ_RENDER_TIMEOUT_MS);
+    });
+    const out = await Promise.race([
+      renderSingleTile(0, 0, 0, { rasterDir: PROBE_DIR, STYLE_PATH: entry.snapshotPath, FONT_DIR, L }),
+      timeout,
+    ]);
+    fs.rm(out, { force: true }, () => {});
+    return { ok: true, ms: Date.now() - t0 };
+  } catch (e) {
+    return { ok: false, error: e.message, ms: Date.now() - t0 };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function runChecks(L) {
+  const checks = { style: checkStyle(), dirs: checkDirs(), render: await checkRender(L) };
+  const ready = Object.values(checks).every(c => c.ok);
+  if (!ready) {
+    const failed = Object.entries(checks).filter(([, c]) => !c.ok).map(([k, c]) => `${k}: ${c.error || "failed"}`);
+    L?.warn?.("READYZ", `not ready (${failed.join("; ")})`);
+  }
+  return { ready, checkedAt: new Date().toISOString(), checks };
+}
+
+/**
+ * Run (or reuse) the readiness checks.
+ * @returns {Promise<{ready:boolean, checkedAt:string, checks:object}>}
+ */
+function checkReadiness({ L } = {}) {
+  if (last && Date.now() - last.at < READYZ_CACHE_MS) return Promise.resolve(last.result);
+  if (!running) {
+    running = runChecks(L)
+      .then((result) => { last = { at: Date.now(), result }; return result; })
+      .finally(() => { running = null; });
+  }
+  return running;
+}
+
+module.exports = { checkReadiness };
@@ -1,5 +1,11 @@
 // lib/logger.js
+// - LOG_FORMAT=text (default): colored "[LVL] [time] [TAG]: message" lines
+// - LOG_FORMAT=json: one object per line { time, level, tag, msg, …fields }
+// - LOG_LEVEL (debug | info | warn | error) drops anything below it
+// - L.child({ reqId, … }) returns a logger that adds those fields to every line
+//   (text mode shows only reqId, as a "(req …)" suffix)
 const util = require("util");
+const { LOG_FORMAT, LOG_LEVEL } = require("./config");
 
 // ANSI colors
 const ANSI = {
@@ -11,12 +17,23 @@ const ANSI = {
 
 // Level → color
 const LEVEL_COLOR = {
+  DBG: "",
   LOG: "",           // no color
   WRN: ANSI.yellow,
   ERR: ANSI.red,
   SYS: ANSI.cyan,
 };
 
+// Level → { name in JSON lines, rank for LOG_LEVEL }
+const LEVELS = {
+  DBG: { name: "debug", rank: 0 },
+  LOG: { name: "info",  rank: 1 },
+  SYS: { name: "info",  rank: 1 },
+  WRN: { name: "warn",  rank: 2 },
+  ERR: { name: "error", rank: 3 },
+};
+const MIN_RANK = Object.values(LEVELS).find(l => l.name === LOG_LEVEL)?.rank ?? 1;
+
 // Target tag width for aligning the *message start* by padding AFTER the colon
 const TAG_TARGET_WIDTH = 10; // tweak if you want messages to start later/earlier
 
@@ -24,16 +41,21 @@ function ts() {
   return new Date().toISOString(); // UTC
 }
 
-function formatLine(level, tag, msg) {
+function formatLine(level, tag, msg, fields) {
+  if (LOG_FORMAT === "json") {
+    return JSON.stringify({ time: ts(), level: LEVELS[level].name, tag, msg, ...fields });
+  }
   const color = LEVEL_COLOR[level] || "";
   const reset = color ? ANSI.reset : "";
   const t = typeof tag === "string" && tag.length ? tag : "";
   const padCount = Math.max(0, TAG_TARGET_WIDTH - t.length);
   const postColonPad = " ".repeat(padCount) + " "; // one extra space before the message
-  return `${color}[${level}]${reset} [${ts()}] [${t}]:${postColonPad}${msg}`;
+  const req = fields.reqId ? ` (req ${fields.reqId})` : "";
+  return `${color}[${level}]${reset} [${ts()}] [${t}]:${postColonPad}${msg}${req}`;
 }
 
-function write(out, level, tag, args) {
+function write(out, level, tag, args, fields) {
+  if (LEVELS[level].rank < MIN_RANK) return;
   // Support L.sys(message) style (no tag), default tag "SYS"
   let message, tagOut = tag;
   if (args === undefined) {
@@ -42,12 +64,18 @@ function write(out, level, tag, args) {
   } else {
     message = util.format(...args);
   }
-  out.write(formatLine(level, tagOut, message) + "\n");
+  out.write(formatLine(level, tagOut, message, fields) + "\n");
+}
+
+function createLogger(fields = {}) {
+  return {
+    debug(tag, ...args) { write(process.stdout, "DBG", tag, args, fields); },
+    log(tag, ...args)   { write(process.stdout, "LOG", tag, args, fields); },
+    warn(tag, ...args)  { write(process.stdout, "WRN", tag, args, fields); },
+    err(tag, ...args)   { write(process.stderr, "ERR", tag, args, fields); },
+    sys(msg)            { write(process.stdout, "SYS", msg, undefined, fields); }, // message only
+    child(more)         { return createLogger({ ...fields, ...more }); },
+  };
 }
 
-module.exports = {
-  log(tag, ...args)  { write(process.stdout, "LOG", tag, args); },
-  warn(tag, ...args) { write(process.stdout, "WRN", tag, args); },
-  err(tag, ...args)  { write(process.stderr, "ERR", tag, args); },
-  sys(msg)           { write(process.stdout, "SYS", msg); }, // message only
-};
\ No newline at end of file
+module.exports = createLogger();
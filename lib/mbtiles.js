@@ -0,0 +1,265 @@
+// lib/mbtiles.js
+// MBTiles (SQLite) export of cached raster or vector tiles for a region/bbox + zoom range.
+// - rows use TMS order (tile_row = 2^z - 1 - y)
+// - missing tiles are fetched/rendered through ensureVectorTile/ensureRasterTile (fill)
+// - empty/blank tiles are left out (a missing row is an empty tile in MBTiles)
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const Database = require("better-sqlite3");
+const { EXPORT_DIR, SEED_CONCURRENCY } = require("./config");
+const { ensureDir, fileExistsNonEmpty } = require("./utils");
+const { iterateTiles, countTiles } = require("./tiles");
+const { ensureVectorTile } = require("./pbf");
+const { getProvider, providerNameForUrl } = require("./providers");
+const { ensureRasterTile, rasterTilePath } = require("./raster");
+const { getStyle, styleAttribution } = require("./styles");
+const { normalizeSpec } = require("./seed");
+
+const BUSY_RETRY_MS = 1000;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// id → export job (in memory; exports are cheap to restart)
+const exportsById = new Map();
+// Jobs run one at a time, FIFO: each keeps SEED_CONCURRENCY * 4 tiles in flight
+const queue = [];
+let running = false;
+
+function isGzip(buf) {
+  return buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b;
+}
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "export";
+}
+
+/**
+ * Normalise an export request (seed spec + kind/source/fill).
+ * in:  { region?, bbox?, zoom?, style?, size?, ratio?, kind?, source?, fill? }
+ * Throws with err.code === "BAD_SEED_SPEC" on invalid input.
+ */
+function normalizeExportSpec(spec = {}) {
+  const { raster: _raster, ...n } = normalizeSpec(spec); // seed-only flag
+  const kind = spec.kind || "raster";
+  if (kind !== "raster" && kind !== "vector") {
+    const e = new Error("kind must be raster or vector"); e.code = "BAD_SEED_SPEC"; throw e;
+  }
+  let source = null; // raster exports draw from the style's own sources
+  if (kind === "vector") {
+    const provider = getProvider(spec.source);
+    if (!provider) {
+      const e = new Error(`unknown source "${spec.source}"`); e.code = "BAD_SEED_SPEC"; throw e;
+    }
+    source = provider.name;
+  }
+  const fill = !(spec.fill === false || spec.fill === "0" || spec.fill === "false");
+  const name = n.region || n.bbox.map(v => v.toFixed(3)).join(",");
+  const file = `${slug(name)}-${kind === "raster" ? `${n.style}-${n.tilePx}${n.ratio > 1 ? "@2x" : ""}` : `vector-${source}`}-z${n.minzoom}-${n.maxzoom}.mbtiles`;
+  return { ...n, kind, source, fill, name, file };
+}
+
+// Vector layer ids a style draws from one source (for the MBTiles "json" row)
+function vectorLayersFor(style, providerName) {
+  const srcIds = Object.entries(style.sources || {})
+    .filter(([, s]) => s.type === "vector" && (s.tiles || []).some(u => providerNameForUrl(u) === providerName))
+    .map(([id]) => id);
+  const ids = new Set();
+  for (const l of style.layers || []) {
+    if (srcIds.includes(l.source) && l["source-layer"]) ids.add(l["source-layer"]);
+  }
+  return [...ids].sort().map(id => ({ id, fields: {} }));
+}
+
+function metadataRows(spec, style) {
+  const [w, s, e, n] = spec.bbox;
+  const centerZoom = Math.min(spec.maxzoom, Math.max(spec.minzoom, Math.round((spec.minzoom + spec.maxzoom) / 2)));
+  const rows = {
+    name: spec.name,
+    type: "baselayer",
+    version: "1",
+    description: `qtopo-server ${spec.kind} export`,
+    format: spec.kind === "raster" ? "png" : "pbf",
+    bounds: [w, s, e, n].join(","),
+    center: [(w + e) / 2, (s + n) / 2, centerZoom].join(","),
+    minzoom: String(spec.minzoom),
+    maxzoom: String(spec.maxzoom),
+    attribution: styleAttribution(style.style),
+  };
+  if (spec.kind === "vector") {
+    rows.json = JSON.stringify({ vector_layers: vectorLayersFor(style.style, spec.source) });
+    rows.style = JSON.stringify(style.style);
+  } else {
+    rows.scheme = "tms";
+    rows.tile_size = String(spec.tilePx * spec.ratio);
+  }
+  return rows;
+}
+
+function openMbtiles(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS metadata (name TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE IF NOT EXISTS tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB);
+    CREATE UNIQUE INDEX IF NOT EXISTS tile_index ON tiles (zoom_level, tile_column, tile_row);
+  `);
+  return db;
+}
+
+// One tile → { data } or null (missing/empty)
+async function tileData(spec, style, t, L) {
+  if (spec.kind === "raster") {
+    const file = rasterTilePath(style, t.z, t.x, t.y, spec);
+    if (!spec.fill) return fileExistsNonEmpty(file) ? { data: fs.readFileSync(file) } : null;
+    for (;;) {
+      try {
+        const r = await ensureRasterTile(t.z, t.x, t.y, { style, tilePx: spec.tilePx, ratio: spec.ratio, priority: "background", L });
+        return r.status === "blank" ? null : { data: await fs.promises.readFile(r.path) };
+      } catch (e) {
+        if (e.code !== "RENDER_QUEUE_FULL") throw e;
+        await sleep(BUSY_RETRY_MS);
+      }
+    }
+  }
+
+  const provider = getProvider(spec.source);
+  let buf;
+  if (!spec.fill) {
+    const file = provider.tilePath(t.z, t.x, t.y);
+    if (!fileExistsNonEmpty(file)) return null;
+    buf = await fs.promises.readFile(file);
+  } else {
+    const r = await ensureVectorTile(t.z, t.x, t.y, { provider, priority: "background", L });
+    if (r.status === "empty") return null;
+    buf = r.data || await fs.promises.readFile(r.path);
+  }
+  return { data: isGzip(buf) ? buf : zlib.gzipSync(buf) }; // MBTiles pbf rows are gzip-compressed
+}
+
+/**
+ * Write an MBTiles file for an export spec (see normalizeExportSpec).
+ * Writes to `<out>.tmp` and renames when complete.
+ * @returns {Promise<{file, written, missing, errors}>}
+ */
+async function exportMbtiles(rawSpec, { out, L, onProgress } = {}) {
+  const spec = normalizeExportSpec(rawSpec);
+  const style = getStyle(spec.style);
+  const file = out || path.join(EXPORT_DIR, spec.file);
+  const tmp = `${file}.tmp`;
+  ensureDir(path.dirname(file));
+  try { fs.unlinkSync(tmp); } catch {}
+
+  const { total } = countTiles(spec.bbox, spec.minzoom, spec.maxzoom);
+  const stats = { total, done: 0, written: 0, missing: 0, errors: 0 };
+  L?.log?.("EXPORT", `${spec.file}: ${total} tiles → ${file}${spec.fill ? "" : " (cached only)"}`);
+
+  const db = openMbtiles(tmp);
+  try {
+    const putMeta = db.prepare("INSERT OR REPLACE INTO metadata (name, value) VALUES (?, ?)");
+    db.transaction((rows) => { for (const [k, v] of Object.entries(rows)) putMeta.run(k, v); })(metadataRows(spec, style));
+
+    const putTile = db.prepare("INSERT OR REPLACE INTO tiles (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)");
+    const putBatch = db.transaction((rows) => { for (const r of rows) putTile.run(r.z, r.x, r.row, r.data); });
+
+    const it = iterateTiles(spec.bbox, spec.minzoom, spec.maxzoom);
+    let next = it.next();
+    while (!next.done) {
+      const batch = [];
+      while (!next.done && batch.length < SEED_CONCURRENCY * 4) {
+        batch.push(next.value);
+        next = it.next();
+      }
+
+      const results = await Promise.allSettled(batch.map(t => tileData(spec, style, t, L)));
+      const rows = [];
+      results.forEach((r, i) => {
+        const t = batch[i];
+        if (r.status === "rejected") {
+          stats.errors++;
+          L?.warn?.("EXPORT", `${t.z}/${t.x}/${t.y}: ${r.reason?.message || r.reason}`);
+        } else if (!r.value) {
+          stats.missing++;
+        } else {
+          rows.push({ z: t.z, x: t.x, row: Math.pow(2, t.z) - 1 - t.y, data: r.value.data });
+        }
+      });
+      putBatch(rows);
+      stats.written += rows.length;
+      stats.done += batch.length;
+      onProgress?.({ ...stats });
+    }
+
+    db.pragma("journal_mode = DELETE"); // single self-contained file for GPS apps
+  } finally {
+    db.close();
+  }
+
+  fs.renameSync(tmp, file);
+  L?.log?.("EXPORT", `${spec.file}: wrote ${stats.written} tiles (missing ${stats.missing}, errors ${stats.errors})`);
+  return { file, ...stats };
+}
+
+// ── Background export jobs (admin API) ─────────────────────────────────────────
+async function pump() {
+  if (running || !queue.length) return;
+  const { job, rawSpec, L } = queue.shift();
+  running = true;
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  try {
+    const r = await exportMbtiles(rawSpec, { L, onProgress: (p) => { job.progress = p; } });
+    job.status = "done";
+    job.path = r.file;
+    job.progress = r;
+  } catch (e) {
+    job.status = "failed";
+    job.error = e.message;
+    L?.err?.("EXPORT", `${job.id}: ${e.message}`);
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    running = false;
+    pump();
+  }
+}
+
+/**
+ * Queue an export (see normalizeExportSpec). Throws BAD_SEED_SPEC on invalid input.
+ * A spec whose file is already queued or being written gets that job back: both would
+ * write the same `<file>.tmp`.
+ */
+function startExportJob(rawSpec, { L } = {}) {
+  const spec = normalizeExportSpec(rawSpec); // validate before queuing
+  for (const other of exportsById.values()) {
+    if (other.file === spec.file && (other.status === "queued" || other.status === "running")) return other;
+  }
+  const job = {
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+    status: "queued",
+    spec,
+    file: spec.file,
+    progress: null,
+    createdAt: new Date().toISOString(),
+  };
+  exportsById.set(job.id, job);
+  queue.push({ job, rawSpec, L });
+  pump();
+  return job;
+}
+
+function getExportJob(id) {
+  return exportsById.get(id) || null;
+}
+
+function listExportJobs() {
+  return [...exportsById.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  normalizeExportSpec,
+  exportMbtiles,
+  startExportJob,
+  getExportJob,
+  listExportJobs,
+};
@@ -0,0 +1,107 @@
+// lib/metrics.js
+// Process-local metrics in the Prometheus text format (GET /metrics):
+// - counters and histograms are updated by the modules that own the work
+// - gauges are read at scrape time through a callback, so module state (inflight maps,
+//   queues) stays private to its module
+// Metric names are prefixed "qtopo_"; label values are escaped, help texts are not.
+const metrics = new Map(); // name → { type, help, labelNames, … }
+
+// Default buckets (seconds)
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(n => labels[n] ?? "").join("\u0000");
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function register(name, type, help, labelNames, extra = {}) {
+  if (metrics.has(name)) return metrics.get(name);
+  const m = { name, type, help, labelNames, series: new Map(), ...extra };
+  metrics.set(name, m);
+  return m;
+}
+
+/** Monotonic counter: counter(name, help, ["label"]).inc({ label: "v" }, n = 1) */
+function counter(name, help, labelNames = []) {
+  const m = register(name, "counter", help, labelNames);
+  return {
+    inc(labels, n = 1) {
+      const k = labelKey(labelNames, labels);
+      m.series.set(k, (m.series.get(k) || 0) + n);
+    },
+  };
+}
+
+/** Histogram of values (seconds): histogram(name, help, ["label"]).observe({ label: "v" }, 0.42) */
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const m = register(name, "histogram", help, labelNames, { buckets });
+  return {
+    observe(labels, v) {
+      const k = labelKey(labelNames, labels);
+      let s = m.series.get(k);
+      if (!s) m.series.set(k, s = { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      for (let i = 0; i < buckets.length; i++) if (v <= buckets[i]) s.counts[i]++;
+      s.sum += v;
+      s.count++;
+    },
+  };
+}
+
+/**
+ * Gauge read at scrape time. `collect()` returns a number, or
+ * [{ labels: { … }, value }] for labelled series.
+ */
+function gauge(name, help, collect, labelNames = []) {
+  register(name, "gauge", help, labelNames, { collect });
+}
+
+function renderMetric(m, lines) {
+  lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+
+  if (m.type === "gauge") {
+    let v;
+    try { v = m.collect(); } catch { return; }
+    const rows = Array.isArray(v) ? v : [{ labels: {}, value: v }];
+    for (const r of rows) {
+      if (r.value == null || Number.isNaN(r.value)) continue;
+      const values = m.labelNames.map(n => r.labels[n] ?? "");
+      lines.push(`${m.name}${formatLabels(m.labelNames, values)} ${Number(r.value)}`);
+    }
+    return;
+  }
+
+  for (const [k, s] of m.series) {
+    const values = m.labelNames.length ? k.split("\u0000") : [];
+    if (m.type === "counter") {
+      lines.push(`${m.name}${formatLabels(m.labelNames, values)} ${s}`);
+      continue;
+    }
+    m.buckets.forEach((le, i) => {
+      lines.push(`${m.name}_bucket${formatLabels(m.labelNames, values, `le="${le}"`)} ${s.counts[i]}`);
+    });
+    lines.push(`${m.name}_bucket${formatLabels(m.labelNames, values, 'le="+Inf"')} ${s.count}`);
+    lines.push(`${m.name}_sum${formatLabels(m.labelNames, values)} ${s.sum}`);
+    lines.push(`${m.name}_count${formatLabels(m.labelNames, values)} ${s.count}`);
+  }
+}
+
+/** All registered metrics as Prometheus text exposition (version 0.0.4). */
+function renderMetrics() {
+  const lines = [];
+  for (const m of metrics.values()) renderMetric(m, lines);
+  return lines.join("\n") + "\n";
+}
+
+/** Seconds since a process.hrtime.bigint() timestamp. */
+function secondsSince(t0) {
+  return Number(process.hrtime.bigint() - t0) / 1e9;
+}
+
+module.exports = { counter, histogram, gauge, renderMetrics, secondsSince };
@@ -0,0 +1,367 @@
+// lib/mvt.js
+// Minimal Mapbox Vector Tile (protobuf) reader and cutter:
+// - readFeatures(buf, { layers }) → decoded features (properties + tile-space geometry)
+//   of the layers whose name passes the filter
+// - overzoomTile(parentBuf, dz, dx, dy) → child tile dz zooms below the parent, child
+//   (dx, dy) within it (0 ≤ dx, dy < 2^dz)
+// - geometry is decoded, scaled by 2^dz, clipped to the child extent plus a small buffer
+//   and re-encoded; keys/values/ids/tags are copied through as raw bytes
+// - points outside are dropped, lines split at the clip edge, polygon rings clipped
+//   (Sutherland–Hodgman) with holes following their exterior ring
+// Gzip-compressed input is accepted; output is uncompressed.
+// scripts/check_mvt.js compares both against the decoder and clipper maplibre-gl uses.
+const zlib = require("zlib");
+
+const BUFFER = 1 / 64; // clip buffer as a fraction of the extent (64 units at 4096)
+const GEOM = { POINT: 1, LINESTRING: 2, POLYGON: 3 };
+const CMD = { MOVE_TO: 1, LINE_TO: 2, CLOSE_PATH: 7 };
+
+// ── Protobuf reading ───────────────────────────────────────────────────────────
+function reader(buf, start = 0, end = buf.length) {
+  return { buf, pos: start, end };
+}
+
+function readVarint(r) {
+  let result = 0, shift = 0, b;
+  do {
+    if (r.pos >= r.end) throw new Error("truncated varint");
+    b = r.buf[r.pos++];
+    result += (b & 0x7f) * Math.pow(2, shift); // no bit ops: ids may exceed 32 bits
+    shift += 7;
+  } while (b & 0x80);
+  return result;
+}
+
+// int64 (Value.int_value): negatives are ten-byte two's complement, which readVarint would
+// turn into a huge positive number. Magnitudes past 2^53 lose precision, like any JS number.
+function readInt64(r) {
+  const start = r.pos;
+  const n = readVarint(r);
+  if (r.pos - start < 10) return n; // non-negative values take at most 9 bytes
+  let big = 0n;
+  for (let i = r.pos - 1; i >= start; i--) big = (big << 7n) | BigInt(r.buf[i] & 0x7f);
+  return Number(BigInt.asIntN(64, big));
+}
+
+// Visit fields: fn(tag, wireType, r) must consume the value (or return false to skip it)
+function eachField(r, fn) {
+  while (r.pos < r.end) {
+    const key = readVarint(r);
+    const tag = Math.floor(key / 8), type = key & 7;
+    const before = r.pos;
+    if (fn(tag, type, r) !== false && r.pos !== before) continue;
+    skip(r, type);
+  }
+}
+
+function skip(r, type) {
+  if (type === 0) readVarint(r);
+  else if (type === 1) r.pos += 8;
+  else if (type === 2) { const len = readVarint(r); r.pos += len; }
+  else if (type === 5) r.pos += 4;
+  else throw new Error(`unsupported wire type ${type}`);
+}
+
+// Length-delimited value as a sub-reader
+function sub(r) {
+  const len = readVarint(r);
+  const s = reader(r.buf, r.pos, r.pos + len);
+  r.pos += len;
+  return s;
+}
+
+function packedUints(r) {
+  const s = sub(r), out = [];
+  while (s.pos < s.end) out.push(readVarint(s));
+  return out;
+}
+
+function readFixed(r, bytes) {
+  if (r.pos + bytes > r.end) throw new Error("truncated fixed field");
+  const v = bytes === 4 ? r.buf.readFloatLE(r.pos) : r.buf.readDoubleLE(r.pos);
+  r.pos += bytes;
+  return v;
+}
+
+// ── Protobuf writing ───────────────────────────────────────────────────────────
+function varintBytes(n) {
+  const out = [];
+  while (n >= 0x80) {
+    out.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  out.push(n);
+  return Buffer.from(out);
+}
+
+const keyBytes = (tag, type) => varintBytes(tag * 8 + type);
+const varintField = (tag, n) => Buffer.concat([keyBytes(tag, 0), varintBytes(n)]);
+const bytesField = (tag, buf) => Buffer.concat([keyBytes(tag, 2), varintBytes(buf.length), buf]);
+const packedField = (tag, nums) => bytesField(tag, Buffer.concat(nums.map(varintBytes)));
+
+// ── Geometry commands ──────────────────────────────────────────────────────────
+const zigzag = (n) => (n << 1) ^ (n >> 31);
+const unzigzag = (n) => (n >>> 1) ^ -(n & 1);
+
+// command stream → parts ([[x, y], …]); polygon rings come without the closing point
+function decodeGeometry(cmds) {
+  const parts = [];
+  let x = 0, y = 0, part = null, i = 0;
+  while (i < cmds.length) {
+    const id = cmds[i] & 7, count = cmds[i] >>> 3;
+    i++;
+    if (id === CMD.CLOSE_PATH) { part = null; continue; }
+    for (let k = 0; k < count; k++) {
+      x += unzigzag(cmds[i++]);
+      y += unzigzag(cmds[i++]);
+      if (id === CMD.MOVE_TO) parts.push(part = [[x, y]]);
+      else part?.push([x, y]);
+    }
+  }
+  return parts;
+}
+
+function encodeGeometry(type, parts) {
+  const out = [];
+  let cx = 0, cy = 0;
+  const point = ([x, y]) => {
+    out.push(zigzag(x - cx), zigzag(y - cy));
+    cx = x; cy = y;
+  };
+  if (type === GEOM.POINT) {
+    out.push(CMD.MOVE_TO | (parts.length << 3));
+    for (const [p] of parts) point(p);
+    return out;
+  }
+  for (const part of parts) {
+    out.push(CMD.MOVE_TO | (1 << 3));
+    point(part[0]);
+    out.push(CMD.LINE_TO | ((part.length - 1) << 3));
+    for (let k = 1; k < part.length; k++) point(part[k]);
+    if (type === GEOM.POLYGON) out.push(CMD.CLOSE_PATH | (1 << 3));
+  }
+  return out;
+}
+
+// ── Clipping (child coordinates; rect = [min, max] on both axes) ───────────────
+function clipPoints(parts, min, max) {
+  return parts.filter(([[x, y]]) => x >= min && x <= max && y >= min && y <= max);
+}
+
+// Liang–Barsky per segment; consecutive visible pieces are joined into one line
+function clipLines(parts, min, max) {
+  const out = [];
+  for (const line of parts) {
+    let cur = null;
+    for (let k = 1; k < line.length; k++) {
+      const [x1, y1] = line[k - 1], [x2, y2] = line[k];
+      const dx = x2 - x1, dy = y2 - y1;
+      let t0 = 0, t1 = 1, visible = true;
+      for (const [p, q] of [[-dx, x1 - min], [dx, max - x1], [-dy, y1 - min], [dy, max - y1]]) {
+        if (p === 0) { if (q < 0) { visible = false; break; } continue; }
+        const t = q / p;
+        if (p < 0) { if (t > t1) { visible = false; break; } if (t > t0) t0 = t; }
+        else { if (t < t0) { visible = false; break; } if (t < t1) t1 = t; }
+      }
+      if (!visible) { cur = null; continue; }
+      const a = [x1 + t0 * dx, y1 + t0 * dy], b = [x1 + t1 * dx, y1 + t1 * dy];
+      if (!cur || t0 > 0) out.push(cur = [a]);
+      cur.push(b);
+      if (t1 < 1) cur = null;
+    }
+  }
+  return out;
+}
+
+// Sutherland–Hodgman against the four edges; keeps the ring's winding
+function clipRing(ring, min, max) {
+  const edges = [
+    (p) => p[0] >= min, (p) => p[0] <= max, (p) => p[1] >= min, (p) => p[1] <= max,
+  ];
+  const cross = [
+    (a, b) => lerpAt(a, b, 0, min), (a, b) => lerpAt(a, b, 0, max),
+    (a, b) => lerpAt(a, b, 1, min), (a, b) => lerpAt(a, b, 1, max),
+  ];
+  let pts = ring;
+  for (let e = 0; e < 4 && pts.length; e++) {
+    const inside = edges[e], out = [];
+    for (let k = 0; k < pts.length; k++) {
+      const cur = pts[k], prev = pts[(k + pts.length - 1) % pts.length];
+      if (inside(cur)) {
+        if (!inside(prev)) out.push(cross[e](prev, cur));
+        out.push(cur);
+      } else if (inside(prev)) {
+        out.push(cross[e](prev, cur));
+      }
+    }
+    pts = out;
+  }
+  return pts;
+}
+
+function lerpAt(a, b, axis, v) {
+  const t = (v - a[axis]) / (b[axis] - a[axis]);
+  return axis === 0 ? [v, a[1] + t * (b[1] - a[1])] : [a[0] + t * (b[0] - a[0]), v];
+}
+
+function ringArea(ring) {
+  let sum = 0;
+  for (let k = 0, j = ring.length - 1; k < ring.length; j = k++) {
+    sum += ring[j][0] * ring[k][1] - ring[k][0] * ring[j][1];
+  }
+  return sum / 2;
+}
+
+// Integer coordinates without repeated points
+function roundPart(part) {
+  const out = [];
+  for (const [x, y] of part) {
+    const p = [Math.round(x), Math.round(y)];
+    const last = out[out.length - 1];
+    if (!last || last[0] !== p[0] || last[1] !== p[1]) out.push(p);
+  }
+  return out;
+}
+
+// Exterior rings have positive area (MVT spec, y down); holes follow their exterior
+function clipPolygons(rings, min, max) {
+  const out = [];
+  let keepHoles = false;
+  for (const ring of rings) {
+    const exterior = ringArea(ring) > 0;
+    if (!exterior && !keepHoles) continue;
+    let r = roundPart(clipRing(ring, min, max));
+    if (r.length > 1 && r[0][0] === r[r.length - 1][0] && r[0][1] === r[r.length - 1][1]) r = r.slice(0, -1);
+    const ok = r.length >= 3 && ringArea(r) !== 0;
+    if (exterior) keepHoles = ok;
+    if (ok) out.push(r);
+  }
+  return out;
+}
+
+// ── Layers ─────────────────────────────────────────────────────────────────────
+function cutFeature(fr, scale, ox, oy, min, max) {
+  let type = 0, geometry = null;
+  const raw = []; // id / tags / unknown fields, copied through
+  eachField(fr, (tag, wire, r) => {
+    const start = r.pos;
+    if (tag === 3 && wire === 0) { type = readVarint(r); return; }
+    if (tag === 4 && wire === 2) { geometry = packedUints(r); return; }
+    skip(r, wire);
+    raw.push(Buffer.concat([keyBytes(tag, wire), r.buf.subarray(start, r.pos)]));
+  });
+  if (!geometry || !type) return null;
+
+  const parts = decodeGeometry(geometry).map(part => part.map(([x, y]) => [x * scale - ox, y * scale - oy]));
+  let clipped;
+  if (type === GEOM.POINT) clipped = clipPoints(parts, min, max).map(roundPart);
+  else if (type === GEOM.LINESTRING) clipped = clipLines(parts, min, max).map(roundPart).filter(p => p.length >= 2);
+  else if (type === GEOM.POLYGON) clipped = clipPolygons(parts, min, max);
+  else return null;
+  if (!clipped.length) return null;
+
+  return Buffer.concat([...raw, varintField(3, type), packedField(4, encodeGeometry(type, clipped))]);
+}
+
+function cutLayer(lr, dz, dx, dy) {
+  let extent = 4096;
+  const features = [], others = [];
+  eachField(reader(lr.buf, lr.pos, lr.end), (tag, wire, r) => {
+    if (tag === 5 && wire === 0) extent = readVarint(r);
+  });
+  const scale = Math.pow(2, dz), ox = dx * extent, oy = dy * extent;
+  const buffer = Math.round(extent * BUFFER), min = -buffer, max = extent + buffer;
+
+  eachField(lr, (tag, wire, r) => {
+    const start = r.pos;
+    if (tag === 2 && wire === 2) {
+      const f = cutFeature(sub(r), scale, ox, oy, min, max);
+      if (f) features.push(bytesField(2, f));
+      return;
+    }
+    skip(r, wire);
+    others.push(Buffer.concat([keyBytes(tag, wire), r.buf.subarray(start, r.pos)]));
+  });
+  return features.length ? Buffer.concat([...others, ...features]) : null;
+}
+
+// ── Decoding ───────────────────────────────────────────────────────────────────
+// Value message: string | float | double | int | uint | sint | bool
+function readValue(r) {
+  let v = null;
+  eachField(r, (tag, wire, f) => {
+    if (tag === 1 && wire === 2) { const s = sub(f); v = s.buf.toString("utf8", s.pos, s.end); }
+    else if (tag === 2 && wire === 5) v = readFixed(f, 4);
+    else if (tag === 3 && wire === 1) v = readFixed(f, 8);
+    else if (tag === 4 && wire === 0) v = readInt64(f);
+    else if (tag === 5 && wire === 0) v = readVarint(f);
+    else if (tag === 6 && wire === 0) { const n = readVarint(f); v = n % 2 ? -(n + 1) / 2 : n / 2; }
+    else if (tag === 7 && wire === 0) v = readVarint(f) !== 0;
+    else return false;
+  });
+  return v;
+}
+
+function readLayer(lr) {
+  const layer = { name: "", extent: 4096, features: [] };
+  const keys = [], values = [], raw = [];
+  eachField(lr, (tag, wire, r) => {
+    if (tag === 1 && wire === 2) { const s = sub(r); layer.name = s.buf.toString("utf8", s.pos, s.end); }
+    else if (tag === 2 && wire === 2) raw.push(sub(r));
+    else if (tag === 3 && wire === 2) { const s = sub(r); keys.push(s.buf.toString("utf8", s.pos, s.end)); }
+    else if (tag === 4 && wire === 2) values.push(readValue(sub(r)));
+    else if (tag === 5 && wire === 0) layer.extent = readVarint(r);
+    else return false;
+  });
+  return { layer, keys, values, raw };
+}
+
+/**
+ * Decoded features of the layers whose name passes `layers` (a function; all when omitted).
+ * Geometry stays in tile units (0..extent): { type: 1 point | 2 line | 3 polygon, parts: [[[x, y], …]] }.
+ * @returns {Array<{name, extent, features: Array<{type, properties, parts}>}>}
+ */
+function readFeatures(buf, { layers: want = () => true } = {}) {
+  if (buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+  const out = [];
+  eachField(reader(buf), (tag, wire, r) => {
+    if (tag !== 3 || wire !== 2) return false;
+    const { layer, keys, values, raw } = readLayer(sub(r));
+    if (!want(layer.name)) return;
+    for (const fr of raw) {
+      let type = 0, tags = [], geometry = [];
+      eachField(fr, (ftag, fwire, f) => {
+        if (ftag === 2 && fwire === 2) tags = packedUints(f);
+        else if (ftag === 3 && fwire === 0) type = readVarint(f);
+        else if (ftag === 4 && fwire === 2) geometry = packedUints(f);
+        else return false;
+      });
+      const properties = {};
+      for (let k = 0; k + 1 < tags.length; k += 2) {
+        if (keys[tags[k]] !== undefined) properties[keys[tags[k]]] = values[tags[k + 1]];
+      }
+      if (type) layer.features.push({ type, properties, parts: decodeGeometry(geometry) });
+    }
+    out.push(layer);
+  });
+  return out;
+}
+
+/**
+ * Child tile cut from a parent tile `dz` zooms up; (dx, dy) is the child's position
+ * inside the parent. Returns null when nothing of the parent reaches the child.
+ * @returns {Buffer|null}
+ */
+function overzoomTile(parentBuf, dz, dx, dy) {
+  const buf = parentBuf.length > 2 && parentBuf[0] === 0x1f && parentBuf[1] === 0x8b
+    ? zlib.gunzipSync(parentBuf) : parentBuf;
+  const layers = [];
+  eachField(reader(buf), (tag, wire, r) => {
+    if (tag !== 3 || wire !== 2) return false;
+    const layer = cutLayer(sub(r), dz, dx, dy);
+    if (layer) layers.push(bytesField(3, layer));
+  });
+  return layers.length ? Buffer.concat(layers) : null;
+}
+
+module.exports = { overzoomTile, readFeatures, GEOM };
@@ -0,0 +1,437 @@
+// lib/overlays.js
+// Uploaded overlays (GPS tracks, routes, waypoints, drawn areas):
+// - GPX, KML or GeoJSON in, stored as GeoJSON under OVERLAY_DIR: <id>.geojson, <id>.json
+//   (name, format, feature count, bbox, times) and the original <id>.gpx|kml
+// - GPX tracks/routes → LineString (MultiLineString for multi-segment tracks), waypoints → Point;
+//   KML Placemarks → Point/LineString/Polygon (MultiGeometry flattened), line/poly/icon colours
+//   → simplestyle properties (stroke, fill, marker-color), which the viewer and renderer honour
+// - uploads, replacements and deletes need ADMIN_TOKEN (server.js); at most OVERLAY_MAX_COUNT are kept
+// - raster tiles with ?overlay=<id>[,<id>] get them drawn on top, in their own cache tree
+//   (<variant>+<id>…, see utils.rasterVariant); replacing or deleting an overlay drops those trees.
+//   Each distinct set of ids is a full tree per style, size and format, so a request may name at
+//   most OVERLAY_MAX_PER_TILE (default 1: one tree per stored overlay); the cleaner's raster quota
+//   covers them like any other tree
+// The XML reader covers what GPX/KML exports contain (elements, attributes, text, CDATA);
+// no DTDs, no KMZ.
+const fs = require("fs");
+const path = require("path");
+const { OVERLAY_DIR, OVERLAY_MAX_MB, OVERLAY_MAX_COUNT, OVERLAY_MAX_PER_TILE } = require("./config");
+const { ensureDir } = require("./utils");
+const { geojsonBounds } = require("./static");
+const { listStyles, styleRasterRoot } = require("./styles");
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const FORMATS = ["gpx", "kml", "geojson"];
+
+let loaded = null; // Map id → meta
+
+function badSpec(msg) {
+  const e = new Error(msg); e.code = "BAD_OVERLAY_SPEC"; return e;
+}
+
+// ── XML ────────────────────────────────────────────────────────────────────────
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+const XML_TOKEN_RE = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const XML_ATTR_RE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] !== "#") return ENTITIES[e] ?? m;
+    const cp = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return cp > 0 && cp <= 0x10ffff ? String.fromCodePoint(cp) : m;
+  });
+}
+
+// Namespace prefixes are dropped (gx:Track → Track)
+const localName = (n) => n.slice(n.indexOf(":") + 1);
+
+/** XML text → root element { name, attrs, children, text }. */
+function parseXml(text) {
+  const root = { name: "", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  XML_TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = XML_TOKEN_RE.exec(text))) {
+    const top = stack[stack.length - 1];
+    if (m[1] !== undefined) top.text += m[1];
+    else if (m[2] !== undefined) {
+      const name = localName(m[2]);
+      const at = stack.map(el => el.name).lastIndexOf(name);
+      if (at > 0) stack.length = at; // unclosed children end with their parent
+    } else if (m[3] !== undefined) {
+      const el = { name: localName(m[3]), attrs: {}, children: [], text: "" };
+      for (const a of (m[4] || "").matchAll(XML_ATTR_RE)) el.attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3]);
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    } else if (m[6] !== undefined) top.text += decodeEntities(m[6]);
+  }
+  const doc = root.children[0];
+  if (!doc) throw badSpec("not an XML document");
+  return doc;
+}
+
+const kids = (el, name) => el.children.filter(c => c.name === name);
+const child = (el, name) => el.children.find(c => c.name === name);
+const childText = (el, name) => child(el, name)?.text.trim() || undefined;
+
+function descendants(el, name, out = []) {
+  for (const c of el.children) {
+    if (c.name === name) out.push(c);
+    else descendants(c, name, out);
+  }
+  return out;
+}
+
+// Drop undefined values (JSON would anyway; keeps the stored properties tidy)
+const props = (o) => Object.fromEntries(Object.entries(o).filter(([, v]) => v !== undefined));
+
+// ── GPX ────────────────────────────────────────────────────────────────────────
+function gpxPoint(pt) {
+  const lon = Number(pt.attrs.lon), lat = Number(pt.attrs.lat), ele = Number(childText(pt, "ele"));
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) return null;
+  return Number.isFinite(ele) ? [lon, lat, ele] : [lon, lat];
+}
+
+const gpxLine = (el, ptName) => kids(el, ptName).map(gpxPoint).filter(Boolean);
+
+function gpxToFeatures(doc) {
+  if (doc.name !== "gpx") return null;
+  const features = [];
+  for (const wpt of kids(doc, "wpt")) {
+    const c = gpxPoint(wpt);
+    if (!c) continue;
+    features.push({
+      type: "Feature",
+      properties: props({ name: childText(wpt, "name"), desc: childText(wpt, "desc"), ele: c[2], time: childText(wpt, "time") }),
+      geometry: { type: "Point", coordinates: c },
+    });
+  }
+  for (const rte of kids(doc, "rte")) {
+    const line = gpxLine(rte, "rtept");
+    if (line.length < 2) continue;
+    features.push({
+      type: "Feature",
+      properties: props({ name: childText(rte, "name"), desc: childText(rte, "desc"), kind: "route" }),
+      geometry: { type: "LineString", coordinates: line },
+    });
+  }
+  for (const trk of kids(doc, "trk")) {
+    const segs = kids(trk, "trkseg").map(seg => gpxLine(seg, "trkpt")).filter(l => l.length > 1);
+    if (!segs.length) continue;
+    features.push({
+      type: "Feature",
+      properties: props({ name: childText(trk, "name"), desc: childText(trk, "desc"), kind: "track" }),
+      geometry: segs.length === 1 ? { type: "LineString", coordinates: segs[0] } : { type: "MultiLineString", coordinates: segs },
+    });
+  }
+  return features;
+}
+
+// ── KML ────────────────────────────────────────────────────────────────────────
+// "lon,lat[,alt] lon,lat[,alt] …"
+function kmlCoords(el) {
+  const text = el && child(el, "coordinates")?.text.trim();
+  if (!text) return [];
+  return text.split(/\s+/).map(t => t.split(",").map(Number))
+    .filter(c => c.length >= 2 && c.every(Number.isFinite))
+    .map(([lon, lat, alt]) => (alt ? [lon, lat, alt] : [lon, lat]));
+}
+
+// KML colours are aabbggrr
+function kmlColor(el) {
+  const v = el && childText(el, "color");
+  if (!v || !/^[0-9a-f]{8}$/i.test(v)) return {};
+  return { color: `#${v.slice(6, 8)}${v.slice(4, 6)}${v.slice(2, 4)}`.toLowerCase(), opacity: parseInt(v.slice(0, 2), 16) / 255 };
+}
+
+function kmlStyleProps(style) {
+  if (!style) return {};
+  const line = child(style, "LineStyle"), poly = child(style, "PolyStyle"), icon = child(style, "IconStyle");
+  const lc = kmlColor(line), pc = kmlColor(poly), ic = kmlColor(icon);
+  const width = Number(line && childText(line, "width"));
+  const round2 = (v) => (v === undefined ? v : Math.round(v * 100) / 100);
+  return props({
+    stroke: lc.color, "stroke-opacity": round2(lc.opacity), "stroke-width": Number.isFinite(width) && width > 0 ? width : undefined,
+    fill: pc.color, "fill-opacity": round2(pc.opacity),
+    "marker-color": ic.color,
+  });
+}
+
+// Shared styles by id (Style, and StyleMap → its "normal" Style)
+function kmlStyles(doc) {
+  const styles = new Map();
+  for (const s of descendants(doc, "Style")) if (s.attrs.id) styles.set(`#${s.attrs.id}`, s);
+  for (const sm of descendants(doc, "StyleMap")) {
+    const pair = kids(sm, "Pair").find(p => childText(p, "key") === "normal");
+    const target = pair && (styles.get(childText(pair, "styleUrl")) || child(pair, "Style"));
+    if (sm.attrs.id && target) styles.set(`#${sm.attrs.id}`, target);
+  }
+  return styles;
+}
+
+function kmlGeometries(el, out = []) {
+  for (const g of el.children) {
+    if (g.name === "Point") {
+      const [c] = kmlCoords(g);
+      if (c) out.push({ type: "Point", coordinates: c });
+    } else if (g.name === "LineString" || g.name === "LinearRing") {
+      const line = kmlCoords(g);
+      if (line.length > 1) out.push({ type: "LineString", coordinates: line });
+    } else if (g.name === "Polygon") {
+      const rings = [
+        ...kids(g, "outerBoundaryIs"), ...kids(g, "innerBoundaryIs"),
+      ].map(b => kmlCoords(child(b, "LinearRing"))).filter(r => r.length > 3);
+      if (rings.length) out.push({ type: "Polygon", coordinates: rings });
+    } else if (g.name === "Track") { // gx:Track: <gx:coord>lon lat alt</gx:coord>
+      const line = kids(g, "coord").map(c => c.text.trim().split(/\s+/).map(Number))
+        .filter(c => c.length >= 2 && c.every(Number.isFinite)).map(([lon, lat, alt]) => (alt ? [lon, lat, alt] : [lon, lat]));
+      if (line.length > 1) out.push({ type: "LineString", coordinates: line });
+    } else if (g.name === "MultiGeometry" || g.name === "MultiTrack") {
+      kmlGeometries(g, out);
+    }
+  }
+  return out;
+}
+
+function kmlToFeatures(doc) {
+  if (doc.name !== "kml") return null;
+  const styles = kmlStyles(doc);
+  const features = [];
+  for (const pm of descendants(doc, "Placemark")) {
+    const style = child(pm, "Style") || styles.get(childText(pm, "styleUrl"));
+    const properties = props({ name: childText(pm, "name"), description: childText(pm, "description"), ...kmlStyleProps(style) });
+    for (const geometry of kmlGeometries(pm)) features.push({ type: "Feature", properties, geometry });
+  }
+  return features;
+}
+
+// ── GeoJSON ────────────────────────────────────────────────────────────────────
+function validCoords(c, depth) {
+  if (!Array.isArray(c)) return false;
+  if (depth === 0) {
+    return c.length >= 2 && c.every(v => typeof v === "number" && Number.isFinite(v)) &&
+      c[0] >= -180 && c[0] <= 180 && c[1] >= -90 && c[1] <= 90;
+  }
+  return c.every(v => validCoords(v, depth - 1));
+}
+
+const COORD_DEPTH = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
+
+function validGeometry(g) {
+  if (g?.type === "GeometryCollection") return Array.isArray(g.geometries) && g.geometries.every(validGeometry);
+  return Object.hasOwn(COORD_DEPTH, g?.type || "") && validCoords(g.coordinates, COORD_DEPTH[g.type]);
+}
+
+function geojsonToFeatures(text) {
+  let gj;
+  try { gj = JSON.parse(text); } catch { throw badSpec("not valid JSON"); }
+  const list = gj?.type === "FeatureCollection" ? gj.features
+    : gj?.type === "Feature" ? [gj]
+    : gj && typeof gj === "object" && gj.type ? [{ type: "Feature", properties: {}, geometry: gj }]
+    : null;
+  if (!Array.isArray(list)) throw badSpec("not a GeoJSON object");
+  const features = [];
+  for (const f of list) {
+    if (f?.type !== "Feature" || f.geometry == null) continue;
+    if (!validGeometry(f.geometry)) throw badSpec("GeoJSON has an invalid geometry (coordinates must be [lon, lat] in range)");
+    features.push({ type: "Feature", properties: f.properties && typeof f.properties === "object" ? f.properties : {}, geometry: f.geometry });
+  }
+  return features;
+}
+
+// ── Conversion ─────────────────────────────────────────────────────────────────
+const CONTENT_TYPES = {
+  "application/gpx+xml": "gpx",
+  "application/vnd.google-earth.kml+xml": "kml",
+  "application/geo+json": "geojson",
+  "application/json": "geojson",
+};
+
+// Explicit format, else the file extension, else the Content-Type, else a look at the content
+function detectFormat({ format, filename, contentType }, text) {
+  if (format) {
+    if (!FORMATS.includes(format)) throw badSpec(`format must be one of ${FORMATS.join(", ")}`);
+    return format;
+  }
+  const ext = path.extname(filename || "").slice(1).toLowerCase();
+  if (FORMATS.includes(ext)) return ext;
+  if (ext === "json") return "geojson";
+  const ct = CONTENT_TYPES[String(contentType || "").split(";")[0].trim().toLowerCase()];
+  if (ct) return ct;
+  const head = text.slice(0, 2048).trimStart();
+  if (head.startsWith("{")) return "geojson";
+  if (/<gpx[\s>]/.test(head)) return "gpx";
+  if (/<kml[\s>]/.test(head)) return "kml";
+  throw badSpec("can't tell the format: name the file .gpx, .kml or .geojson, or pass format");
+}
+
+/** Upload body (Buffer | string) → { format, geojson: FeatureCollection }. Throws BAD_OVERLAY_SPEC. */
+function convertOverlay(body, opts = {}) {
+  const text = Buffer.isBuffer(body) ? body.toString("utf8").replace(/^\uFEFF/, "") : String(body ?? "");
+  if (!text.trim()) throw badSpec("empty upload");
+  const format = detectFormat(opts, text);
+  let features;
+  if (format === "geojson") features = geojsonToFeatures(text);
+  else {
+    features = (format === "gpx" ? gpxToFeatures : kmlToFeatures)(parseXml(text));
+    if (!features) throw badSpec(`not a ${format.toUpperCase()} file`);
+  }
+  if (!features.length) throw badSpec("no tracks, routes, waypoints or shapes found");
+  return { format, geojson: { type: "FeatureCollection", features } };
+}
+
+// ── Store ──────────────────────────────────────────────────────────────────────
+const geojsonPath = (id) => path.join(OVERLAY_DIR, `${id}.geojson`);
+const metaPath = (id) => path.join(OVERLAY_DIR, `${id}.json`);
+
+/** Read the overlay index from OVERLAY_DIR (at boot; later calls reuse it). */
+function loadOverlays(L) {
+  ensureDir(OVERLAY_DIR);
+  loaded = new Map();
+  for (const f of fs.readdirSync(OVERLAY_DIR)) {
+    const id = f.slice(0, -".json".length);
+    if (!f.endsWith(".json") || !ID_RE.test(id)) continue;
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaPath(id), "utf8"));
+      if (fs.existsSync(geojsonPath(id))) loaded.set(id, { ...meta, id });
+    } catch (e) {
+      L?.warn?.("OVERLAY", `${f}: ${e.message}`);
+    }
+  }
+  L?.log?.("INIT", `Overlays: ${loaded.size} in ${OVERLAY_DIR} (up to ${OVERLAY_MAX_COUNT}, uploads up to ${OVERLAY_MAX_MB} MB)`);
+  return loaded;
+}
+
+function ensureLoaded() {
+  return loaded || loadOverlays();
+}
+
+function slug(s) {
+  return String(s || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-").replace(/^[-_]+|-+$/g, "").slice(0, 48);
+}
+
+// Cached raster tiles with this overlay burnt in (every style, size and format)
+function dropOverlayRasters(id, L) {
+  for (const entry of listStyles().values()) {
+    const root = styleRasterRoot(entry);
+    let variants = [];
+    try { variants = fs.readdirSync(root); } catch {}
+    for (const v of variants) {
+      if (!v.split("+").slice(1).includes(id)) continue;
+      fs.promises.rm(path.join(root, v), { recursive: true, force: true })
+        .catch(e => L?.warn?.("OVERLAY", `removing ${entry.name}/${v}: ${e.message}`));
+    }
+  }
+}
+
+const publicMeta = (m) => ({ ...m, url: `/api/overlays/${m.id}.geojson` });
+
+/**
+ * Convert and store an upload.
+ * in:  body, { id? (replace or create at that id), name?, filename?, format?, contentType? }
+ * Without an id one is made from the name (or file name), unique among the stored overlays.
+ * Throws err.code "BAD_OVERLAY_SPEC" on bad input, "OVERLAY_LIMIT" when OVERLAY_MAX_COUNT are stored
+ * and this would add another.
+ * @returns {{id, name, format, filename, features, bbox, created, updated, url}}
+ */
+function saveOverlay(body, { id, name, filename, format, contentType } = {}, { L } = {}) {
+  const overlays = ensureLoaded();
+  if (id != null && !ID_RE.test(id)) throw badSpec("id must be lowercase letters, digits, - or _ (up to 64)");
+  if (!(id != null && overlays.has(id)) && overlays.size >= OVERLAY_MAX_COUNT) {
+    const e = new Error(`overlay limit reached (${OVERLAY_MAX_COUNT}); delete one first`);
+    e.code = "OVERLAY_LIMIT";
+    throw e;
+  }
+  const converted = convertOverlay(body, { format, filename, contentType });
+  const base = path.basename(filename || "", path.extname(filename || ""));
+  const displayName = String(name || base || id || "overlay").trim().slice(0, 120);
+
+  if (id == null) {
+    const stem = slug(displayName) || "overlay";
+    id = stem;
+    for (let n = 2; overlays.has(id); n++) id = `${stem}-${n}`;
+  }
+  const prev = overlays.get(id);
+  const now = new Date().toISOString();
+  const meta = {
+    id,
+    name: displayName,
+    format: converted.format,
+    filename: filename ? path.basename(String(filename)) : null,
+    features: converted.geojson.features.length,
+    bbox: geojsonBounds(converted.geojson),
+    created: prev?.created || now,
+    updated: now,
+  };
+
+  // tmp + rename: render workers may be reading the previous version
+  const write = (file, data) => {
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, data);
+    fs.renameSync(tmp, file);
+  };
+  ensureDir(OVERLAY_DIR);
+  write(geojsonPath(id), JSON.stringify(converted.geojson));
+  for (const f of FORMATS) if (f !== "geojson") fs.rmSync(path.join(OVERLAY_DIR, `${id}.${f}`), { force: true });
+  if (converted.format !== "geojson") write(path.join(OVERLAY_DIR, `${id}.${converted.format}`), body);
+  write(metaPath(id), JSON.stringify(meta, null, 2));
+  overlays.set(id, meta);
+  if (prev) dropOverlayRasters(id, L);
+
+  L?.log?.("OVERLAY", `${prev ? "replaced" : "added"} ${id} (${meta.format}, ${meta.features} features)`);
+  return publicMeta(meta);
+}
+
+/** Stored overlays, newest first. */
+function listOverlays() {
+  return [...ensureLoaded().values()].sort((a, b) => b.updated.localeCompare(a.updated)).map(publicMeta);
+}
+
+/** Overlay metadata or null. */
+function getOverlay(id) {
+  const m = ensureLoaded().get(id);
+  return m ? publicMeta(m) : null;
+}
+
+/** Path of an overlay's GeoJSON, or null when unknown. */
+function overlayGeojsonPath(id) {
+  return ensureLoaded().has(id) ? geojsonPath(id) : null;
+}
+
+/** Remove an overlay and the raster tiles drawn with it; false when unknown. */
+function deleteOverlay(id, { L } = {}) {
+  const overlays = ensureLoaded();
+  if (!overlays.has(id)) return false;
+  overlays.delete(id);
+  for (const f of [metaPath(id), geojsonPath(id), ...FORMATS.map(f => path.join(OVERLAY_DIR, `${id}.${f}`))]) {
+    fs.rmSync(f, { force: true });
+  }
+  dropOverlayRasters(id, L);
+  L?.log?.("OVERLAY", `deleted ${id}`);
+  return true;
+}
+
+/**
+ * ?overlay= of a raster request ("trip1,trip2") → [{ id, path, bbox }] sorted by id, so the
+ * same set always maps to the same cache tree; [] when empty.
+ * Throws err.code "BAD_OVERLAY_SPEC" for unknown ids or more than OVERLAY_MAX_PER_TILE.
+ */
+function resolveOverlays(param) {
+  if (param == null || param === "") return [];
+  const ids = [...new Set(String(param).split(",").map(s => s.trim()).filter(Boolean))].sort();
+  if (ids.length > OVERLAY_MAX_PER_TILE) {
+    throw badSpec(`at most ${OVERLAY_MAX_PER_TILE} overlay${OVERLAY_MAX_PER_TILE === 1 ? "" : "s"} per tile`);
+  }
+  const overlays = ensureLoaded();
+  return ids.map((id) => {
+    const m = overlays.get(id);
+    if (!m) throw badSpec(`unknown overlay "${id}"`);
+    return { id, path: geojsonPath(id), bbox: m.bbox };
+  });
+}
+
+module.exports = {
+  loadOverlays, convertOverlay, saveOverlay, listOverlays, getOverlay, overlayGeojsonPath, deleteOverlay,
+  resolveOverlays,
+};
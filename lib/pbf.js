@@ -1,66 +1,255 @@
 // lib/pbf.js
 const fs = require("fs");
 const path = require("path");
+const { VECTOR_REVALIDATE_HOURS, OFFLINE, UPSTREAM_TIMEOUT_MS } = require("./config");
 const { ensureDir, fileExistsNonEmpty } = require("./utils");
+const { archiveFor } = require("./archives");
+const { fetchUpstream, promoteUpstream, offlineError } = require("./upstream");
+const { gauge } = require("./metrics");
+const { tileInServiceArea } = require("./bounds");
+const { overzoomTile } = require("./mvt");
+
+const REVALIDATE_CONCURRENCY = 4; // background conditional requests at once; extra stale hits wait for the next serve
 
 // in-flight dedupe
 const inflight = new Map();
+// keys being revalidated in the background
+const revalidating = new Set();
+// (provider, z, x, y) listeners for tiles whose content changed upstream
+const changeListeners = [];
+
+gauge("qtopo_vector_inflight", "Vector tile lookups/downloads in progress (deduped by tile)", () => inflight.size);
+gauge("qtopo_vector_revalidating", "Stale vector tiles being revalidated in the background", () => revalidating.size);
+
+// Upstream validators live next to the tile: <y>.pbf.meta = { etag, lastModified, checkedAt }
+function metaPath(file) {
+  return `${file}.meta`;
+}
+
+function readMeta(file) {
+  try { return JSON.parse(fs.readFileSync(metaPath(file), "utf8")); } catch { return null; }
+}
+
+// A 304 may omit validators: keep the previous ones
+function validatorsOf(res, prev) {
+  return {
+    etag: res.headers.get("etag") || prev?.etag || undefined,
+    lastModified: res.headers.get("last-modified") || prev?.lastModified || undefined,
+  };
+}
+
+function writeMeta(file, { etag, lastModified }) {
+  const meta = { etag, lastModified, checkedAt: new Date().toISOString() };
+  try {
+    if (meta.etag || meta.lastModified) fs.writeFileSync(metaPath(file), JSON.stringify(meta));
+    else fs.rmSync(metaPath(file), { force: true });
+  } catch {}
+}
+
+// tmp + rename: the render worker may be reading the old file
+function writeTile(file, buf) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, buf);
+  fs.renameSync(tmp, file);
+}
+
+function isStale(file) {
+  if (!Number.isFinite(VECTOR_REVALIDATE_HOURS)) return false;
+  try {
+    return Date.now() - fs.statSync(file).mtimeMs > VECTOR_REVALIDATE_HOURS * 3600 * 1000;
+  } catch { return false; }
+}
+
+/** Call fn(provider, z, x, y) when revalidation finds a cached tile changed upstream. */
+function onVectorTileChange(fn) {
+  changeListeners.push(fn);
+}
+
+/**
+ * Conditional GET for a cached tile (If-None-Match / If-Modified-Since from the sidecar).
+ * 304 → mtime bumped (fresh again, not due for TTL cleanup); new bytes → file replaced and
+ * change listeners told; gone upstream (404/204/empty) → tile removed.
+ */
+async function revalidateVectorTile(z, x, y, { provider, timeoutMs = UPSTREAM_TIMEOUT_MS, priority = "background", L }) {
+  const key = `${provider.name}:${z}/${x}/${y}`;
+  const file = provider.tilePath(z, x, y);
+  const meta = readMeta(file);
+  const headers = { ...provider.headers };
+  if (meta?.etag) headers["If-None-Match"] = meta.etag;
+  if (meta?.lastModified) headers["If-Modified-Since"] = meta.lastModified;
+
+  const { res, buf } = await fetchUpstream(provider, provider.tileUrl(z, x, y), { headers, timeoutMs, priority, L });
+  const now = new Date();
+
+  if (res.status === 304) {
+    fs.utimesSync(file, now, now);
+    writeMeta(file, validatorsOf(res, meta));
+    return "unchanged";
+  }
+
+  let changed;
+  if (res.status === 404 || res.status === 204 || (res.ok && buf.length === 0)) {
+    fs.rmSync(file, { force: true });
+    fs.rmSync(metaPath(file), { force: true });
+    changed = "removed";
+  } else if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
+  } else if (buf.equals(fs.readFileSync(file))) {
+    fs.utimesSync(file, now, now); // no validators upstream, same bytes
+    writeMeta(file, validatorsOf(res));
+    return "unchanged";
+  } else {
+    writeTile(file, buf);
+    writeMeta(file, validatorsOf(res));
+    changed = "updated";
+  }
+
+  L?.log?.("PBF-REVAL", `${key}: ${changed} upstream`);
+  for (const fn of changeListeners) {
+    try { fn(provider, z, x, y); } catch (e) { L?.err?.("PBF-REVAL", `${key}: listener failed: ${e.message}`); }
+  }
+  return changed;
+}
+
+// Fire-and-forget revalidation of a stale tile (deduped, bounded)
+function revalidateInBackground(z, x, y, opts) {
+  const key = `${opts.provider.name}:${z}/${x}/${y}`;
+  if (OFFLINE || revalidating.has(key) || revalidating.size >= REVALIDATE_CONCURRENCY) return;
+  revalidating.add(key);
+  revalidateVectorTile(z, x, y, opts)
+    .catch((e) => opts.L?.warn?.("PBF-REVAL", `${key}: ${e.message}; serving stale`))
+    .finally(() => revalidating.delete(key));
+}
+
+/** Revalidate a cached tile in the background when it is stale (never downloads a missing one). */
+function revalidateIfStale(z, x, y, { provider, L }) {
+  if (z > provider.maxzoom) {
+    // overzoomed tiles come from the native maxzoom tile above them
+    const dz = z - provider.maxzoom;
+    [z, x, y] = [provider.maxzoom, x >> dz, y >> dz];
+  }
+  const file = provider.tilePath(z, x, y);
+  if (isStale(file)) revalidateInBackground(z, x, y, { provider, L });
+}
+
+// ── Overzoom ───────────────────────────────────────────────────────────────────
+const mtimeMs = (file) => { try { return fs.statSync(file).mtimeMs; } catch { return 0; } };
+
+// z > provider.maxzoom: cut from the native tile above. A cached cut is reused until that
+// tile is rewritten (revalidated/replaced), then cut again.
+async function overzoomVectorTile(z, x, y, file, { provider, timeoutMs, priority, L }) {
+  const dz = z - provider.maxzoom;
+  const px = x >> dz, py = y >> dz;
+  const parent = await ensureVectorTile(provider.maxzoom, px, py, { provider, timeoutMs, priority, L });
+  if (parent.status === "empty") return { status: "empty", path: file, overzoomed: true };
+
+  const cached = mtimeMs(file);
+  if (cached && (parent.data || cached >= mtimeMs(parent.path))) {
+    return { status: "ok", path: file, fromCache: true, stale: parent.stale, overzoomed: true };
+  }
+
+  const buf = overzoomTile(parent.data || fs.readFileSync(parent.path), dz, x - (px << dz), y - (py << dz));
+  if (!buf) {
+    fs.rmSync(file, { force: true });
+    return { status: "empty", path: file, overzoomed: true };
+  }
+  ensureDir(path.dirname(file));
+  writeTile(file, buf);
+  L?.debug?.("PBF-OVZ", `${provider.name} ${z}/${x}/${y} from ${provider.maxzoom}/${px}/${py} (${buf.length} B)`);
+  return { status: "ok", path: file, fromCache: false, overzoomed: true };
+}
 
 /**
  * Ensure a vector tile exists on disk; download if missing.
- * @returns {Promise<{status:'ok'|'empty', path:string, fromCache?:boolean}>}
+ * `provider` comes from lib/providers (URL template, headers, zoom range, bounds, cache dir).
+ * Tiles outside the provider's zoom range/bounds are "empty" without an upstream call, as are
+ * tiles outside SERVICE_BOUNDS (lib/bounds; `outside`, not even looked up in an archive).
+ * A provider archive (lib/archives) is consulted first; its tiles come back as `data`
+ * (no file is written, `path` is null).
+ * Cached tiles older than VECTOR_REVALIDATE_HOURS are returned as they are (`stale`)
+ * and revalidated against the upstream in the background.
+ * Upstream outages (lib/upstream: retries exhausted, circuit open, queue full, OFFLINE) reject
+ * with err.code "UPSTREAM_UNAVAILABLE" / "UPSTREAM_BUSY" / "UPSTREAM_OFFLINE"; nothing is written.
+ * `priority` "interactive" (default; a client is waiting) or "background" (seeding, exports).
+ * Above the provider's native `maxzoom` (up to `overzoom`) tiles are cut from the maxzoom
+ * tile over them (lib/mvt) and cached like any other (`overzoomed`).
+ * @returns {Promise<{status:'ok'|'empty', path:string|null, data?:Buffer, fromCache?:boolean, fromArchive?:boolean, stale?:boolean, outside?:boolean, overzoomed?:boolean}>}
  */
 async function ensureVectorTile(z, x, y, {
-  vectorDir,
-  upstreamUrlBuilder,
-  timeoutMs = 15000,
+  provider,
+  timeoutMs = UPSTREAM_TIMEOUT_MS,
+  priority = "interactive",
   L, // logger (optional)
 }) {
-  const key = `${z}/${x}/${y}`;
-  if (inflight.has(key)) return inflight.get(key);
+  const key = `${provider.name}:${z}/${x}/${y}`;
+  if (inflight.has(key)) {
+    if (priority === "interactive") promoteUpstream(provider.tileUrl(z, x, y));
+    return inflight.get(key);
+  }
 
   const p = (async () => {
-    const file = path.join(vectorDir, String(z), String(x), `${y}.pbf`);
+    const file = provider.tilePath(z, x, y);
+    if (!tileInServiceArea(z, x, y)) return { status: "empty", path: file, outside: true };
+
+    const archive = archiveFor(provider.name);
+    if (archive) {
+      try {
+        const hit = await archive.getTile(z, x, y);
+        if (hit?.status === "ok") return { status: "ok", path: null, data: hit.data, fromCache: true, fromArchive: true };
+        if (hit?.status === "empty") return { status: "empty", path: file, fromArchive: true };
+      } catch (e) {
+        L?.warn?.("ARCHIVE", `${key}: ${e.message}; falling back to cache/upstream`);
+      }
+    }
+
+    if (!provider.covers(z, x, y)) {
+      return { status: "empty", path: file };
+    }
+
+    if (z > provider.maxzoom) return overzoomVectorTile(z, x, y, file, { provider, timeoutMs, priority, L });
+
     ensureDir(path.dirname(file));
 
     if (fileExistsNonEmpty(file)) {
+      if (isStale(file)) {
+        revalidateInBackground(z, x, y, { provider, timeoutMs, L });
+        return { status: "ok", path: file, fromCache: true, stale: true };
+      }
       return { status: "ok", path: file, fromCache: true };
     }
 
-    const url = upstreamUrlBuilder(z, x, y);
-    L?.log?.("PBF-GET", `/${z}/${x}/${y}/ ${url}`);
+    if (OFFLINE) throw offlineError();
+
+    const url = provider.tileUrl(z, x, y);
+    L?.log?.("PBF-GET", `${provider.name} /${z}/${x}/${y}/ ${url}`);
 
-    const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
     try {
-      const res = await fetch(url, { signal: ctrl.signal });
+      const { res, buf } = await fetchUpstream(provider, url, { timeoutMs, priority, L });
       if (!res.ok) {
         if (res.status === 404 || res.status === 204) {
-          L?.warn?.("PBF", `${z}/${x}/${y}: upstream ${res.status}; treating as empty`);
+          L?.warn?.("PBF", `${key}: upstream ${res.status}; treating as empty`);
           return { status: "empty", path: file };
         }
         throw new Error(`HTTP ${res.status}`);
       }
-      const buf = Buffer.from(await res.arrayBuffer());
       if (buf.length === 0) {
         const e = new Error("PBF Empty"); e.code = "EMPTY_PBF";
         throw e;
       }
-      fs.writeFileSync(file, buf);
+      writeTile(file, buf);
+      writeMeta(file, validatorsOf(res));
       return { status: "ok", path: file, fromCache: false };
     } catch (err) {
-      if (err.name === "AbortError") {
-        L?.err?.("PBF-ERR", `${z}/${x}/${y}: timeout after ${timeoutMs}ms`);
+      if (err.code === "UPSTREAM_UNAVAILABLE") {
+        L?.warn?.("PBF", `${key}: ${err.message}`);
         throw err;
       }
       if (err.code === "EMPTY_PBF") {
-        L?.warn?.("PBF", `${z}/${x}/${y}: empty from upstream; serving blank`);
+        L?.warn?.("PBF", `${key}: empty from upstream; serving blank`);
         return { status: "empty", path: file };
       }
-      L?.err?.("PBF-ERR", `${z}/${x}/${y}: ${err.message}`);
+      L?.err?.("PBF-ERR", `${key}: ${err.message}`);
       throw err;
-    } finally {
-      clearTimeout(t);
     }
   })().finally(() => inflight.delete(key));
 
@@ -68,4 +257,4 @@ async function ensureVectorTile(z, x, y, {
   return p;
 }
 
-module.exports = { ensureVectorTile };
\ No newline at end of file
+module.exports = { ensureVectorTile, revalidateVectorTile, revalidateIfStale, onVectorTileChange };
@@ -0,0 +1,591 @@
+// lib/print.js
+// Printable map sheets (PNG or PDF) at a paper size, map scale and DPI.
+// - the map area is a Web Mercator mosaic of raster tiles (ensureRasterTile),
+//   picked at the zoom whose resolution covers the DPI and stitched with canvas
+// - around it: frame, grid (MGA/UTM or lat/lon) with edge labels, scale bar,
+//   north arrow, title and date
+// - jobs run one at a time (mosaics are large); files live in PRINT_DIR for a day
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { PRINT_DIR, PRINT_MAX_PX, TILE_PX } = require("./config");
+const { ensureDir } = require("./utils");
+const { lonToFrac, latToFrac, fracToLon, fracToLat, parseBbox } = require("./tiles");
+const { ensureRasterTile } = require("./raster");
+const { getStyle, styleAttribution, DEFAULT_STYLE } = require("./styles");
+
+const EARTH_CIRCUMFERENCE = 40075016.686; // m, Web Mercator sphere
+const MM_PER_INCH = 25.4;
+const PAPER_MM = {
+  A4: [210, 297],
+  A3: [297, 420],
+  A2: [420, 594],
+  A1: [594, 841],
+  Letter: [215.9, 279.4],
+};
+const MARGIN_MM = { top: 18, right: 12, bottom: 20, left: 12 }; // title above, scale bar/date below
+const GRIDS = ["utm", "latlon", "none"];
+const TILE_CONCURRENCY = 4;
+const BUSY_RETRY_MS = 1000;
+const PRINT_QUEUE_MAX = 8;
+const PRINT_KEEP_MS = 24 * 3600 * 1000;
+
+// id → job (public fields + runtime-only `_path`)
+const jobs = new Map();
+const queue = [];
+let running = false;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function bad(msg) {
+  const e = new Error(msg); e.code = "BAD_PRINT_SPEC"; return e;
+}
+
+// 1/2/2.5/5 × 10^n at or above v
+function niceCeil(v) {
+  const pow = Math.pow(10, Math.floor(Math.log10(v)));
+  for (const m of [1, 2, 2.5, 5, 10]) if (m * pow >= v - 1e-9) return m * pow;
+  return 10 * pow;
+}
+
+function formatScale(scale) {
+  return `1:${String(Math.round(scale)).replace(/\B(?=(\d{3})+(?!\d))/g, " ")}`;
+}
+
+// ── UTM / MGA (WGS84 ellipsoid; GDA94/GDA2020 differ by < 2 m) ──────────────────
+const UTM_A = 6378137;
+const UTM_F = 1 / 298.257223563;
+const UTM_E2 = UTM_F * (2 - UTM_F);
+const UTM_EP2 = UTM_E2 / (1 - UTM_E2);
+const UTM_K0 = 0.9996;
+const RAD = Math.PI / 180;
+
+function utmZone(lon) {
+  return Math.min(60, Math.floor((lon + 180) / 6) + 1);
+}
+
+function meridianArc(phi) {
+  const e2 = UTM_E2, e4 = e2 * e2, e6 = e4 * e2;
+  return UTM_A * ((1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi
+    - (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi)
+    + (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi)
+    - (35 * e6 / 3072) * Math.sin(6 * phi));
+}
+
+/** lon/lat → [easting, northing] in `zone` (southern hemisphere false northing when south). */
+function toUtm(lon, lat, zone, south) {
+  const phi = lat * RAD;
+  const lon0 = ((zone - 1) * 6 - 180 + 3) * RAD;
+  const sin = Math.sin(phi), cos = Math.cos(phi), tan = Math.tan(phi);
+  const N = UTM_A / Math.sqrt(1 - UTM_E2 * sin * sin);
+  const T = tan * tan, C = UTM_EP2 * cos * cos, A = cos * (lon * RAD - lon0);
+  const M = meridianArc(phi);
+  const e = UTM_K0 * N * (A + (1 - T + C) * A ** 3 / 6 + (5 - 18 * T + T * T + 72 * C - 58 * UTM_EP2) * A ** 5 / 120) + 500000;
+  const n = UTM_K0 * (M + N * tan * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24
+    + (61 - 58 * T + T * T + 600 * C - 330 * UTM_EP2) * A ** 6 / 720));
+  return [e, south ? n + 10000000 : n];
+}
+
+/** [easting, northing] in `zone` → [lon, lat]. */
+function fromUtm(e, n, zone, south) {
+  const x = e - 500000, y = south ? n - 10000000 : n;
+  const lon0 = (zone - 1) * 6 - 180 + 3;
+  const e2 = UTM_E2, e4 = e2 * e2, e6 = e4 * e2;
+  const mu = y / UTM_K0 / (UTM_A * (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+  const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+    + (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+    + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+    + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+  const sin = Math.sin(phi1), cos = Math.cos(phi1), tan = Math.tan(phi1);
+  const N1 = UTM_A / Math.sqrt(1 - e2 * sin * sin);
+  const T1 = tan * tan, C1 = UTM_EP2 * cos * cos;
+  const R1 = UTM_A * (1 - e2) / Math.pow(1 - e2 * sin * sin, 1.5);
+  const D = x / (N1 * UTM_K0);
+  const lat = phi1 - (N1 * tan / R1) * (D * D / 2
+    - (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * UTM_EP2) * D ** 4 / 24
+    + (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * UTM_EP2 - 3 * C1 * C1) * D ** 6 / 720);
+  const lon = (D - (1 + 2 * T1 + C1) * D ** 3 / 6
+    + (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * UTM_EP2 + 24 * T1 * T1) * D ** 5 / 120) / cos;
+  return [lon0 + lon / RAD, lat / RAD];
+}
+
+// ── Spec + layout ──────────────────────────────────────────────────────────────
+function parseScale(v) {
+  if (v == null || v === "") return null;
+  const n = Number(String(v).replace(/^1\s*:\s*/, "").replace(/[\s,_]/g, ""));
+  return Number.isFinite(n) && n >= 500 && n <= 10000000 ? n : NaN;
+}
+
+/**
+ * Normalise a print request and work out the sheet layout.
+ * in:  { center?: "lon,lat" | [lon, lat], bbox?, scale?, paper?, orientation?, dpi?,
+ *        format?: "pdf"|"png", grid?: "utm"|"latlon"|"none", title?, style? }
+ * A bbox without a scale picks the smallest round scale that fits it on the sheet.
+ * Throws with err.code === "BAD_PRINT_SPEC" on invalid input.
+ */
+function normalizePrintSpec(spec = {}) {
+  const paper = Object.keys(PAPER_MM).find(k => k.toLowerCase() === String(spec.paper || "A4").toLowerCase());
+  if (!paper) throw bad(`paper must be one of ${Object.keys(PAPER_MM).join(", ")}`);
+  const orientation = spec.orientation || "portrait";
+  if (orientation !== "portrait" && orientation !== "landscape") throw bad("orientation must be portrait or landscape");
+  const dpi = spec.dpi ? Number(spec.dpi) : 300;
+  if (!Number.isInteger(dpi) || dpi < 72 || dpi > 600) throw bad("dpi must be 72..600");
+  const format = spec.format || "pdf";
+  if (format !== "pdf" && format !== "png") throw bad("format must be pdf or png");
+  const grid = spec.grid || "utm";
+  if (!GRIDS.includes(grid)) throw bad(`grid must be one of ${GRIDS.join(", ")}`);
+  const title = String(spec.title ?? "").trim().slice(0, 120);
+  const styleName = spec.style || DEFAULT_STYLE;
+  if (!getStyle(styleName)) throw bad(`unknown style "${styleName}"`);
+
+  const [pw, ph] = PAPER_MM[paper];
+  const pageMm = orientation === "portrait" ? [pw, ph] : [ph, pw];
+  const mapMm = [pageMm[0] - MARGIN_MM.left - MARGIN_MM.right, pageMm[1] - MARGIN_MM.top - MARGIN_MM.bottom];
+  const mapPx = mapMm.map(mm => Math.round(mm * dpi / MM_PER_INCH));
+  if (Math.max(...mapPx) > PRINT_MAX_PX) throw bad(`${paper} at ${dpi} dpi exceeds ${PRINT_MAX_PX} px; lower the dpi`);
+
+  let scale = parseScale(spec.scale);
+  if (Number.isNaN(scale)) throw bad("scale must look like 1:25000");
+
+  let center;
+  const bbox = spec.bbox != null && spec.bbox !== "" ? parseBbox(spec.bbox) : null;
+  if (spec.bbox != null && spec.bbox !== "" && !bbox) throw bad("bbox must be west,south,east,north");
+  if (bbox) {
+    const [w, s, e, n] = bbox;
+    center = [(w + e) / 2, fracToLat((latToFrac(n) + latToFrac(s)) / 2)];
+    if (!scale) {
+      const groundPerFrac = EARTH_CIRCUMFERENCE * Math.cos(center[1] * RAD); // m per world width at this lat
+      const gw = (lonToFrac(e) - lonToFrac(w)) * groundPerFrac;
+      const gh = (latToFrac(s) - latToFrac(n)) * groundPerFrac;
+      scale = niceCeil(Math.max(gw / (mapMm[0] / 1000), gh / (mapMm[1] / 1000)));
+    }
+  } else {
+    const c = Array.isArray(spec.center) ? spec.center.map(Number) : String(spec.center ?? "").split(",").map(Number);
+    if (c.length !== 2 || !c.every(Number.isFinite) || Math.abs(c[0]) > 180 || Math.abs(c[1]) > 85) {
+      throw bad("center (lon,lat) or bbox required");
+    }
+    center = c;
+  }
+  if (!scale) throw bad("scale required with center");
+
+  // output resolution: metres on the ground per px → world width in px at this lat
+  const groundPerPx = scale * (MM_PER_INCH / 1000) / dpi;
+  const worldPx = EARTH_CIRCUMFERENCE * Math.cos(center[1] * RAD) / groundPerPx;
+
+  // raster tiles: @2x for print DPIs; the lowest zoom at least as sharp as the sheet (≤ ~10% upscale)
+  const tilePx = TILE_PX;
+  const ratio = dpi >= 150 ? 2 : 1;
+  const zoom = Math.max(0, Math.min(20, Math.ceil(Math.log2(worldPx / (tilePx * ratio)) - 0.15)));
+
+  const cx = lonToFrac(center[0]), cy = latToFrac(center[1]);
+  const half = [mapPx[0] / 2 / worldPx, mapPx[1] / 2 / worldPx];
+  const frac = [cx - half[0], cy - half[1], cx + half[0], cy + half[1]]; // left, top, right, bottom
+  const outBbox = [fracToLon(frac[0]), fracToLat(frac[3]), fracToLon(frac[2]), fracToLat(frac[1])];
+  const n = Math.pow(2, zoom);
+  const tiles = (Math.floor(frac[2] * n) - Math.floor(frac[0] * n) + 1) * (Math.floor(frac[3] * n) - Math.floor(frac[1] * n) + 1);
+
+  return {
+    style: styleName, title, paper, orientation, dpi, format, grid,
+    scale, center, bbox: outBbox,
+    pageMm, mapMm, mapPx,
+    zoom, tilePx, ratio, tiles,
+    worldPx, frac,
+  };
+}
+
+/** Dry run: layout of a print request (bbox on the ground, zoom, tile count). */
+function planPrint(spec) {
+  const { worldPx: _w, frac: _f, ...plan } = normalizePrintSpec(spec);
+  return plan;
+}
+
+// ── Drawing ────────────────────────────────────────────────────────────────────
+// All sheet drawing is in page units; `k` = units per mm (PNG: px, PDF: pt).
+// Map coordinates: output px of the mosaic, (0, 0) = top-left of the map area.
+
+function mapToPage(p, px, py) {
+  return [p.mapX + px * p.pxToUnit, p.mapY + py * p.pxToUnit];
+}
+
+function lonLatToMapPx(p, lon, lat) {
+  return [(lonToFrac(lon) - p.frac[0]) * p.worldPx, (latToFrac(lat) - p.frac[1]) * p.worldPx];
+}
+
+async function drawMosaic(ctx, p, loadImage, L, onProgress) {
+  const n = Math.pow(2, p.zoom);
+  const [x1, x2] = [Math.max(0, Math.floor(p.frac[0] * n)), Math.min(n - 1, Math.floor(p.frac[2] * n))];
+  const [y1, y2] = [Math.max(0, Math.floor(p.frac[1] * n)), Math.min(n - 1, Math.floor(p.frac[3] * n))];
+  const style = getStyle(p.style);
+  const all = [];
+  for (let x = x1; x <= x2; x++) for (let y = y1; y <= y2; y++) all.push({ x, y });
+
+  const fetchTile = async ({ x, y }) => {
+    for (;;) {
+      try {
+        return await ensureRasterTile(p.zoom, x, y, { style, tilePx: p.tilePx, ratio: p.ratio, priority: "background", L });
+      } catch (e) {
+        if (e.code !== "RENDER_QUEUE_FULL") throw e;
+        await sleep(BUSY_RETRY_MS);
+      }
+    }
+  };
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(p.mapX, p.mapY, p.mapW, p.mapH);
+  ctx.clip();
+  let done = 0, failed = 0, firstError = null;
+  for (let i = 0; i < all.length; i += TILE_CONCURRENCY) {
+    const batch = all.slice(i, i + TILE_CONCURRENCY);
+    const results = await Promise.allSettled(batch.map(fetchTile));
+    for (let j = 0; j < batch.length; j++) {
+      const r = results[j], { x, y } = batch[j];
+      if (r.status === "rejected") {
+        failed++;
+        if (!firstError) firstError = r.reason?.message || String(r.reason);
+        continue;
+      }
+      if (r.value.status === "blank") continue;
+      // snap tile edges to whole page units: no hairline seams between tiles
+      const [left, top] = mapToPage(p, (x / n - p.frac[0]) * p.worldPx, (y / n - p.frac[1]) * p.worldPx);
+      const [right, bottom] = mapToPage(p, ((x + 1) / n - p.frac[0]) * p.worldPx, ((y + 1) / n - p.frac[1]) * p.worldPx);
+      const img = await loadImage(r.value.path);
+      const dx = Math.floor(left), dy = Math.floor(top);
+      ctx.drawImage(img, dx, dy, Math.ceil(right) - dx, Math.ceil(bottom) - dy);
+    }
+    done += batch.length;
+    onProgress?.({ done, total: all.length, failed });
+  }
+  ctx.restore();
+  if (failed === all.length) throw new Error(`all ${failed} tiles failed to render (${firstError})`);
+  if (failed) L?.warn?.("PRINT", `${failed}/${all.length} tiles failed (${firstError}); left blank`);
+}
+
+function gridStep(span, steps, maxLines) {
+  return steps.find(s => span / s <= maxLines) || steps[steps.length - 1];
+}
+
+// Where a polyline (page units) crosses x = v or y = v; returns the other coordinate
+function crossing(points, axis, v) {
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1][axis], b = points[i][axis];
+    if ((a - v) * (b - v) <= 0 && a !== b) {
+      const t = (v - a) / (b - a);
+      return points[i - 1][1 - axis] + t * (points[i][1 - axis] - points[i - 1][1 - axis]);
+    }
+  }
+  return null;
+}
+
+// Grid lines as page-unit polylines plus labels for the edges they cross
+function gridLines(p) {
+  const corners = [[0, 0], [p.mapPx[0], 0], [0, p.mapPx[1]], [p.mapPx[0], p.mapPx[1]], [p.mapPx[0] / 2, 0], [p.mapPx[0] / 2, p.mapPx[1]]]
+    .map(([x, y]) => [fracToLon(p.frac[0] + x / p.worldPx), fracToLat(p.frac[1] + y / p.worldPx)]);
+  const toPage = (lon, lat) => mapToPage(p, ...lonLatToMapPx(p, lon, lat));
+  const lines = []; // { points, label, vertical }
+
+  if (p.grid === "latlon") {
+    const [w, e] = [p.bbox[0], p.bbox[2]], [s, n] = [p.bbox[1], p.bbox[3]];
+    const steps = [0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600].map(m => m / 60);
+    const step = gridStep(Math.max(e - w, n - s), steps, 8);
+    const fmt = (deg, pos, neg) => {
+      const a = Math.abs(deg), d = Math.floor(a + 1e-9), mTot = (a - d) * 60;
+      const m = Math.floor(mTot + 1e-6), sec = Math.round((mTot - m) * 60);
+      return `${d}°${m || sec ? `${String(m).padStart(2, "0")}′` : ""}${sec ? `${String(sec).padStart(2, "0")}″` : ""}${deg < 0 ? neg : pos}`;
+    };
+    for (let lon = Math.ceil(w / step) * step; lon <= e; lon += step) {
+      lines.push({ points: [toPage(lon, n), toPage(lon, s)], label: fmt(lon, "E", "W"), vertical: true });
+    }
+    for (let lat = Math.ceil(s / step) * step; lat <= n; lat += step) {
+      lines.push({ points: [toPage(w, lat), toPage(e, lat)], label: fmt(lat, "N", "S"), vertical: false });
+    }
+    return { lines, caption: `Graticule ${step >= 1 ? `${step}°` : `${Math.round(step * 60 * 100) / 100}′`} (WGS84)` };
+  }
+
+  const zone = utmZone(p.center[0]);
+  const south = p.center[1] < 0;
+  const en = corners.map(([lon, lat]) => toUtm(lon, lat, zone, south));
+  const [eMin, eMax] = [Math.min(...en.map(c => c[0])), Math.max(...en.map(c => c[0]))];
+  const [nMin, nMax] = [Math.min(...en.map(c => c[1])), Math.max(...en.map(c => c[1]))];
+  const step = gridStep(Math.max(eMax - eMin, nMax - nMin), [100, 200, 500, 1000, 2000, 5000, 10000, 20000, 50000, 100000], 8);
+  const km = (v) => step >= 1000 ? String(Math.round(v / 1000)) : (v / 1000).toFixed(1);
+  const SEGMENTS = 16; // grid lines curve slightly in Web Mercator
+  for (let e = Math.ceil(eMin / step) * step; e <= eMax; e += step) {
+    const points = [];
+    for (let i = 0; i <= SEGMENTS; i++) points.push(toPage(...fromUtm(e, nMax - (nMax - nMin) * i / SEGMENTS, zone, south)));
+    lines.push({ points, label: km(e), vertical: true });
+  }
+  for (let n = Math.ceil(nMin / step) * step; n <= nMax; n += step) {
+    const points = [];
+    for (let i = 0; i <= SEGMENTS; i++) points.push(toPage(...fromUtm(eMin + (eMax - eMin) * i / SEGMENTS, n, zone, south)));
+    lines.push({ points, label: km(n), vertical: false });
+  }
+  return { lines, caption: `MGA/UTM zone ${zone}${south ? "S" : "N"}, grid ${step >= 1000 ? `${step / 1000} km` : `${step} m`}` };
+}
+
+function drawGrid(ctx, p) {
+  if (p.grid === "none") return "";
+  const { lines, caption } = gridLines(p);
+  const k = p.k;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(p.mapX, p.mapY, p.mapW, p.mapH);
+  ctx.clip();
+  ctx.strokeStyle = "rgba(0, 70, 160, 0.7)";
+  ctx.lineWidth = 0.15 * k;
+  for (const { points } of lines) {
+    ctx.beginPath();
+    points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // edge labels in the margin
+  ctx.save();
+  ctx.fillStyle = "#00468c";
+  ctx.font = `${2.2 * k}px sans-serif`;
+  const gap = 1 * k;
+  for (const { points, label, vertical } of lines) {
+    if (vertical) {
+      ctx.textAlign = "center";
+      const top = crossing(points, 1, p.mapY), bottom = crossing(points, 1, p.mapY + p.mapH);
+      ctx.textBaseline = "bottom";
+      if (top != null) ctx.fillText(label, top, p.mapY - gap);
+      ctx.textBaseline = "top";
+      if (bottom != null) ctx.fillText(label, bottom, p.mapY + p.mapH + gap);
+    } else {
+      ctx.textBaseline = "middle";
+      const left = crossing(points, 0, p.mapX), right = crossing(points, 0, p.mapX + p.mapW);
+      ctx.textAlign = "right";
+      if (left != null) ctx.fillText(label, p.mapX - gap, left);
+      ctx.textAlign = "left";
+      if (right != null) ctx.fillText(label, p.mapX + p.mapW + gap, right);
+    }
+  }
+  ctx.restore();
+  return caption;
+}
+
+function drawNorthArrow(ctx, p) {
+  const k = p.k;
+  const x = p.mapX + p.mapW - 10 * k, y = p.mapY + 6 * k;
+  ctx.save();
+  ctx.fillStyle = "rgba(255, 255, 255, 0.85)";
+  ctx.fillRect(x - 5 * k, y - 2 * k, 10 * k, 16 * k);
+  ctx.fillStyle = "#000";
+  ctx.beginPath();
+  ctx.moveTo(x, y + 2 * k);
+  ctx.lineTo(x + 3 * k, y + 12 * k);
+  ctx.lineTo(x, y + 9.5 * k);
+  ctx.lineTo(x - 3 * k, y + 12 * k);
+  ctx.closePath();
+  ctx.fill();
+  ctx.font = `bold ${3 * k}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "bottom";
+  ctx.fillText("N", x, y + 2 * k);
+  ctx.restore();
+}
+
+// Alternating black/white bar, ≤ 60 mm on paper, round ground length
+function drawScaleBar(ctx, p, x, y) {
+  const k = p.k;
+  const maxM = 60 / 1000 * p.scale;
+  const pow = Math.pow(10, Math.floor(Math.log10(maxM)));
+  const d = maxM / pow;
+  const meters = (d >= 5 ? 5 : d >= 2 ? 2 : 1) * pow;
+  const lenMm = meters / p.scale * 1000;
+  const segs = 4, h = 1.5 * k;
+  const label = (m) => meters >= 1000 ? `${m / 1000}` : `${m}`;
+
+  ctx.save();
+  ctx.strokeStyle = "#000";
+  ctx.lineWidth = 0.2 * k;
+  for (let i = 0; i < segs; i++) {
+    ctx.fillStyle = i % 2 ? "#fff" : "#000";
+    ctx.fillRect(x + (lenMm * k * i) / segs, y, (lenMm * k) / segs, h);
+  }
+  ctx.strokeRect(x, y, lenMm * k, h);
+  ctx.fillStyle = "#000";
+  ctx.font = `${2.2 * k}px sans-serif`;
+  ctx.textBaseline = "top";
+  ctx.textAlign = "center";
+  for (let i = 0; i <= segs; i += 2) ctx.fillText(label((meters * i) / segs), x + (lenMm * k * i) / segs, y + h + 0.8 * k);
+  ctx.textAlign = "left";
+  ctx.fillText(meters >= 1000 ? "km" : "m", x + lenMm * k + 2 * k, y + h + 0.8 * k);
+  ctx.restore();
+}
+
+function drawFrameAndText(ctx, p, gridCaption, attribution) {
+  const k = p.k;
+  const [pw, ph] = [p.pageMm[0] * k, p.pageMm[1] * k];
+
+  ctx.save();
+  ctx.strokeStyle = "#000";
+  ctx.lineWidth = 0.35 * k;
+  ctx.strokeRect(p.mapX, p.mapY, p.mapW, p.mapH);
+
+  ctx.fillStyle = "#000";
+  ctx.textBaseline = "alphabetic";
+  ctx.textAlign = "left";
+  ctx.font = `bold ${5 * k}px sans-serif`;
+  ctx.fillText(p.title || "QTopo", p.mapX, (MARGIN_MM.top - 7) * k, p.mapW * 0.7);
+
+  ctx.textAlign = "right";
+  ctx.font = `${3 * k}px sans-serif`;
+  ctx.fillText(formatScale(p.scale), p.mapX + p.mapW, (MARGIN_MM.top - 7) * k);
+
+  const footY = p.mapY + p.mapH + 5 * k;
+  drawScaleBar(ctx, p, p.mapX, footY);
+
+  ctx.font = `${2.2 * k}px sans-serif`;
+  ctx.textAlign = "right";
+  ctx.textBaseline = "top";
+  ctx.fillText(new Date().toISOString().slice(0, 10), p.mapX + p.mapW, footY);
+  ctx.fillText([gridCaption, attribution].filter(Boolean).join(" · "), p.mapX + p.mapW, footY + 3.5 * k, p.mapW * 0.6);
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "bottom";
+  ctx.fillText(`${formatScale(p.scale)} at ${p.paper} ${p.orientation}`, pw / 2, ph - 2 * k);
+  ctx.restore();
+}
+
+/**
+ * Render a print sheet to `outPath` (PNG or PDF).
+ * onProgress({ done, total, failed }) after each batch of tiles; failed tiles are left blank,
+ * and the sheet fails when none rendered.
+ * @returns {Promise<string>} outPath
+ */
+async function renderPrint(spec, outPath, { L, onProgress } = {}) {
+  const { createCanvas, loadImage } = require("canvas"); // native; only the print path needs it in this process
+
+  const pdf = spec.format === "pdf";
+  const k = pdf ? 72 / MM_PER_INCH : spec.dpi / MM_PER_INCH; // page units per mm
+  const p = {
+    ...spec,
+    k,
+    mapX: MARGIN_MM.left * k,
+    mapY: MARGIN_MM.top * k,
+    mapW: spec.mapMm[0] * k,
+    mapH: spec.mapMm[1] * k,
+    pxToUnit: pdf ? 72 / spec.dpi : 1,
+  };
+
+  const canvas = pdf
+    ? createCanvas(spec.pageMm[0] * k, spec.pageMm[1] * k, "pdf")
+    : createCanvas(Math.round(spec.pageMm[0] * k), Math.round(spec.pageMm[1] * k));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  await drawMosaic(ctx, p, loadImage, L, onProgress);
+  const caption = drawGrid(ctx, p);
+  drawNorthArrow(ctx, p);
+  drawFrameAndText(ctx, p, caption, styleAttribution(getStyle(spec.style).style));
+
+  ensureDir(path.dirname(outPath));
+  const tmp = `${outPath}.tmp`;
+  await fs.promises.writeFile(tmp, pdf ? canvas.toBuffer("application/pdf") : canvas.toBuffer("image/png"));
+  await fs.promises.rename(tmp, outPath);
+  return outPath;
+}
+
+// ── Jobs ───────────────────────────────────────────────────────────────────────
+function publicJob(job) {
+  const out = {};
+  for (const [k, v] of Object.entries(job)) if (!k.startsWith("_")) out[k] = v;
+  return out;
+}
+
+// Drop sheets (and their jobs) older than PRINT_KEEP_MS
+function pruneOldPrints() {
+  const cutoff = Date.now() - PRINT_KEEP_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) jobs.delete(id);
+  }
+  let files = [];
+  try { files = fs.readdirSync(PRINT_DIR); } catch {}
+  for (const f of files) {
+    const file = path.join(PRINT_DIR, f);
+    try { if (fs.statSync(file).mtimeMs < cutoff) fs.unlinkSync(file); } catch {}
+  }
+}
+
+async function pump() {
+  if (running || !queue.length) return;
+  const { job, spec, L } = queue.shift();
+  running = true;
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  try {
+    pruneOldPrints();
+    L?.log?.("PRINT", `${job.id}: ${spec.paper} ${spec.orientation} ${formatScale(spec.scale)} ${spec.dpi}dpi ${spec.format}, z${spec.zoom} (${spec.tiles} tiles)`);
+    await renderPrint(spec, job._path, { L, onProgress: (pr) => { job.progress = pr; } });
+    job.status = "done";
+    const { failed, total } = job.progress;
+    if (failed) {
+      // still worth having, but the user must know it has holes
+      job.missingTiles = failed;
+      job.warning = `${failed} of ${total} map tiles failed to render and are blank`;
+    }
+    L?.log?.("PRINT", `${job.id}: done → ${job._path}${failed ? ` (${failed} tiles missing)` : ""}`);
+  } catch (e) {
+    job.status = "failed";
+    job.error = e.message;
+    L?.err?.("PRINT", `${job.id}: ${e.stack || e.message}`);
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    running = false;
+    pump();
+  }
+}
+
+/**
+ * Queue a print job (see normalizePrintSpec). Returns the public job state.
+ * Throws BAD_PRINT_SPEC on invalid input and PRINT_QUEUE_FULL when busy.
+ */
+function startPrintJob(rawSpec, { L } = {}) {
+  const spec = normalizePrintSpec(rawSpec);
+  if (queue.length >= PRINT_QUEUE_MAX) {
+    const e = new Error(`print queue full (${PRINT_QUEUE_MAX})`); e.code = "PRINT_QUEUE_FULL"; throw e;
+  }
+  const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`;
+  const file = `print-${id}.${spec.format}`;
+  const job = {
+    id,
+    status: "queued",
+    file,
+    paper: spec.paper, orientation: spec.orientation, scale: spec.scale, dpi: spec.dpi,
+    format: spec.format, grid: spec.grid, bbox: spec.bbox, zoom: spec.zoom,
+    progress: { done: 0, total: spec.tiles, failed: 0 },
+    createdAt: new Date().toISOString(),
+    _path: path.join(PRINT_DIR, file),
+  };
+  jobs.set(id, job);
+  queue.push({ job, spec, L });
+  pump();
+  return publicJob(job);
+}
+
+function getPrintJob(id) {
+  const job = jobs.get(id);
+  return job ? publicJob(job) : null;
+}
+
+/** Path of a finished sheet, or null. */
+function printFilePath(id) {
+  const job = jobs.get(id);
+  return job && job.status === "done" ? job._path : null;
+}
+
+module.exports = {
+  normalizePrintSpec,
+  planPrint,
+  startPrintJob,
+  getPrintJob,
+  printFilePath,
+  toUtm,
+  fromUtm,
+};
@@ -0,0 +1,191 @@
+// lib/providers.js
+// Named upstream vector-tile providers.
+//
+// PROVIDERS_PATH (default $DATA_DIR/providers.json), optional:
+// {
+//   "default": "qld",
+//   "providers": {
+//     "qld": {
+//       "url": "https://…/VectorTileServer/tile/{z}/{y}/{x}.pbf",   // {z} {x} {y} {-y}, any order
+//       "headers": { "X-Api-Key": "${QLD_API_KEY}" },                // ${ENV} expanded at load
+//       "query":   { "token": "${QLD_TOKEN}" },                       // appended to the URL
+//       "minzoom": 0, "maxzoom": 18,                                  // native data zooms
+//       "overzoom": 22,                                               // deeper tiles cut from maxzoom (lib/mvt)
+//       "bounds":  [138.0, -29.5, 155.0, -9.0],                       // w, s, e, n (lon/lat)
+//       "cacheDir": "."                                               // relative → VECTOR_DIR
+//     }
+//   }
+// }
+//
+// Without a file the built-in QLD provider is used (VECTOR_UPSTREAM overrides its URL).
+// Styles reference providers by tile URL: "/vector/{z}/{x}/{y}.pbf" → default provider,
+// "/vector/<name>/{z}/{x}/{y}.pbf" → provider <name>.
+const fs = require("fs");
+const path = require("path");
+const { VECTOR_DIR, PROVIDERS_PATH, TILE_MAX_ZOOM, stripQuotes } = require("./config");
+const { tileInBounds } = require("./tiles");
+
+const PROVIDER_NAME_RE = /^[A-Za-z_-][A-Za-z0-9_-]*$/; // no leading digit: /vector/{z}/… must stay unambiguous
+
+// NOTE: QLD endpoint expects Z / Y / X order for vector tiles
+const BUILTIN = {
+  default: "qld",
+  providers: {
+    qld: {
+      url: "https://spatial.information.qld.gov.au/arcgis/rest/services/Hosted/Basemaps_QldBase_Topographic/VectorTileServer/tile/{z}/{y}/{x}.pbf",
+      cacheDir: ".", // legacy layout: VECTOR_DIR/{z}/{x}/{y}.pbf
+      maxzoom: 18,   // upstream has no data deeper; z19+ is overzoomed
+    },
+  },
+};
+
+function expandEnv(v) {
+  return typeof v === "string"
+    ? v.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, k) => process.env[k] ?? "")
+    : v;
+}
+
+function expandAll(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj || {})) out[k] = expandEnv(v);
+  return out;
+}
+
+function buildProvider(name, def, isDefault) {
+  if (!PROVIDER_NAME_RE.test(name)) throw new Error(`provider "${name}": invalid name`);
+  if (typeof def.url !== "string" || !/\{z\}/.test(def.url) || !/\{x\}/.test(def.url) || !/\{-?y\}/.test(def.url)) {
+    throw new Error(`provider "${name}": url must contain {z}, {x} and {y}`);
+  }
+  if (def.bounds && !(Array.isArray(def.bounds) && def.bounds.length === 4 && def.bounds.every(Number.isFinite))) {
+    throw new Error(`provider "${name}": bounds must be [w, s, e, n]`);
+  }
+
+  const cacheDir = def.cacheDir == null
+    ? (isDefault ? VECTOR_DIR : path.join(VECTOR_DIR, name))
+    : path.resolve(VECTOR_DIR, def.cacheDir);
+  const headers = expandAll(def.headers);
+  const query = expandAll(def.query);
+  const qs = new URLSearchParams(query).toString();
+  const minzoom = Number.isFinite(def.minzoom) ? def.minzoom : 0;
+  const maxzoom = Number.isFinite(def.maxzoom) ? def.maxzoom : 22;
+  const overzoom = def.overzoom === false ? maxzoom
+    : Number.isFinite(def.overzoom) ? def.overzoom : Math.max(maxzoom, TILE_MAX_ZOOM);
+  if (overzoom < maxzoom) throw new Error(`provider "${name}": overzoom must be >= maxzoom`);
+  const bounds = def.bounds || null;
+
+  return {
+    name,
+    cacheDir,
+    headers,
+    minzoom,
+    maxzoom,
+    overzoom,
+    bounds,
+
+    tileUrl(z, x, y) {
+      const u = def.url
+        .replace(/\{z\}/g, z)
+        .replace(/\{x\}/g, x)
+        .replace(/\{-y\}/g, Math.pow(2, z) - 1 - y)
+        .replace(/\{y\}/g, y);
+      return qs ? `${u}${u.includes("?") ? "&" : "?"}${qs}` : u;
+    },
+
+    tilePath(z, x, y) {
+      return path.join(cacheDir, String(z), String(x), `${y}.pbf`);
+    },
+
+    /** true when (z,x,y) is inside this provider's zoom range (overzoom included) and bounds */
+    covers(z, x, y) {
+      if (z < minzoom || z > overzoom) return false;
+      return !bounds || tileInBounds(bounds, z, x, y);
+    },
+  };
+}
+
+let loaded = null; // { defaultName, byName: Map }
+
+/**
+ * Load providers from PROVIDERS_PATH (or the built-in QLD provider).
+ * Throws on an invalid file so boot fails fast.
+ */
+function loadProviders(L) {
+  let cfg = BUILTIN;
+  let from = "built-in";
+  if (fs.existsSync(PROVIDERS_PATH)) {
+    cfg = JSON.parse(fs.readFileSync(PROVIDERS_PATH, "utf8"));
+    from = PROVIDERS_PATH;
+  } else {
+    const envUrl = stripQuotes(process.env.VECTOR_UPSTREAM);
+    if (envUrl) {
+      cfg = { ...BUILTIN, providers: { qld: { ...BUILTIN.providers.qld, url: envUrl } } };
+      from = "VECTOR_UPSTREAM";
+    }
+  }
+
+  const names = Object.keys(cfg.providers || {});
+  if (!names.length) throw new Error("no providers defined");
+  const defaultName = cfg.default || names[0];
+  if (!names.includes(defaultName)) throw new Error(`default provider "${defaultName}" not defined`);
+
+  const byName = new Map();
+  for (const name of names) {
+    byName.set(name, buildProvider(name, cfg.providers[name], name === defaultName));
+  }
+  loaded = { defaultName, byName };
+  L?.log?.("INIT", `Providers (${from}): ${names.map(n => n === defaultName ? `${n}*` : n).join(", ")}`);
+  return loaded;
+}
+
+function ensureLoaded() {
+  return loaded || loadProviders();
+}
+
+/** Provider by name (undefined/"" → default), or null when unknown. */
+function getProvider(name) {
+  const { defaultName, byName } = ensureLoaded();
+  return byName.get(name || defaultName) || null;
+}
+
+function listProviders() {
+  return [...ensureLoaded().byName.values()];
+}
+
+/** Provider name a tile URL refers to ("/vector/{z}/…" → default), or null if not ours. */
+function providerNameForUrl(url) {
+  const m = /\/vector\/(?:([A-Za-z_-][A-Za-z0-9_-]*)\/)?(?:\{z\}|\d+)\//.exec(url);
+  if (!m) return null;
+  return m[1] || ensureLoaded().defaultName;
+}
+
+/** Providers referenced by a style's vector sources (deduped, in source order); foreign URLs are skipped. */
+function providersForStyle(style) {
+  const out = new Map();
+  for (const src of Object.values(style.sources || {})) {
+    if (src.type !== "vector" || !Array.isArray(src.tiles)) continue;
+    for (const url of src.tiles) {
+      const name = providerNameForUrl(url);
+      if (!name) continue; // not /vector/…: getProvider(null) would mean the default provider
+      const p = getProvider(name);
+      if (p) out.set(p.name, p);
+    }
+  }
+  return [...out.values()];
+}
+
+/** { name: cacheDir } for the render worker's request handler. */
+function providerCacheDirs() {
+  const { defaultName, byName } = ensureLoaded();
+  const dirs = { "": byName.get(defaultName).cacheDir };
+  for (const p of byName.values()) dirs[p.name] = p.cacheDir;
+  return dirs;
+}
+
+module.exports = {
+  loadProviders,
+  getProvider,
+  listProviders,
+  providerNameForUrl,
+  providersForStyle,
+  providerCacheDirs,
+};
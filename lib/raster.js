@@ -0,0 +1,153 @@
+// lib/raster.js
+const fs = require("fs");
+const path = require("path");
+const { FONT_DIR, TILE_PX, RASTER_SIZES, BLANK_TILE_PATH } = require("./config");
+const { fileExistsNonEmpty, rasterVariantDir, rasterFormatFor, writeBlankTile, RASTER_FORMATS, RASTER_EXTS } = require("./utils");
+const { ensureVectorTile, revalidateIfStale, onVectorTileChange } = require("./pbf");
+const { providersForStyle } = require("./providers");
+const { renderSingleTile } = require("./render");
+const { listStyles, styleRasterRoot } = require("./styles");
+const { tileInServiceArea } = require("./bounds");
+const { tileInBounds } = require("./tiles");
+
+/** Cache path of a raster tile for a style entry + size/format variant. */
+function rasterTilePath(style, z, x, y, { tilePx = TILE_PX, ratio = 1, format = rasterFormatFor("png") } = {}) {
+  return path.join(rasterVariantDir(styleRasterRoot(style), tilePx, ratio, format), String(z), String(x), `${y}.${RASTER_FORMATS[format].ext}`);
+}
+
+// Styles' vector sources have no tileSize, so MapLibre reads them as 512px tiles
+const SOURCE_TILE_PX = 512;
+
+/**
+ * Vector tiles of `provider` a `tilePx` raster tile at z/x/y is drawn from. The worker renders it
+ * at map zoom z + log2(tilePx/512): a 256px tile reads the z-1 parent, a 1024px tile the four
+ * z+1 children. Kept within the provider's zoom range (overzoom included), like lib/static;
+ * none below its minzoom.
+ * @returns {{z:number, x:number, y:number}[]}
+ */
+function sourceTiles(provider, z, x, y, tilePx = TILE_PX) {
+  const tz = Math.max(0, Math.floor(z + Math.log2(tilePx / SOURCE_TILE_PX))); // z0 at 256px renders at 0 and downscales
+  if (tz < provider.minzoom) return []; // MapLibre asks for tiles the provider doesn't have
+  const sz = Math.min(provider.overzoom, tz);
+  if (sz <= z) return [{ z: sz, x: x >> (z - sz), y: y >> (z - sz) }];
+  const n = 1 << (sz - z);
+  const out = [];
+  for (let cx = x * n; cx < (x + 1) * n; cx++) {
+    for (let cy = y * n; cy < (y + 1) * n; cy++) out.push({ z: sz, x: cx, y: cy });
+  }
+  return out;
+}
+
+/**
+ * Ensure a raster tile exists on disk: cache hit, blank (all vector sources empty)
+ * or rendered through the worker pool. Errors propagate; nothing is cached on failure.
+ * `style` is an entry from lib/styles (getStyle); `priority` goes to upstream fetches.
+ * `format` is an encoding from utils.RASTER_FORMATS (default: what .png means, see rasterFormatFor);
+ * each has its own cache tree. A blank is always the blank PNG, whatever the format.
+ * `force` re-renders over a cached tile (replaced atomically, so it's served until then).
+ * Outside SERVICE_BOUNDS the answer is the shared blank (`outside`, path = BLANK_TILE_PATH);
+ * nothing is fetched, rendered or written.
+ * `overlays` ([{ id, path, bbox }] from overlays.resolveOverlays) are drawn on top, in a cache
+ * tree of their own; a tile they cross is rendered even where the vector tiles are empty.
+ * @returns {Promise<{status:'hit'|'blank'|'rendered', path:string, outside?:boolean}>}
+ */
+async function ensureRasterTile(z, x, y, {
+  style, tilePx = TILE_PX, ratio = 1, format = rasterFormatFor("png"), overlays = [], priority, force = false, L,
+}) {
+  const rasterDir = rasterVariantDir(styleRasterRoot(style), tilePx, ratio, format, overlays.map(o => o.id));
+  const outPath = path.join(rasterDir, String(z), String(x), `${y}.${RASTER_FORMATS[format].ext}`);
+
+  if (!tileInServiceArea(z, x, y)) return { status: "blank", path: BLANK_TILE_PATH, outside: true };
+
+  if (!force && fileExistsNonEmpty(outPath)) {
+    // upstream changes reach cached rasters through the vector tiles they were drawn from
+    for (const provider of providersForStyle(style.style)) {
+      for (const t of sourceTiles(provider, z, x, y, tilePx)) revalidateIfStale(t.z, t.x, t.y, { provider, L });
+    }
+    return { status: "hit", path: outPath };
+  }
+
+  // every vector tile the worker will read must be on disk before it renders
+  const pbfs = await Promise.all(providersForStyle(style.style).flatMap((provider) =>
+    sourceTiles(provider, z, x, y, tilePx).map((t) => ensureVectorTile(t.z, t.x, t.y, { provider, priority, L }))
+  ));
+
+  const overlaid = overlays.some(o => o.bbox && tileInBounds(o.bbox, z, x, y));
+  if (pbfs.length && pbfs.every((r) => r.status === "empty") && !overlaid) {
+    writeBlankTile(outPath, BLANK_TILE_PATH);
+    return { status: "blank", path: outPath };
+  }
+
+  const renderedPath = await renderSingleTile(z, x, y, {
+    rasterDir,
+    STYLE_PATH: style.snapshotPath,
+    FONT_DIR,
+    tilePx,
+    ratio,
+    format,
+    overlays: overlays.map(o => o.path),
+    L,
+  });
+  return { status: "rendered", path: renderedPath };
+}
+
+/**
+ * Raster tiles of size `tilePx` drawn from the vector tile at z/x/y (sourceTiles the other way
+ * round): 256px rasters at z+1 (and z0), 512px at z, 1024px at z-1.
+ * @returns {{z:number, x:number, y:number}[]}
+ */
+function rasterTilesFrom(z, x, y, tilePx) {
+  const rz = z - Math.log2(tilePx / SOURCE_TILE_PX);
+  const out = [];
+  if (rz <= z) {
+    if (rz >= 0) out.push({ z: rz, x: x >> (z - rz), y: y >> (z - rz) });
+    return out;
+  }
+  const n = 1 << (rz - z);
+  for (let cx = x * n; cx < (x + 1) * n; cx++) {
+    for (let cy = y * n; cy < (y + 1) * n; cy++) out.push({ z: rz, x: cx, y: cy });
+  }
+  if (z === 0) out.push({ z: 0, x: 0, y: 0 }); // renders at zoom 0 and downscales
+  return out;
+}
+
+/**
+ * Drop cached raster tiles (every size and format variant) drawn from `providerName`'s vector
+ * tile at z/x/y; they re-render on the next request. The raster z/x/y depend on each variant's
+ * tile size (rasterTilesFrom).
+ * @returns {number} files removed
+ */
+function invalidateRasterTile(providerName, z, x, y) {
+  let removed = 0;
+  for (const entry of listStyles().values()) {
+    if (!providersForStyle(entry.style).some(p => p.name === providerName)) continue;
+    const root = styleRasterRoot(entry);
+    let variants = [];
+    try { variants = fs.readdirSync(root); } catch {}
+    for (const v of variants) {
+      const tilePx = parseInt(v, 10); // "256", "512@2x", "1024-webp", "256+trip1", ...
+      if (!RASTER_SIZES.includes(tilePx)) continue;
+      for (const t of rasterTilesFrom(z, x, y, tilePx)) {
+        for (const ext of RASTER_EXTS) {
+          try { fs.unlinkSync(path.join(root, v, String(t.z), String(t.x), `${t.y}.${ext}`)); removed++; } catch {}
+        }
+      }
+    }
+  }
+  return removed;
+}
+
+// Vector data changed upstream (lib/pbf revalidation) → only the raster tiles drawn from it go,
+// plus those drawn from the tiles overzoomed from it
+onVectorTileChange((provider, z, x, y) => {
+  invalidateRasterTile(provider.name, z, x, y);
+  if (z !== provider.maxzoom) return;
+  for (let dz = 1; z + dz <= provider.overzoom; dz++) {
+    const n = 1 << dz;
+    for (let cx = x * n; cx < (x + 1) * n; cx++) {
+      for (let cy = y * n; cy < (y + 1) * n; cy++) invalidateRasterTile(provider.name, z + dz, cx, cy);
+    }
+  }
+});
+
+module.exports = { ensureRasterTile, rasterTilePath, sourceTiles, invalidateRasterTile };
@@ -1,67 +1,342 @@
 // lib/render.js
 const path = require("path");
-const { spawn } = require("child_process");
-const { fileExistsNonEmpty, ensureDir } = require("./utils");
+const { fork } = require("child_process");
+const { fileExistsNonEmpty, ensureDir, RASTER_FORMATS } = require("./utils");
+const {
+  TILE_PX, LABEL_SCALE,
+  RASTER_WEBP_QUALITY, RASTER_JPEG_QUALITY, RASTER_PNG_COLOURS, RASTER_JPEG_BACKGROUND,
+  RENDER_WORKERS, RENDER_QUEUE_MAX, RENDER_TIMEOUT_MS, RENDER_WORKER_MAX_JOBS, RENDER_START_TIMEOUT_MS,
+} = require("./config");
+const { counter, histogram, gauge, secondsSince } = require("./metrics");
 
 // in-flight dedupe
 const inflight = new Map();
 
+// ── Worker pool state ──────────────────────────────────────────────────────────
+// workers: { child, job, jobsDone, ready, startTimer }   queue: pending jobs (FIFO)
+// jobs: { id, key, outPath, msg, resolve, reject, timer, L } (L: the requesting logger)
+// failures[slot]: exits in a row without reaching "ready" since the slot last had a ready worker;
+// the respawn delay doubles with each (RESPAWN_BASE_MS … RESPAWN_MAX_MS)
+const pool = {
+  started: false,
+  workers: [],
+  failures: [],
+  queue: [],
+  stallTimer: null, // armed while jobs are queued and no worker is ready
+  nextId: 1,
+  opts: null, // { FONT_DIR, STYLE_PATH, sourceDirs, archives, nodeBin, L } from first start
+};
+
+const RESPAWN_BASE_MS = 1000;
+const RESPAWN_MAX_MS = 60000;
+
+// ── Metrics ────────────────────────────────────────────────────────────────────
+const renderSeconds = histogram("qtopo_render_duration_seconds", "Render jobs from dispatch to a worker until done", ["type"]);
+const renderResults = counter("qtopo_renders_total", "Finished render jobs", ["type", "result"]);
+gauge("qtopo_render_inflight", "Tile renders queued or running (deduped by tile)", () => inflight.size);
+gauge("qtopo_render_queue_length", "Render jobs waiting for a worker", () => pool.queue.length);
+gauge("qtopo_render_workers", "Render workers by state", () => {
+  const live = pool.workers.filter(Boolean);
+  return [
+    { labels: { state: "starting" }, value: live.filter(w => !w.ready).length },
+    { labels: { state: "idle" }, value: live.filter(w => w.ready && !w.job).length },
+    { labels: { state: "busy" }, value: live.filter(w => w.job).length },
+  ];
+}, ["state"]);
+
+// result: "ok" | "error" | "timeout"
+function observeJob(job, result) {
+  const type = job.msg.type === "static" ? "static" : "tile";
+  renderResults.inc({ type, result });
+  if (job.startedAt) renderSeconds.observe({ type }, secondsSince(job.startedAt));
+}
+
+function spawnWorker(slot) {
+  const { FONT_DIR, STYLE_PATH, sourceDirs, archives, nodeBin, L } = pool.opts;
+  const workerPath = path.join(__dirname, "render_worker.js");
+
+  const child = fork(workerPath, [], {
+    cwd: path.join(__dirname, ".."),
+    execPath: nodeBin,
+    env: {
+      ...process.env,
+      FONT_DIR,
+      ...(STYLE_PATH ? { STYLE_PATH } : {}), // warm-up style
+      ...(sourceDirs ? { VECTOR_SOURCE_DIRS: JSON.stringify(sourceDirs) } : {}),
+      ...(archives ? { VECTOR_ARCHIVES: JSON.stringify(archives) } : {}),
+      PATH: `${path.dirname(nodeBin)}:${process.env.PATH || ""}`,
+    },
+    stdio: ["ignore", "pipe", "pipe", "ipc"],
+  });
+
+  const w = { child, job: null, jobsDone: 0, ready: false, slot, startTimer: null };
+  pool.workers[slot] = w;
+  L?.log?.("RENDER", `Worker #${slot} started (pid ${child.pid})`);
+
+  // a worker that never reports ready (stuck loading the style, native lib hang) is killed;
+  // the exit handler then respawns it with backoff
+  w.startTimer = setTimeout(() => {
+    if (pool.workers[slot] !== w || w.ready) return;
+    L?.err?.("RENDER", `Worker #${slot} not ready after ${RENDER_START_TIMEOUT_MS}ms; killing`);
+    try { child.kill("SIGKILL"); } catch {}
+  }, RENDER_START_TIMEOUT_MS);
+
+  // output belongs to the job being rendered: its logger carries the request id
+  const lines = (d) => String(d).split("\n").map(l => l.trimEnd()).filter(Boolean);
+  child.stdout.on("data", (d) => {
+    const log = w.job?.L || L;
+    for (const line of lines(d)) log?.log?.("RDR-WORKER", `#${slot} ${line}`);
+  });
+  child.stderr.on("data", (d) => {
+    const log = w.job?.L || L;
+    for (const line of lines(d)) log?.err?.("RDR-WORKER", `#${slot} ${line}`);
+  });
+
+  child.on("message", (msg) => {
+    if (!msg) return;
+    if (msg.type === "ready") {
+      clearTimeout(w.startTimer);
+      w.ready = true;
+      pool.failures[slot] = 0;
+      return dispatch();
+    }
+    if (msg.type === "log") {
+      const log = (w.job?.id === msg.id && w.job.L) || L;
+      (msg.level === "err" ? log?.err : log?.log)?.("RDR-WORKER", `#${slot} ${msg.line}`);
+      return;
+    }
+    if (msg.type !== "done" || !w.job || w.job.id !== msg.id) return;
+
+    const job = w.job;
+    finishJob(w);
+    const ok = msg.ok && fileExistsNonEmpty(job.outPath);
+    observeJob(job, ok ? "ok" : "error");
+    if (ok) job.resolve(job.outPath);
+    else job.reject(new Error(msg.error || "Render Worker produced no output"));
+
+    if (RENDER_WORKER_MAX_JOBS > 0 && w.jobsDone >= RENDER_WORKER_MAX_JOBS) {
+      L?.log?.("RENDER", `Worker #${slot} recycled after ${w.jobsDone} jobs`);
+      retireWorker(w);
+      return;
+    }
+    dispatch();
+  });
+
+  child.on("error", (err) => {
+    L?.err?.("RENDER", `Worker #${slot} error: ${err.message}`);
+  });
+
+  child.on("exit", (code, signal) => {
+    clearTimeout(w.startTimer);
+    if (pool.workers[slot] !== w) return; // already replaced (timeout/recycle)
+    // crashing at start-up (missing native lib, broken style) backs off instead of looping
+    const failures = w.ready ? 0 : (pool.failures[slot] || 0) + 1;
+    pool.failures[slot] = failures;
+    const delay = Math.min(RESPAWN_MAX_MS, RESPAWN_BASE_MS * 2 ** Math.max(0, failures - 1));
+    const why = w.ready ? "" : failures > 1 ? `, ${failures} start-up failures in a row` : ", before it was ready";
+    L?.warn?.("RENDER", `Worker #${slot} exited (${signal || code}${why}); restarting in ${delay / 1000}s`);
+    if (w.job) {
+      const job = w.job;
+      finishJob(w);
+      observeJob(job, "error");
+      job.reject(new Error(`Render Worker exited ${signal || code}`));
+    }
+    pool.workers[slot] = null;
+    watchStall();
+    setTimeout(() => { spawnWorker(slot); }, delay);
+  });
+
+  return w;
+}
+
+function finishJob(w) {
+  clearTimeout(w.job.timer);
+  w.job = null;
+  w.jobsDone++;
+}
+
+// Replace a worker: detach it from its slot, kill it, start a fresh one
+function retireWorker(w, signal = "SIGTERM") {
+  pool.workers[w.slot] = null;
+  try { w.child.kill(signal); } catch {}
+  spawnWorker(w.slot);
+  watchStall();
+}
+
+// Queued jobs only get a timer once dispatched, so while no worker is ready (all starting,
+// crashed or backing off) they'd wait forever: fail the whole queue after RENDER_TIMEOUT_MS.
+function watchStall() {
+  if (!pool.queue.length || pool.workers.some(w => w?.ready)) {
+    clearTimeout(pool.stallTimer);
+    pool.stallTimer = null;
+    return;
+  }
+  if (pool.stallTimer) return;
+  pool.stallTimer = setTimeout(() => {
+    pool.stallTimer = null;
+    if (pool.workers.some(w => w?.ready)) return;
+    const jobs = pool.queue.splice(0);
+    if (!jobs.length) return;
+    pool.opts.L?.err?.("RENDER", `No render worker ready for ${RENDER_TIMEOUT_MS}ms; failing ${jobs.length} queued job(s)`);
+    for (const job of jobs) {
+      observeJob(job, "timeout");
+      const e = new Error(`No render worker ready after ${RENDER_TIMEOUT_MS}ms`); e.code = "RENDER_UNAVAILABLE";
+      job.reject(e);
+    }
+  }, RENDER_TIMEOUT_MS);
+}
+
+function dispatch() {
+  for (const w of pool.workers) {
+    if (!pool.queue.length) break;
+    if (!w || !w.ready || w.job) continue;
+
+    const job = pool.queue.shift();
+    w.job = job;
+    job.startedAt = process.hrtime.bigint();
+    job.timer = setTimeout(() => {
+      if (w.job !== job) return;
+      (job.L || pool.opts.L)?.err?.("RENDER", `Worker #${w.slot} timed out on ${job.key} after ${RENDER_TIMEOUT_MS}ms; killing`);
+      w.job = null;
+      observeJob(job, "timeout");
+      const e = new Error(`Render timeout after ${RENDER_TIMEOUT_MS}ms`); e.code = "RENDER_TIMEOUT";
+      job.reject(e);
+      retireWorker(w, "SIGKILL");
+    }, RENDER_TIMEOUT_MS);
+
+    w.child.send({ ...job.msg, id: job.id, outPath: job.outPath });
+  }
+  watchStall();
+}
+
+/**
+ * Start the persistent render pool (idempotent).
+ * Called at boot so workers are warm; renderSingleTile also starts it lazily.
+ * `sourceDirs` ({ provider: cacheDir }) lets workers resolve /vector/<provider>/… URLs;
+ * `archives` ({ provider: file }) are read before those dirs.
+ */
+function startRenderPool({ FONT_DIR, STYLE_PATH, sourceDirs, archives, nodeBin = process.execPath, L } = {}) {
+  if (pool.started) return;
+  pool.started = true;
+  pool.opts = { FONT_DIR: FONT_DIR || process.env.FONT_DIR, STYLE_PATH, sourceDirs, archives, nodeBin, L };
+  for (let i = 0; i < RENDER_WORKERS; i++) spawnWorker(i);
+  L?.log?.("RENDER", `Pool: ${RENDER_WORKERS} workers, queue max ${RENDER_QUEUE_MAX}, timeout ${RENDER_TIMEOUT_MS}ms`);
+}
+
+// Encoder settings sent with each tile and static job (render_worker encodeTile)
+function encodeOptions(format) {
+  if (format === "webp") return { quality: RASTER_WEBP_QUALITY };
+  if (format === "jpeg") return { quality: RASTER_JPEG_QUALITY, background: RASTER_JPEG_BACKGROUND };
+  if (format === "png8") return { colours: RASTER_PNG_COLOURS };
+  return {};
+}
+
 /**
- * Render a single PNG tile via child worker.
+ * Render a single tile via the worker pool.
+ * `rasterDir` is the cache tree for this variant (see utils.rasterVariantDir);
+ * `tilePx`/`ratio` pick the output size (tilePx * ratio pixels square);
+ * `format` the encoding (utils.RASTER_FORMATS: png, png8, webp, jpeg);
+ * `overlays` GeoJSON files drawn on top (lib/overlays).
  * Returns the output file path on success, throws on failure.
+ * Rejects with err.code === "RENDER_QUEUE_FULL" when the queue is saturated,
+ * "RENDER_TIMEOUT" when the render takes too long, "RENDER_UNAVAILABLE" when no worker came up in time.
  */
 function renderSingleTile(z, x, y, {
   rasterDir,
   STYLE_PATH,
   FONT_DIR,
+  tilePx = TILE_PX,
+  ratio = 1,
+  format = "png",
+  overlays = [],
+  labelScale = LABEL_SCALE,
   nodeBin = process.execPath,
   L,
 }) {
-  const key = `${z}/${x}/${y}`;
+  const key = `${rasterDir}:${z}/${x}/${y}`;
   if (inflight.has(key)) return inflight.get(key);
 
+  startRenderPool({ FONT_DIR, nodeBin, L });
+
+  if (pool.queue.length >= RENDER_QUEUE_MAX) {
+    const e = new Error(`Render queue full (${RENDER_QUEUE_MAX})`); e.code = "RENDER_QUEUE_FULL";
+    return Promise.reject(e);
+  }
+
   const p = new Promise((resolve, reject) => {
     const outDir = path.join(rasterDir, String(z), String(x));
-    const outPath = path.join(outDir, `${y}.png`);
+    const outPath = path.join(outDir, `${y}.${RASTER_FORMATS[format].ext}`);
     ensureDir(outDir);
 
-    const workerPath = path.join(__dirname, "render_worker.js");
-    const args = [workerPath, "-z", String(z), "-x1", String(x), "-x2", String(x), "-y1", String(y), "-y2", String(y)];
+    pool.queue.push({
+      id: pool.nextId++,
+      key,
+      outPath,
+      msg: { type: "render", z, x, y, stylePath: STYLE_PATH, tilePx, ratio, labelScale, format, encode: encodeOptions(format), overlays },
+      resolve, reject,
+      timer: null,
+      L,
+    });
+    dispatch();
+  }).finally(() => inflight.delete(key));
 
-    L?.log?.("RENDER", `Spawn Worker: ${args.slice(1).join(" ")}`);
+  inflight.set(key, p);
+  return p;
+}
 
-    const child = spawn(nodeBin, args, {
-      cwd: path.join(__dirname, ".."),
-      env: {
-        ...process.env,
-        STYLE_PATH,
-        FONT_DIR,
-        PATH: `${path.dirname(nodeBin)}:${process.env.PATH || ""}`,
-      },
-      stdio: ["ignore", "pipe", "pipe"],
-    });
+/**
+ * Render a static map image (arbitrary center/zoom/size) via the worker pool.
+ * `view`: { center: [lon, lat], zoom, width, height, ratio, format: "png"|"jpeg",
+ *           overlay?: GeoJSON, attribution?: string, scaleBar?: boolean }
+ * Written to `outPath`; resolves with it. Same queue, limit and timeout as tiles.
+ */
+function renderStaticImage(view, { STYLE_PATH, outPath, labelScale = LABEL_SCALE, L }) {
+  startRenderPool({ L });
 
-    child.stdout.on("data", (d) => {
-      const line = String(d).trimEnd();
-      if (line) L?.log?.("RDR-WORKER", line);
-    });
-    child.stderr.on("data", (d) => {
-      const line = String(d).trimEnd();
-      if (line) L?.err?.("RDR-WORKER", line);
-    });
+  if (pool.queue.length >= RENDER_QUEUE_MAX) {
+    const e = new Error(`Render queue full (${RENDER_QUEUE_MAX})`); e.code = "RENDER_QUEUE_FULL";
+    return Promise.reject(e);
+  }
 
-    child.on("error", (err) => reject(err));
-    child.on("close", (code) => {
-      if (code === 0 && fileExistsNonEmpty(outPath)) {
-        resolve(outPath);
-      } else {
-        reject(new Error(`Render Worker exited ${code}`));
-      }
+  return new Promise((resolve, reject) => {
+    ensureDir(path.dirname(outPath));
+    pool.queue.push({
+      id: pool.nextId++,
+      key: `static ${view.center.map(v => v.toFixed(5))},${view.zoom.toFixed(2)} ${view.width}x${view.height}`,
+      outPath,
+      msg: { type: "static", stylePath: STYLE_PATH, labelScale, ...view, encode: encodeOptions(view.format) },
+      resolve, reject,
+      timer: null,
+      L,
     });
-  }).finally(() => inflight.delete(key));
+    dispatch();
+  });
+}
 
-  inflight.set(key, p);
-  return p;
+/** Snapshot of pool state (for logs/health). */
+function renderPoolStats() {
+  const live = pool.workers.filter(Boolean);
+  return {
+    workers: live.length,
+    ready: live.filter(w => w.ready).length,
+    busy: live.filter(w => w.job).length,
+    queued: pool.queue.length,
+  };
+}
+
+/** Running jobs per worker and the head of the queue (admin status). */
+function renderActivity({ queuedMax = 50 } = {}) {
+  const now = process.hrtime.bigint();
+  return {
+    ...renderPoolStats(),
+    running: pool.workers.filter(w => w?.job).map(w => ({
+      worker: w.slot,
+      pid: w.child.pid,
+      job: w.job.key,
+      runningMs: w.job.startedAt ? Math.round(Number(now - w.job.startedAt) / 1e6) : 0,
+    })),
+    queued: pool.queue.slice(0, queuedMax).map(j => j.key),
+  };
 }
 
-module.exports = { renderSingleTile };
\ No newline at end of file
+module.exports = { renderSingleTile, renderStaticImage, startRenderPool, renderPoolStats, renderActivity };
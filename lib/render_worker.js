@@ -1,28 +1,40 @@
 #!/usr/bin/env node
 
-// lib/render_worker.js (minimal move-only version)
-// - reads env: DATA_DIR, VECTOR_DIR, RASTER_DIR, STYLE_PATH, FONT_DIR
-// - renders one or more tiles (x1..x2, y1..y2) to PNGs under RASTER_DIR
-// - no refactors; only path/env adjustments and ratio=1 to avoid buffer mismatch
+// lib/render_worker.js
+// - reads env: DATA_DIR, VECTOR_DIR, RASTER_DIR, STYLE_PATH, FONT_DIR, VECTOR_SOURCE_DIRS, VECTOR_ARCHIVES, DEM_PATH
+// - CLI mode: renders one or more tiles (x1..x2, y1..y2) to images under RASTER_DIR, then exits
+// - pool mode (forked by lib/render.js with an IPC channel, no CLI args): stays up,
+//   keeps the parsed style + Map warm and renders jobs sent as messages
+// - tile size (256/512/1024), pixel ratio (@2x) and LABEL_SCALE per job; the
+//   canvas is always (tilePx * ratio)² so the pixel buffer matches
+// - tile encodings: png (canvas), jpeg (opaque map, canvas), webp and palette png8 (sharp)
+// - uploaded overlays (GeoJSON files, lib/overlays) drawn on top of tiles when a job names them
+// - static images (pool mode): any center/zoom/size, optional GeoJSON overlay,
+//   scale bar and attribution drawn on top
 
 const maplibregl = require('@maplibre/maplibre-gl-native');
 const { createCanvas } = require('canvas');
 const fs = require('fs');
 const path = require('path');
+const { openArchive } = require('./archives');
+const { getDemTile } = require('./dem');
+
+// sharp (libvips) only for webp/png8; png/jpeg tiles never load it
+let sharp = null;
+function getSharp() { return sharp || (sharp = require('sharp')); }
 
 // ── CLI args ───────────────────────────────────────────────────────────────────
 const args = process.argv.slice(2);
 function getArg(flag) { const i = args.indexOf(flag); return i !== -1 ? args[i + 1] : undefined; }
 
-const z  = parseInt(getArg('-z'), 10);
-const x1 = parseInt(getArg('-x1'), 10);
-const x2 = parseInt(getArg('-x2'), 10);
-const y1 = parseInt(getArg('-y1'), 10);
-const y2 = parseInt(getArg('-y2'), 10);
+const POOL_MODE = typeof process.send === 'function' && args.length === 0;
 
-if ([z, x1, x2, y1, y2].some(n => !Number.isInteger(n))) {
-  console.error('FATAL: usage: -z Z -x1 X1 -x2 X2 -y1 Y1 -y2 Y2');
-  process.exit(2);
+// Job errors: over IPC in pool mode (ordered with 'done', so the parent logs them
+// with the requesting logger/request id), stderr otherwise
+let currentJobId = null;
+function jobError(line) {
+  if (POOL_MODE && currentJobId != null) process.send({ type: 'log', id: currentJobId, level: 'err', line });
+  else console.error(line);
 }
 
 // console.log(`[RDR-W] [WORKER] argv: ${process.argv.join(' ')}`);
@@ -33,12 +45,36 @@ const VECTOR_DIR = process.env.VECTOR_DIR || path.join(DATA_DIR, 'vector');
 const RASTER_DIR = process.env.RASTER_DIR || path.join(DATA_DIR, 'raster');
 const STYLE_PATH = process.env.STYLE_PATH || path.join(DATA_DIR, 'styles', 'style.json');
 const FONT_DIR   = process.env.FONT_DIR   || path.join(__dirname, '..', 'assets', 'fonts');
+const TILE_PX    = parseInt(process.env.TILE_PX, 10) || 256;
+const LABEL_SCALE = Number(process.env.LABEL_SCALE) || 1;
+
+// provider name → vector cache dir ("" = default provider), JSON from lib/providers
+let SOURCE_DIRS = { '': VECTOR_DIR };
+try { SOURCE_DIRS = { ...SOURCE_DIRS, ...JSON.parse(process.env.VECTOR_SOURCE_DIRS || '{}') }; } catch {}
+
+// provider name → .pmtiles/.mbtiles archive, consulted before the loose cache (lib/archives)
+let ARCHIVE_PATHS = {};
+try { ARCHIVE_PATHS = JSON.parse(process.env.VECTOR_ARCHIVES || '{}'); } catch {}
+const openArchives = new Map(); // file → archive (opened on first use)
+
+function archiveForSource(source) {
+  const file = ARCHIVE_PATHS[source];
+  if (!file) return null;
+  if (!openArchives.has(file)) {
+    try { openArchives.set(file, openArchive(file)); } catch (e) {
+      console.error(`[RDR-W] archive ${file}: ${e.message}`);
+      openArchives.set(file, null);
+    }
+  }
+  return openArchives.get(file);
+}
 
 // console.log(`[RDR-W] [WORKER] STYLE= ${STYLE_PATH}`);
 
 // ── Constants ──────────────────────────────────────────────────────────────────
-const width = 512;
-const height = 512;
+// MapLibre zoom is defined for 512px tiles: an XYZ tile of N px at z is map zoom z + log2(N/512)
+const MAPLIBRE_TILE_PX = 512;
+const WARM_MAPS_MAX = 4; // distinct (style, ratio, labelScale) combos kept alive
 
 // Convert tile XYZ to tile center lon/lat
 function getTileCenter(zz, xx, yy) {
@@ -49,119 +85,485 @@ function getTileCenter(zz, xx, yy) {
   return [lng, lat];
 }
 
-// ── Render one tile to file ────────────────────────────────────────────────────
-async function renderTileOnce(z, x, y) {
-  return new Promise((resolve, reject) => {
-    const outDir  = path.join(RASTER_DIR, String(z), String(x));
-    const outPath = path.join(outDir, `${y}.png`);
-
-    try { fs.mkdirSync(outDir, { recursive: true }); } catch {}
-
-    // canvas (no HiDPI multiply; we fix ratio below)
-    let canvas = createCanvas(width, height);
-    let ctx = canvas.getContext('2d');
-
-    // request handler: serve local vector pbf + fonts from disk
-    const request = (req, callback) => {
-      // vector tiles as referenced by style (e.g. "/vector/z/x/y.pbf")
-      const mTile = req.url.match(/\/vector\/(\d+)\/(\d+)\/(\d+)\.pbf/);
-      if (mTile) {
-        const [zStr, xStr, yStr] = mTile.slice(1);
-        const pbfPath = path.join(VECTOR_DIR, zStr, xStr, `${yStr}.pbf`);
-        return fs.readFile(pbfPath, (err, data) => {
-          if (err || !data || data.length === 0) return callback(null, {}); // no data -> transparent
-          callback(null, { data });
-        });
-      }
+// request handler: serve local vector pbf, terrain-RGB (hillshade) + fonts from disk
+function request(req, callback) {
+  // vector tiles as referenced by style (e.g. "/vector/z/x/y.pbf", "/vector/<provider>/z/x/y.pbf")
+  const mTile = req.url.match(/\/vector\/(?:([A-Za-z_-][A-Za-z0-9_-]*)\/)?(\d+)\/(\d+)\/(\d+)\.pbf/);
+  if (mTile) {
+    const [source = '', zStr, xStr, yStr] = mTile.slice(1);
+    const readLoose = () => {
+      const dir = SOURCE_DIRS[source];
+      if (!dir) return callback(null, {});
+      const pbfPath = path.join(dir, zStr, xStr, `${yStr}.pbf`);
+      fs.readFile(pbfPath, (err, data) => {
+        if (err || !data || data.length === 0) return callback(null, {}); // no data -> transparent
+        callback(null, { data });
+      });
+    };
 
-      // fonts (e.g. "/fonts/Open%20Sans%20Regular%2cArial%20Unicode%20MS%20Regular/0-255.pbf")
-      const mFont = req.url.match(/\/fonts\/([^/]+)\/(\d+-\d+)\.pbf/);
-      if (mFont) {
-        const [fontstackRaw, range] = mFont.slice(1);
-        const fontstack = decodeURIComponent(fontstackRaw);
-        const fontPath = path.join(FONT_DIR, fontstack, `${range}.pbf`);
-        return fs.readFile(fontPath, (err, data) => {
-          if (err || !data) return callback(null, {});
-          callback(null, { data });
-        });
-      }
+    const archive = archiveForSource(source);
+    if (!archive) return readLoose();
+    return archive.getTile(+zStr, +xStr, +yStr).then(
+      (hit) => {
+        if (!hit) return readLoose(); // outside the archive's zoom range/bounds
+        callback(null, hit.status === 'ok' ? { data: hit.data } : {});
+      },
+      () => readLoose(),
+    );
+  }
 
-      // anything else -> empty
-      return callback(null, {});
-    };
+  // terrain-RGB tiles of the injected raster-dem source ("/terrain/z/x/y.png", lib/dem)
+  const mDem = req.url.match(/\/terrain\/(\d+)\/(\d+)\/(\d+)\.(?:png|webp)/);
+  if (mDem) {
+    return getDemTile(+mDem[1], +mDem[2], +mDem[3]).then(
+      (tile) => callback(null, tile ? { data: tile.data } : {}),
+      () => callback(null, {}),
+    );
+  }
 
-    // Maplibre map in tile mode, ratio=1 to match 512x512 canvas
-    const map = new maplibregl.Map({
-      request,
-      mode: 'tile',
-      ratio: 1,
-      width,
-      height
+  // fonts (e.g. "/fonts/Open%20Sans%20Regular%2cArial%20Unicode%20MS%20Regular/0-255.pbf")
+  const mFont = req.url.match(/\/fonts\/([^/]+)\/(\d+-\d+)\.pbf/);
+  if (mFont) {
+    const [fontstackRaw, range] = mFont.slice(1);
+    const fontstack = decodeURIComponent(fontstackRaw);
+    const fontPath = path.join(FONT_DIR, fontstack, `${range}.pbf`);
+    return fs.readFile(fontPath, (err, data) => {
+      if (err || !data) return callback(null, {});
+      callback(null, { data });
     });
+  }
 
-    let style;
-    try {
-      style = JSON.parse(fs.readFileSync(STYLE_PATH, 'utf8'));
-    } catch (e) {
-      console.error(`FATAL: style read failed: ${e.message}`);
-      map.release();
-      return reject(e);
-    }
+  // anything else -> empty
+  return callback(null, {});
+}
 
-    // enforce transparent background (no-op if already transparent)
-    const bg = (style.layers || []).find(l => l.type === 'background');
-    if (!bg) {
-      style.layers = [{ id: 'background', type: 'background', paint: { 'background-color': 'rgba(0,0,0,0)' } }, ...(style.layers || [])];
-    } else {
-      bg.paint = bg.paint || {};
-      bg.paint['background-color'] = 'rgba(0,0,0,0)';
+// ── Label scaling (LABEL_SCALE) ────────────────────────────────────────────────
+const SCALED_PROPS = {
+  layout: ['text-size', 'icon-size'],
+  paint:  ['line-width', 'text-halo-width'],
+};
+
+// Multiply a style value; zoom functions/expressions keep their zoom input top-level
+function scaleValue(v, mult) {
+  if (typeof v === 'number') return v * mult;
+  if (v && !Array.isArray(v) && Array.isArray(v.stops)) {
+    return { ...v, stops: v.stops.map(([k, out]) => [k, scaleValue(out, mult)]) };
+  }
+  if (Array.isArray(v)) {
+    const isZoomCurve = (v[0] === 'interpolate' || v[0] === 'step') && JSON.stringify(v[v[0] === 'step' ? 1 : 2]) === '["zoom"]';
+    if (v[0] === 'interpolate' && isZoomCurve) {
+      return v.map((e, i) => (i > 3 && i % 2 === 0) ? scaleValue(e, mult) : e);
     }
+    if (v[0] === 'step' && isZoomCurve) {
+      return v.map((e, i) => (i === 2 || (i > 2 && i % 2 === 0)) ? scaleValue(e, mult) : e);
+    }
+    return ['*', mult, v];
+  }
+  return v;
+}
 
-    try { map.load(style); }
-    catch (e) {
-      console.error(`FATAL: style load failed: ${e.message}`);
-      map.release();
-      return reject(e);
+function applyLabelScale(style, mult) {
+  if (!mult || mult === 1) return style;
+  for (const layer of style.layers || []) {
+    for (const [block, props] of Object.entries(SCALED_PROPS)) {
+      const obj = layer[block];
+      if (!obj) continue;
+      for (const k of props) if (k in obj) obj[k] = scaleValue(obj[k], mult);
     }
+  }
+  return style;
+}
+
+// ── Warm maps (parsed style + Map kept across renders) ─────────────────────────
+// key: `${stylePath}|${ratio}|${labelScale}|${mode}[|overlay files]` → Map (insertion order = LRU order)
+// mode 'tile' renders raster tiles (transparent background), 'tile-opaque' JPEG tiles
+// and 'static' whole images (static maps), both with the style's own background
+const warm = new Map();
+
+function loadStyle(stylePath, labelScale, { transparent = true } = {}) {
+  const style = JSON.parse(fs.readFileSync(stylePath, 'utf8'));
+  if (!transparent) return applyLabelScale(style, labelScale);
+
+  // enforce transparent background (no-op if already transparent)
+  const bg = (style.layers || []).find(l => l.type === 'background');
+  if (!bg) {
+    style.layers = [{ id: 'background', type: 'background', paint: { 'background-color': 'rgba(0,0,0,0)' } }, ...(style.layers || [])];
+  } else {
+    bg.paint = bg.paint || {};
+    bg.paint['background-color'] = 'rgba(0,0,0,0)';
+  }
+  return applyLabelScale(style, labelScale);
+}
+
+function releaseWarm(key) {
+  const keys = key ? [key] : [...warm.keys()];
+  for (const k of keys) {
+    try { warm.get(k)?.release(); } catch {}
+    warm.delete(k);
+  }
+}
+
+// Overlay files are part of the key with their mtime, so a replaced overlay gets a fresh Map
+function warmKeyFor(stylePath, ratio, labelScale, mode, overlays = []) {
+  const key = `${stylePath}|${ratio}|${labelScale}|${mode}`;
+  return overlays.length ? `${key}|${overlays.map(p => `${p}@${fs.statSync(p).mtimeMs}`).join(',')}` : key;
+}
+
+// Overlay files → one FeatureCollection
+function readOverlays(paths) {
+  const features = [];
+  for (const p of paths) features.push(...JSON.parse(fs.readFileSync(p, 'utf8')).features);
+  return { type: 'FeatureCollection', features };
+}
+
+function getWarmMap(stylePath, ratio = 1, labelScale = LABEL_SCALE, mode = 'tile', overlays = []) {
+  const key = warmKeyFor(stylePath, ratio, labelScale, mode, overlays);
+  if (warm.has(key)) {
+    const map = warm.get(key);
+    warm.delete(key); warm.set(key, map); // bump LRU
+    return map;
+  }
+  while (warm.size >= WARM_MAPS_MAX) releaseWarm(warm.keys().next().value);
+
+  const overlay = overlays.length ? readOverlays(overlays) : null;
+  const map = createMap(stylePath, { ratio, labelScale, mode, overlay });
+  warm.set(key, map);
+  return map;
+}
+
+// Maplibre map; ratio and mode are fixed per Map, size is set per render
+function createMap(stylePath, { ratio = 1, labelScale = LABEL_SCALE, mode = 'tile', overlay = null } = {}) {
+  let style;
+  try {
+    style = loadStyle(stylePath, labelScale, { transparent: mode === 'tile' });
+    if (mode === 'tile-opaque') mode = 'tile';
+    if (overlay) addOverlay(style, overlay);
+  } catch (e) {
+    console.error(`FATAL: style read failed: ${e.message}`);
+    throw e;
+  }
+
+  const map = new maplibregl.Map({
+    request,
+    mode,
+    ratio,
+    width: MAPLIBRE_TILE_PX,
+    height: MAPLIBRE_TILE_PX
+  });
+
+  try { map.load(style); }
+  catch (e) {
+    console.error(`FATAL: style load failed: ${e.message}`);
+    map.release();
+    throw e;
+  }
+  return map;
+}
+
+// ── Output helpers ─────────────────────────────────────────────────────────────
+// raw RGBA from map.render → canvas (w, h in device pixels)
+function pixelsToCanvas(pixelData, w, h) {
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(w, h);
+  imageData.data.set(pixelData);         // lengths match: w * h * 4
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+// Tile image bytes in the job's encoding; `encode` = { quality?, colours?, background? }
+async function encodeTile(canvas, format = 'png', encode = {}) {
+  if (format === 'png') return canvas.toBuffer('image/png');
+  if (format === 'jpeg') { // no alpha in JPEG: flatten whatever the style left transparent
+    const flat = createCanvas(canvas.width, canvas.height);
+    const ctx = flat.getContext('2d');
+    ctx.fillStyle = encode.background || '#ffffff';
+    ctx.fillRect(0, 0, flat.width, flat.height);
+    ctx.drawImage(canvas, 0, 0);
+    return flat.toBuffer('image/jpeg', { quality: (encode.quality || 85) / 100 });
+  }
+
+  const { width, height } = canvas;
+  const rgba = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const img = getSharp()(Buffer.from(rgba.buffer, rgba.byteOffset, rgba.length), { raw: { width, height, channels: 4 } });
+  if (format === 'webp') return img.webp({ quality: encode.quality || 80, alphaQuality: 100 }).toBuffer();
+  if (format === 'png8') return img.png({ palette: true, colours: encode.colours || 256, compressionLevel: 9 }).toBuffer();
+  throw new Error(`unknown tile format ${format}`);
+}
+
+// write to a temp file, then rename: readers never see a half-written image
+function writeImage(buf, outPath) {
+  const tmpPath = `${outPath}.${process.pid}.tmp`;
+  return fs.promises.writeFile(tmpPath, buf)
+    .then(() => fs.promises.rename(tmpPath, outPath))
+    .then(() => outPath, (e) => { fs.unlink(tmpPath, () => {}); throw e; });
+}
+
+// ── Render one tile to file ────────────────────────────────────────────────────
+function renderTileOnce(z, x, y, {
+  stylePath = STYLE_PATH,
+  outPath = path.join(RASTER_DIR, String(z), String(x), `${y}.png`),
+  tilePx = TILE_PX,
+  ratio = 1,
+  labelScale = LABEL_SCALE,
+  format = 'png',
+  encode = {},
+  overlays = [],
+} = {}) {
+  return new Promise((resolve, reject) => {
+    try { fs.mkdirSync(path.dirname(outPath), { recursive: true }); } catch {}
+
+    let map, warmKey;
+    const mode = format === 'jpeg' ? 'tile-opaque' : 'tile';
+    try {
+      warmKey = warmKeyFor(stylePath, ratio, labelScale, mode, overlays);
+      map = getWarmMap(stylePath, ratio, labelScale, mode, overlays);
+    } catch (e) { return reject(e); }
+
+    // MapLibre can't go below zoom 0 (256px z0 = map zoom -1): render larger, then downscale
+    const mapZoom = z + Math.log2(tilePx / MAPLIBRE_TILE_PX);
+    const renderZoom = Math.max(0, mapZoom);
+    const renderPx = tilePx * Math.pow(2, renderZoom - mapZoom);
+    const bufPx = renderPx * ratio;   // pixel buffer is size * ratio
+    const outPx = tilePx * ratio;
 
     const center = getTileCenter(z, x + 0.5, y + 0.5);
-    map.render({ zoom: z, center, width, height, bearing: 0, pitch: 0, buffer: 256 }, (err, pixelData) => {
+    map.render({ zoom: renderZoom, center, width: renderPx, height: renderPx, bearing: 0, pitch: 0, buffer: 256 }, (err, pixelData) => {
       if (err) {
-        console.error(`Render Error: z${z} x${x} y${y}: ${err}`);
-        map.release();
+        jobError(`Render Error: z${z} x${x} y${y}: ${err}`);
+        releaseWarm(warmKey); // a failed render can leave the Map unusable; rebuild on next job
         return reject(err);
       }
 
+      let canvas;
       try {
-        const imageData = ctx.createImageData(width, height);
-        imageData.data.set(pixelData);         // lengths match because ratio=1
-        ctx.putImageData(imageData, 0, 0);
+        const src = pixelsToCanvas(pixelData, bufPx, bufPx);
+
+        if (bufPx === outPx) {
+          canvas = src;
+        } else {
+          canvas = createCanvas(outPx, outPx);
+          canvas.getContext('2d').drawImage(src, 0, 0, outPx, outPx);
+        }
       } catch (e) {
-        console.error(`Pixel Mismatch: z${z} x${x} y${y}: ${e}`);
-        map.release();
+        jobError(`Pixel Mismatch: z${z} x${x} y${y}: ${e}`);
         return reject(e);
       }
 
-      const out = fs.createWriteStream(outPath);
-      canvas.createPNGStream().pipe(out);
+      encodeTile(canvas, format, encode)
+        .then((buf) => writeImage(buf, outPath))
+        .then(resolve, (e) => {
+          jobError(`Encode Error: z${z} x${x} y${y} (${format}): ${e.message || e}`);
+          reject(e);
+        });
+    });
+  });
+}
+
+// ── Static images (any center/zoom/size) ───────────────────────────────────────
+// GeoJSON overlay drawn on top of the style (also for tiles with uploaded overlays); simplestyle-spec properties
+// (stroke, stroke-width, stroke-opacity, fill, fill-opacity, marker-color) override defaults
+const OVERLAY_COLOR = '#d7263d';
+const OVERLAY_LAYERS = [
+  {
+    id: 'overlay-fill', type: 'fill', source: 'overlay',
+    filter: ['==', ['geometry-type'], 'Polygon'],
+    paint: {
+      'fill-color': ['coalesce', ['get', 'fill'], OVERLAY_COLOR],
+      'fill-opacity': ['coalesce', ['get', 'fill-opacity'], 0.2],
+    },
+  },
+  {
+    id: 'overlay-line', type: 'line', source: 'overlay',
+    filter: ['match', ['geometry-type'], ['LineString', 'Polygon'], true, false],
+    layout: { 'line-join': 'round', 'line-cap': 'round' },
+    paint: {
+      'line-color': ['coalesce', ['get', 'stroke'], OVERLAY_COLOR],
+      'line-width': ['coalesce', ['get', 'stroke-width'], 3],
+      'line-opacity': ['coalesce', ['get', 'stroke-opacity'], 0.9],
+    },
+  },
+  {
+    id: 'overlay-point', type: 'circle', source: 'overlay',
+    filter: ['==', ['geometry-type'], 'Point'],
+    paint: {
+      'circle-radius': 6,
+      'circle-color': ['coalesce', ['get', 'marker-color'], OVERLAY_COLOR],
+      'circle-stroke-color': '#ffffff',
+      'circle-stroke-width': 2,
+    },
+  },
+];
+
+function addOverlay(style, geojson) {
+  style.sources = { ...style.sources, overlay: { type: 'geojson', data: geojson } };
+  style.layers = [...(style.layers || []), ...OVERLAY_LAYERS];
+  return style;
+}
+
+// Scale bar: longest 1/2/5 × 10^n distance that fits in maxPx (CSS px) at this latitude
+function niceScale(lat, zoom, maxPx) {
+  const mpp = 40075016.686 * Math.cos((lat * Math.PI) / 180) / (MAPLIBRE_TILE_PX * Math.pow(2, zoom));
+  const maxM = mpp * maxPx;
+  const pow = Math.pow(10, Math.floor(Math.log10(maxM)));
+  const d = maxM / pow;
+  const meters = (d >= 5 ? 5 : d >= 2 ? 2 : 1) * pow;
+  return { px: meters / mpp, label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m` };
+}
+
+function drawScaleBar(ctx, { lat, zoom, height, ratio }) {
+  const { px, label } = niceScale(lat, zoom, 100);
+  const x = 10, y = height - 10;
+  ctx.save();
+  ctx.scale(ratio, ratio);
+  ctx.fillStyle = 'rgba(255,255,255,0.8)';
+  ctx.fillRect(x - 4, y - 20, px + 8, 24);
+  ctx.strokeStyle = '#333';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x, y - 8); ctx.lineTo(x, y - 2); ctx.lineTo(x + px, y - 2); ctx.lineTo(x + px, y - 8);
+  ctx.stroke();
+  ctx.fillStyle = '#333';
+  ctx.font = '10px sans-serif';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillText(label, x + 2, y - 9);
+  ctx.restore();
+}
+
+function drawAttribution(ctx, text, { width, height, ratio }) {
+  ctx.save();
+  ctx.scale(ratio, ratio);
+  ctx.font = '10px sans-serif';
+  const w = Math.min(ctx.measureText(text).width + 8, width);
+  ctx.fillStyle = 'rgba(255,255,255,0.8)';
+  ctx.fillRect(width - w, height - 14, w, 14);
+  ctx.fillStyle = '#333';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, width - w + 4, height - 7, w - 8);
+  ctx.restore();
+}
+
+function renderStaticOnce({
+  stylePath = STYLE_PATH,
+  outPath,
+  center,
+  zoom,
+  width,
+  height,
+  ratio = 1,
+  labelScale = LABEL_SCALE,
+  format = 'png',
+  encode = {},
+  overlay = null,
+  attribution = '',
+  scaleBar = true,
+}) {
+  return new Promise((resolve, reject) => {
+    try { fs.mkdirSync(path.dirname(outPath), { recursive: true }); } catch {}
+
+    // overlays change the style: one-off Map; otherwise reuse a warm static Map
+    const warmKey = overlay ? null : `${stylePath}|${ratio}|${labelScale}|static`;
+    let map;
+    try {
+      map = overlay
+        ? createMap(stylePath, { ratio, labelScale, mode: 'static', overlay })
+        : getWarmMap(stylePath, ratio, labelScale, 'static');
+    } catch (e) { return reject(e); }
+
+    const finish = (err, p) => {
+      if (!warmKey) { try { map.release(); } catch {} }
+      else if (err) releaseWarm(warmKey);
+      err ? reject(err) : resolve(p);
+    };
+
+    map.render({ zoom, center, width, height, bearing: 0, pitch: 0 }, (err, pixelData) => {
+      if (err) {
+        jobError(`Render Error: static ${center} z${zoom}: ${err}`);
+        return finish(err);
+      }
+
+      let canvas;
+      try {
+        canvas = pixelsToCanvas(pixelData, width * ratio, height * ratio);
+        const ctx = canvas.getContext('2d');
+        if (scaleBar) drawScaleBar(ctx, { lat: center[1], zoom, height, ratio });
+        if (attribution) drawAttribution(ctx, attribution, { width, height, ratio });
+      } catch (e) {
+        jobError(`Pixel Mismatch: static ${center} z${zoom}: ${e}`);
+        return finish(e);
+      }
 
-      out.on('finish', () => { map.release(); resolve(outPath); });
-      out.on('error',  (e) => { map.release(); reject(e); });
+      // same encoder as tiles: JPEG quality and background come from the job
+      encodeTile(canvas, format, encode)
+        .then((buf) => writeImage(buf, outPath))
+        .then((p) => finish(null, p), finish);
     });
   });
 }
 
-// ── Main ───────────────────────────────────────────────────────────────────────
-(async () => {
+// ── Pool mode: one job at a time over IPC ──────────────────────────────────────
+// in:  { type: 'render', id, z, x, y, stylePath, outPath, tilePx, ratio, labelScale, format?, encode?, overlays? }
+//      { type: 'static', id, center, zoom, width, height, ratio, format, encode?, overlay?, attribution?, scaleBar?, stylePath, outPath, labelScale }
+// out: { type: 'ready' } once warm, then { type: 'log', id, level, line }* and { type: 'done', id, ok, path?, error? }
+function runPool() {
+  let chain = Promise.resolve();
+
+  process.on('message', (msg) => {
+    if (!msg || (msg.type !== 'render' && msg.type !== 'static')) return;
+    const { id, z, x, y, stylePath, outPath, tilePx, ratio, labelScale, format, encode, overlays } = msg;
+    const run = msg.type === 'static'
+      ? () => renderStaticOnce(msg)
+      : () => renderTileOnce(z, x, y, { stylePath, outPath, tilePx, ratio, labelScale, format, encode, overlays });
+    chain = chain.then(() => { currentJobId = id; return run(); })
+      .then((p) => process.send({ type: 'done', id, ok: true, path: p }))
+      .catch((e) => process.send({ type: 'done', id, ok: false, error: e.message || String(e) }))
+      .finally(() => { currentJobId = null; });
+  });
+
+  // parent went away → nothing left to serve
+  process.on('disconnect', () => { releaseWarm(); process.exit(0); });
+
+  try { getWarmMap(STYLE_PATH); } catch {} // warm-up; jobs retry the load on failure
+  process.send({ type: 'ready' });
+}
+
+// ── CLI mode: render a range and exit ──────────────────────────────────────────
+// optional: -px 256|512|1024, -ratio 1|2, -format png|png8|webp|jpeg, -out <dir> (default RASTER_DIR)
+const CLI_EXT = { png: 'png', png8: 'png', webp: 'webp', jpeg: 'jpg' };
+
+async function runCli() {
+  const z  = parseInt(getArg('-z'), 10);
+  const x1 = parseInt(getArg('-x1'), 10);
+  const x2 = parseInt(getArg('-x2'), 10);
+  const y1 = parseInt(getArg('-y1'), 10);
+  const y2 = parseInt(getArg('-y2'), 10);
+
+  const tilePx = parseInt(getArg('-px'), 10) || TILE_PX;
+  const ratio  = parseInt(getArg('-ratio'), 10) || 1;
+  const outDir = getArg('-out') || RASTER_DIR;
+  const format = getArg('-format') || 'png';
+
+  if ([z, x1, x2, y1, y2].some(n => !Number.isInteger(n)) || !CLI_EXT[format]) {
+    console.error('FATAL: usage: -z Z -x1 X1 -x2 X2 -y1 Y1 -y2 Y2 [-px 256|512|1024] [-ratio 1|2] [-format png|png8|webp|jpeg] [-out DIR]');
+    process.exit(2);
+  }
+
   try {
     for (let x = x1; x <= x2; x++) {
       for (let y = y1; y <= y2; y++) {
-        await renderTileOnce(z, x, y);
+        const outPath = path.join(outDir, String(z), String(x), `${y}.${CLI_EXT[format]}`);
+        await renderTileOnce(z, x, y, { outPath, tilePx, ratio, format });
       }
     }
+    releaseWarm();
     process.exit(0);
   } catch (e) {
     console.error(`FATAL: ${e.message || e}`);
+    releaseWarm();
     process.exit(1);
   }
-})();
\ No newline at end of file
+}
+
+// ── Main ───────────────────────────────────────────────────────────────────────
+if (POOL_MODE) runPool();
+else runCli();
@@ -0,0 +1,339 @@
+// lib/search.js
+// Place search and feature lookup over the vector tiles:
+// - index: named features of every cached tile (each provider's cache tree, up to
+//   SEARCH_MAX_ZOOM) in an SQLite FTS5 table at SEARCH_DB_PATH, one row per provider +
+//   layer + name + ~1 km cell, at the centroid from the most detailed zoom seen
+// - scans are incremental (tile mtimes are remembered), run at boot and every
+//   SEARCH_INDEX_MINUTES; tiles replaced upstream are re-read at once
+// - the index only grows: features of tiles removed by cleanup stay findable
+// - featuresAt: decoded features under a point of one tile (fetched like any other)
+const fs = require("fs");
+const Database = require("better-sqlite3");
+const {
+  SEARCH_DB_PATH, SEARCH_NAME_FIELDS, SEARCH_EXCLUDE_LAYERS, SEARCH_MAX_ZOOM, SEARCH_INDEX_MINUTES,
+} = require("./config");
+const { readFeatures, GEOM } = require("./mvt");
+const { ensureVectorTile, onVectorTileChange } = require("./pbf");
+const { listProviders, getProvider } = require("./providers");
+const { eachTile } = require("./cache");
+const { fracToLon, fracToLat, lonToFrac, latToFrac, parseBbox } = require("./tiles");
+
+const SEARCH_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 50;
+const CELL = 100;                // dedup cell: 1/100° (~1 km)
+const LOOKUP_TOLERANCE_PX = 6;   // point/line hit radius at 256 px per tile
+const LOOKUP_MAX_FEATURES = 50;
+const GEOM_NAMES = { [GEOM.POINT]: "Point", [GEOM.LINESTRING]: "LineString", [GEOM.POLYGON]: "Polygon" };
+
+let db = null;
+let stmts = null;
+let indexRunning = null; // shared by concurrent callers
+let lastRun = null;      // { trigger, finishedAt, durationMs, tiles, names, features }
+
+function badSpec(msg) {
+  const e = new Error(msg); e.code = "BAD_SEARCH_SPEC"; return e;
+}
+
+// ── Database ───────────────────────────────────────────────────────────────────
+function openDb() {
+  if (db) return db;
+  db = new Database(SEARCH_DB_PATH);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS features (
+      id INTEGER PRIMARY KEY,
+      provider TEXT NOT NULL, layer TEXT NOT NULL, name TEXT NOT NULL, cell TEXT NOT NULL,
+      lon REAL NOT NULL, lat REAL NOT NULL,
+      minzoom INTEGER NOT NULL, detailzoom INTEGER NOT NULL,
+      UNIQUE (provider, layer, name, cell)
+    );
+    CREATE VIRTUAL TABLE IF NOT EXISTS features_fts USING fts5(
+      name, layer, content='features', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+    );
+    CREATE TRIGGER IF NOT EXISTS features_ai AFTER INSERT ON features BEGIN
+      INSERT INTO features_fts(rowid, name, layer) VALUES (new.id, new.name, new.layer);
+    END;
+    CREATE TRIGGER IF NOT EXISTS features_ad AFTER DELETE ON features BEGIN
+      INSERT INTO features_fts(features_fts, rowid, name, layer) VALUES ('delete', old.id, old.name, old.layer);
+    END;
+    CREATE TABLE IF NOT EXISTS tiles (
+      provider TEXT NOT NULL, z INTEGER NOT NULL, x INTEGER NOT NULL, y INTEGER NOT NULL, mtime REAL NOT NULL,
+      PRIMARY KEY (provider, z, x, y)
+    );
+  `);
+  stmts = {
+    tileMtime: db.prepare("SELECT mtime FROM tiles WHERE provider = ? AND z = ? AND x = ? AND y = ?").pluck(),
+    markTile: db.prepare("INSERT OR REPLACE INTO tiles (provider, z, x, y, mtime) VALUES (?, ?, ?, ?, ?)"),
+    // the position is taken from the most detailed zoom; minzoom ranks features seen early first
+    upsert: db.prepare(`
+      INSERT INTO features (provider, layer, name, cell, lon, lat, minzoom, detailzoom)
+      VALUES (@provider, @layer, @name, @cell, @lon, @lat, @z, @z)
+      ON CONFLICT (provider, layer, name, cell) DO UPDATE SET
+        lon = CASE WHEN excluded.detailzoom > detailzoom THEN excluded.lon ELSE lon END,
+        lat = CASE WHEN excluded.detailzoom > detailzoom THEN excluded.lat ELSE lat END,
+        detailzoom = MAX(detailzoom, excluded.detailzoom),
+        minzoom = MIN(minzoom, excluded.minzoom)
+    `),
+    count: db.prepare("SELECT COUNT(*) FROM features").pluck(),
+  };
+  return db;
+}
+
+// ── Geometry (tile units) ──────────────────────────────────────────────────────
+function ringArea(ring) {
+  let sum = 0;
+  for (let k = 0, j = ring.length - 1; k < ring.length; j = k++) {
+    sum += ring[j][0] * ring[k][1] - ring[k][0] * ring[j][1];
+  }
+  return sum / 2;
+}
+
+// Area-weighted centroid of the exterior rings (positive area, MVT y down)
+function polygonCentroid(parts) {
+  let a = 0, cx = 0, cy = 0;
+  for (const ring of parts) {
+    const ra = ringArea(ring);
+    if (ra <= 0) continue;
+    for (let k = 0, j = ring.length - 1; k < ring.length; j = k++) {
+      const f = ring[j][0] * ring[k][1] - ring[k][0] * ring[j][1];
+      cx += (ring[j][0] + ring[k][0]) * f;
+      cy += (ring[j][1] + ring[k][1]) * f;
+    }
+    a += ra;
+  }
+  return a > 0 ? [cx / (6 * a), cy / (6 * a)] : null;
+}
+
+// Point halfway along the longest part
+function lineMidpoint(parts) {
+  let best = null, bestLen = -1;
+  for (const line of parts) {
+    let len = 0;
+    for (let k = 1; k < line.length; k++) len += Math.hypot(line[k][0] - line[k - 1][0], line[k][1] - line[k - 1][1]);
+    if (len > bestLen) { best = line; bestLen = len; }
+  }
+  if (!best?.length) return null;
+  let half = bestLen / 2;
+  for (let k = 1; k < best.length; k++) {
+    const [x1, y1] = best[k - 1], [x2, y2] = best[k];
+    const seg = Math.hypot(x2 - x1, y2 - y1);
+    if (seg >= half && seg > 0) return [x1 + (x2 - x1) * (half / seg), y1 + (y2 - y1) * (half / seg)];
+    half -= seg;
+  }
+  return best[0];
+}
+
+function centroid(f) {
+  if (f.type === GEOM.POINT) return f.parts[0]?.[0] || null;
+  if (f.type === GEOM.LINESTRING) return lineMidpoint(f.parts);
+  if (f.type === GEOM.POLYGON) return polygonCentroid(f.parts);
+  return null;
+}
+
+function featureName(properties) {
+  for (const field of SEARCH_NAME_FIELDS) {
+    const v = properties[field];
+    if (typeof v === "string" && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+const isIndexedLayer = (name) => !SEARCH_EXCLUDE_LAYERS.some(s => name.toLowerCase().includes(s.toLowerCase()));
+
+// ── Indexing ───────────────────────────────────────────────────────────────────
+/** Named features of one tile → rows ({ provider, layer, name, cell, lon, lat, z }). */
+function tileRows(providerName, z, x, y, buf) {
+  const n = Math.pow(2, z), rows = [];
+  for (const layer of readFeatures(buf, { layers: isIndexedLayer })) {
+    for (const f of layer.features) {
+      const name = featureName(f.properties);
+      if (!name || /^[\d\s.,-]+$/.test(name)) continue; // spot heights and other bare numbers
+      const c = centroid(f);
+      if (!c) continue;
+      const [tx, ty] = [c[0] / layer.extent, c[1] / layer.extent];
+      if (tx < 0 || tx > 1 || ty < 0 || ty > 1) continue; // in the buffer: the neighbour tile has it
+      const lon = fracToLon((x + tx) / n), lat = fracToLat((y + ty) / n);
+      rows.push({
+        provider: providerName, layer: layer.name, name, z,
+        cell: `${Math.round(lon * CELL)},${Math.round(lat * CELL)}`,
+        lon: +lon.toFixed(6), lat: +lat.toFixed(6),
+      });
+    }
+  }
+  return rows;
+}
+
+// Index one cached tile; null when it's unchanged since the last scan (or gone)
+async function indexTileFile(providerName, z, x, y, file, mtime, { force = false } = {}) {
+  if (!force && stmts.tileMtime.get(providerName, z, x, y) === mtime) return null;
+  let buf;
+  try { buf = await fs.promises.readFile(file); } catch { return null; }
+  let rows = [];
+  try { if (buf.length) rows = tileRows(providerName, z, x, y, buf); } catch {} // not a readable tile: nothing to index
+  db.transaction(() => {
+    for (const row of rows) stmts.upsert.run(row);
+    stmts.markTile.run(providerName, z, x, y, mtime);
+  })();
+  return rows.length;
+}
+
+/**
+ * Scan every provider's cache tree and index tiles that are new or changed since the last
+ * scan (`rebuild` empties the index first). Concurrent calls share one run.
+ * `tiles`/`names`: read in this run; `features`: rows in the index afterwards.
+ * @returns {Promise<{trigger, finishedAt, durationMs, tiles, names, features}>}
+ */
+function runSearchIndex(trigger = "manual", { rebuild = false, L } = {}) {
+  if (indexRunning) return indexRunning;
+  indexRunning = (async () => {
+    const t0 = Date.now();
+    openDb();
+    if (rebuild) {
+      db.exec("DELETE FROM features; DELETE FROM tiles;");
+    }
+    let tiles = 0, found = 0;
+    for (const p of listProviders()) {
+      const maxzoom = Math.min(SEARCH_MAX_ZOOM, p.maxzoom); // overzoomed tiles are copies of maxzoom ones
+      await eachTile(p.cacheDir, { minzoom: p.minzoom, maxzoom }, async (file, z, x, y) => {
+        let st;
+        try { st = await fs.promises.stat(file); } catch { return; }
+        if (!st.size) return;
+        const n = await indexTileFile(p.name, z, x, y, file, st.mtimeMs);
+        if (n === null) return;
+        tiles++;
+        found += n;
+      });
+    }
+    lastRun = {
+      trigger, finishedAt: new Date().toISOString(), durationMs: Date.now() - t0,
+      tiles, names: found, features: stmts.count.get(),
+    };
+    L?.log?.("SEARCH", `index ${trigger}: ${tiles} new/changed tiles, ${found} names; ${lastRun.features} in the index (${lastRun.durationMs} ms)`);
+    return lastRun;
+  })().catch((e) => {
+    L?.err?.("SEARCH", `index ${trigger} failed: ${e.message}`);
+    throw e;
+  }).finally(() => { indexRunning = null; });
+  return indexRunning;
+}
+
+/** Boot: first scan soon, then every SEARCH_INDEX_MINUTES; tiles changed upstream are re-read. */
+function startSearchIndex({ L } = {}) {
+  openDb();
+  onVectorTileChange((provider, z, x, y) => {
+    if (z > Math.min(SEARCH_MAX_ZOOM, provider.maxzoom)) return;
+    const file = provider.tilePath(z, x, y);
+    fs.promises.stat(file)
+      .then(st => indexTileFile(provider.name, z, x, y, file, st.mtimeMs, { force: true }))
+      .catch(() => {});
+  });
+  setTimeout(() => runSearchIndex("initial", { L }).catch(() => {}), 5000).unref();
+  if (SEARCH_INDEX_MINUTES > 0) {
+    setInterval(() => runSearchIndex("scheduled", { L }).catch(() => {}), SEARCH_INDEX_MINUTES * 60 * 1000).unref();
+  }
+  L?.log?.("INIT", `Search index ${SEARCH_DB_PATH}${SEARCH_INDEX_MINUTES > 0 ? `, rescanned every ${SEARCH_INDEX_MINUTES} min` : ""}`);
+}
+
+/** { running, lastRun, features } */
+function searchIndexStatus() {
+  openDb();
+  return { running: !!indexRunning, lastRun, features: stmts.count.get() };
+}
+
+// ── Queries ────────────────────────────────────────────────────────────────────
+// Words → FTS5 prefix query ("mt barn" → "mt"* "barn"*); quotes keep user syntax inert
+function ftsQuery(q) {
+  const words = String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(w => `"${w}"*`).join(" ");
+}
+
+/**
+ * Named features matching `q` (every word, as a prefix), best match first.
+ * in:  { q, limit? (1..50), bbox? "w,s,e,n" }
+ * Throws err.code "BAD_SEARCH_SPEC" on invalid input.
+ * @returns {Array<{name, layer, provider, lon, lat}>}
+ */
+function searchFeatures({ q, limit, bbox } = {}) {
+  const match = ftsQuery(q || "");
+  if (!match) throw badSpec("q must contain letters or digits");
+  const n = limit == null || limit === "" ? SEARCH_LIMIT : Number(limit);
+  if (!Number.isInteger(n) || n < 1 || n > SEARCH_MAX_LIMIT) throw badSpec(`limit must be an integer 1..${SEARCH_MAX_LIMIT}`);
+  let box = null;
+  if (bbox) {
+    box = parseBbox(bbox);
+    if (!box) throw badSpec("bbox must be west,south,east,north");
+  }
+
+  openDb();
+  const where = box ? "AND f.lon BETWEEN ? AND ? AND f.lat BETWEEN ? AND ?" : "";
+  const params = box ? [match, box[0], box[2], box[1], box[3], n] : [match, n];
+  return db.prepare(`
+    SELECT f.name, f.layer, f.provider, f.lon, f.lat
+    FROM features_fts JOIN features f ON f.id = features_fts.rowid
+    WHERE features_fts MATCH ? ${where}
+    ORDER BY bm25(features_fts), f.minzoom, length(f.name)
+    LIMIT ?
+  `).all(...params);
+}
+
+function pointInRings(px, py, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function nearLine(px, py, line, tol) {
+  for (let k = 1; k < line.length; k++) {
+    const [ax, ay] = line[k - 1], [bx, by] = line[k];
+    const dx = bx - ax, dy = by - ay, len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0;
+    if (Math.hypot(px - (ax + t * dx), py - (ay + t * dy)) <= tol) return true;
+  }
+  return false;
+}
+
+/**
+ * Features under lon/lat in the vector tile at zoom `z` (clamped to the provider's range):
+ * polygons containing the point, lines and points within a few pixels of it.
+ * Throws err.code "BAD_SEARCH_SPEC" on invalid input; upstream errors propagate.
+ * @returns {Promise<{z, x, y, provider, features: Array<{layer, type, name, properties}>}>}
+ */
+async function featuresAt({ lon, lat, z = 14, source } = {}, { L } = {}) {
+  lon = Number(lon); lat = Number(lat); z = Number(z);
+  if (!Number.isFinite(lon) || !Number.isFinite(lat) || lon < -180 || lon > 180 || lat < -85.0511 || lat > 85.0511) {
+    throw badSpec("lat and lon must be numbers in range");
+  }
+  if (!Number.isFinite(z) || z < 0 || z > 30) throw badSpec("z must be a zoom level");
+  const provider = getProvider(source || undefined);
+  if (!provider) throw badSpec(`unknown source "${source}"`);
+
+  z = Math.max(provider.minzoom, Math.min(provider.maxzoom, Math.floor(z)));
+  const n = Math.pow(2, z);
+  const fx = Math.min(lonToFrac(lon) * n, n - 1e-9), fy = Math.min(latToFrac(lat) * n, n - 1e-9);
+  const x = Math.floor(fx), y = Math.floor(fy);
+  const out = { z, x, y, provider: provider.name, features: [] };
+
+  const r = await ensureVectorTile(z, x, y, { provider, L });
+  if (r.status !== "ok") return out;
+  const buf = r.data || await fs.promises.readFile(r.path);
+  for (const layer of readFeatures(buf)) {
+    const px = (fx - x) * layer.extent, py = (fy - y) * layer.extent;
+    const tol = (LOOKUP_TOLERANCE_PX / 256) * layer.extent;
+    for (const f of layer.features) {
+      const hit = f.type === GEOM.POLYGON ? pointInRings(px, py, f.parts)
+        : f.type === GEOM.LINESTRING ? f.parts.some(line => nearLine(px, py, line, tol))
+        : f.parts.some(([[qx, qy]]) => Math.hypot(px - qx, py - qy) <= tol);
+      if (!hit) continue;
+      out.features.push({ layer: layer.name, type: GEOM_NAMES[f.type], name: featureName(f.properties), properties: f.properties });
+      if (out.features.length >= LOOKUP_MAX_FEATURES) return out;
+    }
+  }
+  return out;
+}
+
+module.exports = { startSearchIndex, runSearchIndex, searchIndexStatus, searchFeatures, featuresAt };
@@ -0,0 +1,330 @@
+// lib/seed.js
+// Bulk pre-render ("seeding") of a region/bbox over a zoom range.
+// - tiles are walked in a stable order (z, x, y) and processed in small batches
+// - job state is persisted to SEED_DIR/<id>.json after every batch (cursor = next tile),
+//   so jobs continue where they stopped after a restart
+// - one job runs at a time; the rest wait in FIFO order
+// - `force` jobs re-render raster tiles that are already cached (admin re-render)
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { SEED_DIR, SEED_CONCURRENCY, REGIONS_PATH, TILE_PX, RASTER_SIZES } = require("./config");
+const { ensureDir } = require("./utils");
+const { countTiles, iterateTiles, parseZoomRange, parseBbox } = require("./tiles");
+const { ensureVectorTile } = require("./pbf");
+const { providersForStyle } = require("./providers");
+const { ensureRasterTile, sourceTiles } = require("./raster");
+const { getStyle, DEFAULT_STYLE } = require("./styles");
+
+const PROGRESS_LOG_MS = 10000;
+const PERSIST_MIN_MS = 2000;
+const BUSY_RETRY_MS = 1000;
+const UPSTREAM_OUTAGE_WAITS = 5; // per tile, each for the error's Retry-After
+
+// id → job (persisted fields + runtime-only `_cancel`)
+const jobs = new Map();
+const queue = [];
+let running = null;
+
+// ── Regions (public/regions.json) ──────────────────────────────────────────────
+function loadRegions() {
+  try {
+    return JSON.parse(fs.readFileSync(REGIONS_PATH, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+function findRegion(name) {
+  const want = String(name).trim().toLowerCase();
+  return loadRegions().find(r => String(r.name).toLowerCase() === want) || null;
+}
+
+function regionBbox(r) {
+  return [r.lon_min, r.lat_min, r.lon_max, r.lat_max];
+}
+
+// ── Job spec validation ────────────────────────────────────────────────────────
+/**
+ * Normalise a seed request.
+ * in:  { region?, bbox?, zoom?, style?, size?, ratio?, vectorOnly?, force? }
+ * out: { region, bbox, minzoom, maxzoom, style, tilePx, ratio, raster, force }
+ * Throws with err.code === "BAD_SEED_SPEC" on invalid input.
+ */
+function normalizeSpec(spec = {}) {
+  const bad = (msg) => { const e = new Error(msg); e.code = "BAD_SEED_SPEC"; return e; };
+
+  let region = null, bbox = null, zr = null;
+  if (spec.region) {
+    const r = findRegion(spec.region);
+    if (!r) throw bad(`unknown region "${spec.region}"`);
+    region = r.name;
+    bbox = regionBbox(r);
+    zr = parseZoomRange(r.zoom_levels);
+  }
+  if (spec.bbox) {
+    bbox = parseBbox(spec.bbox);
+    if (!bbox) throw bad("bbox must be west,south,east,north");
+  }
+  if (!bbox) throw bad("region or bbox required");
+
+  if (spec.zoom != null && spec.zoom !== "") zr = parseZoomRange(spec.zoom);
+  if (!zr || zr.maxzoom > 22) throw bad("zoom must be like 10:16 (0..22)");
+
+  const style = spec.style || DEFAULT_STYLE;
+  if (!getStyle(style)) throw bad(`unknown style "${style}"`);
+
+  const tilePx = spec.size ? Number(spec.size) : TILE_PX;
+  if (!RASTER_SIZES.includes(tilePx)) throw bad(`size must be one of ${RASTER_SIZES.join(", ")}`);
+  const ratio = spec.ratio ? Number(spec.ratio) : 1;
+  if (ratio !== 1 && ratio !== 2) throw bad("ratio must be 1 or 2");
+
+  const flag = (v) => v === true || v === "1" || v === "true";
+  const raster = !flag(spec.vectorOnly);
+  const force = flag(spec.force);
+  if (force && !raster) throw bad("force re-renders raster tiles; it can't be combined with vectorOnly");
+  return { region, bbox, minzoom: zr.minzoom, maxzoom: zr.maxzoom, style, tilePx, ratio, raster, force };
+}
+
+/** Dry run: tile count per zoom for a seed request (nothing is fetched or stored). */
+function planSeed(spec) {
+  const n = normalizeSpec(spec);
+  return { ...n, ...countTiles(n.bbox, n.minzoom, n.maxzoom) };
+}
+
+// ── Persistence ────────────────────────────────────────────────────────────────
+function jobFile(id) {
+  return path.join(SEED_DIR, `${id}.json`);
+}
+
+function publicJob(job) {
+  const out = {};
+  for (const [k, v] of Object.entries(job)) if (!k.startsWith("_")) out[k] = v;
+  return out;
+}
+
+function persist(job, force = false) {
+  const now = Date.now();
+  if (!force && now - (job._persistedAt || 0) < PERSIST_MIN_MS) return;
+  job._persistedAt = now;
+  job.updatedAt = new Date(now).toISOString();
+  try {
+    ensureDir(SEED_DIR);
+    const tmp = `${jobFile(job.id)}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(publicJob(job), null, 2));
+    fs.renameSync(tmp, jobFile(job.id));
+  } catch (e) {
+    job._L?.err?.("SEED", `${job.id}: persist failed: ${e.message}`);
+  }
+}
+
+// ── Tile work ──────────────────────────────────────────────────────────────────
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function seedTileOnce(job, t, style, L) {
+  if (job.raster) {
+    const r = await ensureRasterTile(t.z, t.x, t.y, {
+      style, tilePx: job.tilePx, ratio: job.ratio, priority: "background", force: job.force, L,
+    });
+    return r.status; // hit | blank | rendered
+  }
+
+  // the vector tiles rasters of this size would be drawn from
+  const rs = await Promise.all(providersForStyle(style.style).flatMap((provider) =>
+    sourceTiles(provider, t.z, t.x, t.y, job.tilePx).map((s) => ensureVectorTile(s.z, s.x, s.y, { provider, priority: "background", L }))
+  ));
+  if (rs.every(r => r.status === "empty")) return "empty";
+  return rs.every(r => r.fromCache) ? "hit" : "fetched";
+}
+
+async function seedTile(job, t, style, L) {
+  for (let outages = 0; ; ) {
+    try {
+      return await seedTileOnce(job, t, style, L);
+    } catch (e) {
+      if (job._cancel) throw e;
+      if (e.code === "RENDER_QUEUE_FULL") {
+        await sleep(BUSY_RETRY_MS); // leave room for interactive renders
+      } else if (e.code === "UPSTREAM_UNAVAILABLE" && ++outages <= UPSTREAM_OUTAGE_WAITS) {
+        await sleep(e.retryAfter * 1000); // upstream down: wait for it instead of failing the whole region
+      } else {
+        throw e;
+      }
+    }
+  }
+}
+
+async function runJob(job, { L, onProgress } = {}) {
+  job._L = L;
+  job.status = "running";
+  job.startedAt = job.startedAt || new Date().toISOString();
+  persist(job, true);
+  L?.log?.("SEED", `${job.id}: start ${job.region || job.bbox.join(",")} z${job.minzoom}-${job.maxzoom} ` +
+    `${job.raster ? `${job.force ? "re-render" : "raster"} ${job.style}/${job.tilePx}${job.ratio > 1 ? "@2x" : ""}` : "vector-only"} ` +
+    `(${job.done}/${job.total}${job.cursor ? ", resuming" : ""})`);
+
+  const it = iterateTiles(job.bbox, job.minzoom, job.maxzoom, job.cursor);
+  let lastLog = Date.now();
+  let next = it.next();
+
+  while (!next.done) {
+    if (job._cancel) break;
+
+    const style = getStyle(job.style);
+    if (!style) {
+      job.status = "failed";
+      job.error = `style "${job.style}" no longer exists`;
+      break;
+    }
+
+    const batch = [];
+    while (!next.done && batch.length < SEED_CONCURRENCY) {
+      batch.push(next.value);
+      next = it.next();
+    }
+
+    const results = await Promise.allSettled(batch.map(t => seedTile(job, t, style, L)));
+    results.forEach((r, i) => {
+      const key = r.status === "fulfilled" ? r.value : "error";
+      job.counts[key] = (job.counts[key] || 0) + 1;
+      if (r.status === "rejected") {
+        const t = batch[i];
+        job.lastError = `${t.z}/${t.x}/${t.y}: ${r.reason?.message || r.reason}`;
+      }
+    });
+    job.done += batch.length;
+    job.cursor = next.done ? null : next.value;
+    job.zoom = batch[batch.length - 1].z;
+    persist(job);
+    onProgress?.(publicJob(job));
+
+    if (Date.now() - lastLog >= PROGRESS_LOG_MS) {
+      lastLog = Date.now();
+      L?.log?.("SEED", `${job.id}: z${job.zoom} ${job.done}/${job.total} (${(100 * job.done / job.total).toFixed(1)}%)`);
+    }
+  }
+
+  if (job.status === "running") job.status = job._cancel ? "cancelled" : "done";
+  job.finishedAt = new Date().toISOString();
+  persist(job, true);
+  L?.log?.("SEED", `${job.id}: ${job.status} ${job.done}/${job.total} ${JSON.stringify(job.counts)}`);
+  onProgress?.(publicJob(job));
+  return publicJob(job);
+}
+
+// ── Queue ──────────────────────────────────────────────────────────────────────
+async function pump() {
+  if (running || !queue.length) return;
+  const { job, opts, resolve } = queue.shift();
+  running = job;
+  try {
+    resolve(await runJob(job, opts));
+  } catch (e) {
+    job.status = "failed";
+    job.error = e.message;
+    persist(job, true);
+    opts.L?.err?.("SEED", `${job.id}: ${e.stack || e.message}`);
+    resolve(publicJob(job));
+  } finally {
+    running = null;
+    pump();
+  }
+}
+
+function enqueue(job, opts) {
+  jobs.set(job.id, job);
+  return new Promise((resolve) => {
+    queue.push({ job, opts, resolve });
+    pump();
+  });
+}
+
+/**
+ * Create and queue a seed job.
+ * `origin` ("http" | "cli") decides who resumes it after a restart.
+ * Returns { job, done } where `done` resolves with the final job state.
+ */
+function startSeedJob(spec, { origin = "http", L, onProgress } = {}) {
+  const n = normalizeSpec(spec);
+  const { total, perZoom } = countTiles(n.bbox, n.minzoom, n.maxzoom);
+  const job = {
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString("hex")}`,
+    origin,
+    status: "queued",
+    ...n,
+    total, perZoom,
+    done: 0,
+    counts: {},
+    cursor: null,
+    createdAt: new Date().toISOString(),
+  };
+  persist(job, true);
+  L?.log?.("SEED", `${job.id}: queued (${total} tiles)`);
+  const done = enqueue(job, { L, onProgress });
+  return { job: publicJob(job), done };
+}
+
+/** Re-queue an unfinished persisted job by id (CLI --resume). */
+function resumeSeedJob(id, { L, onProgress } = {}) {
+  let job;
+  try { job = JSON.parse(fs.readFileSync(jobFile(id), "utf8")); } catch { return null; }
+  if (job.status === "done") return { job, done: Promise.resolve(job) };
+  job.status = "queued";
+  return { job, done: enqueue(job, { L, onProgress }) };
+}
+
+/** At boot: load persisted jobs; re-queue unfinished ones from `origin`. */
+function resumeSeedJobs({ origin = "http", L } = {}) {
+  let files = [];
+  try { files = fs.readdirSync(SEED_DIR).filter(f => f.endsWith(".json")); } catch {}
+  let resumed = 0;
+  for (const f of files.sort()) {
+    let job;
+    try { job = JSON.parse(fs.readFileSync(path.join(SEED_DIR, f), "utf8")); } catch { continue; }
+    jobs.set(job.id, job);
+    if (job.origin === origin && (job.status === "queued" || job.status === "running")) {
+      job.status = "queued";
+      enqueue(job, { L });
+      resumed++;
+    }
+  }
+  if (resumed) L?.log?.("SEED", `resuming ${resumed} job(s)`);
+}
+
+function listSeedJobs() {
+  return [...jobs.values()].map(publicJob).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getSeedJob(id) {
+  const job = jobs.get(id);
+  return job ? publicJob(job) : null;
+}
+
+/** Cancel a queued or running job; returns false when unknown or already finished. */
+function cancelSeedJob(id) {
+  const job = jobs.get(id);
+  if (!job || !(job.status === "queued" || job.status === "running")) return false;
+  job._cancel = true;
+  const i = queue.findIndex(q => q.job === job);
+  if (i !== -1) {
+    const [{ resolve }] = queue.splice(i, 1);
+    job.status = "cancelled";
+    job.finishedAt = new Date().toISOString();
+    persist(job, true);
+    resolve(publicJob(job));
+  }
+  return true;
+}
+
+module.exports = {
+  loadRegions,
+  findRegion,
+  normalizeSpec,
+  planSeed,
+  startSeedJob,
+  resumeSeedJob,
+  resumeSeedJobs,
+  listSeedJobs,
+  getSeedJob,
+  cancelSeedJob,
+};
@@ -0,0 +1,157 @@
+// lib/static.js
+// Static map images: one PNG/JPEG for a center+zoom, a bbox, or an overlay's extent.
+// - zoom is MapLibre zoom (512px world at z0), fractional allowed
+// - vector tiles covering the view are fetched first (the render worker reads from disk)
+// - optional GeoJSON overlay (route lines, markers), scale bar and attribution
+const os = require("os");
+const path = require("path");
+const { STATIC_MAX_PX } = require("./config");
+const { viewBounds, fitBounds, bboxTileRange, parseBbox } = require("./tiles");
+const { ensureVectorTile } = require("./pbf");
+const { getProvider, providerNameForUrl } = require("./providers");
+const { renderStaticImage } = require("./render");
+const { getStyle, styleAttribution, DEFAULT_STYLE } = require("./styles");
+
+const STATIC_FILE_RE = /^(\d+)x(\d+)(@2x)?\.(png|jpe?g)$/;
+const GEOJSON_TYPES = new Set([
+  "FeatureCollection", "Feature",
+  "Point", "MultiPoint", "LineString", "MultiLineString", "Polygon", "MultiPolygon", "GeometryCollection",
+]);
+
+let nextTmp = 1;
+
+function bad(msg) {
+  const e = new Error(msg); e.code = "BAD_STATIC_SPEC"; return e;
+}
+
+const isOff = (v) => v === false || v === "0" || v === "false";
+
+function parseOverlay(v) {
+  if (v == null || v === "") return null;
+  let gj = v;
+  if (typeof v === "string") {
+    try { gj = JSON.parse(v); } catch { throw bad("geojson is not valid JSON"); }
+  }
+  if (!gj || typeof gj !== "object" || !GEOJSON_TYPES.has(gj.type)) throw bad("geojson must be a GeoJSON object");
+  return gj;
+}
+
+/** [w, s, e, n] of every coordinate in a GeoJSON object, or null when it has none. */
+function geojsonBounds(gj) {
+  const b = [Infinity, Infinity, -Infinity, -Infinity];
+  const walk = (c) => {
+    if (!Array.isArray(c)) return;
+    if (typeof c[0] === "number") {
+      b[0] = Math.min(b[0], c[0]); b[1] = Math.min(b[1], c[1]);
+      b[2] = Math.max(b[2], c[0]); b[3] = Math.max(b[3], c[1]);
+      return;
+    }
+    c.forEach(walk);
+  };
+  const visit = (o) => {
+    if (!o) return;
+    if (o.type === "FeatureCollection") (o.features || []).forEach(visit);
+    else if (o.type === "Feature") visit(o.geometry);
+    else if (o.type === "GeometryCollection") (o.geometries || []).forEach(visit);
+    else walk(o.coordinates);
+  };
+  visit(gj);
+  return Number.isFinite(b[0]) ? b : null;
+}
+
+/**
+ * Normalise a static map request.
+ * in:  { view: "lon,lat,zoom" | "auto" | undefined (bbox), file: "WxH[@2x].png|jpg",
+ *        bbox?, padding?, geojson?, style?, attribution?, scalebar? }
+ * out: { style, center, zoom, width, height, ratio, format, overlay, attribution, scaleBar }
+ * Throws with err.code === "BAD_STATIC_SPEC" on invalid input.
+ */
+function normalizeStaticSpec(spec = {}) {
+  const m = STATIC_FILE_RE.exec(spec.file || "");
+  if (!m) throw bad("size must look like 600x400.png, 600x400@2x.png or 600x400.jpg");
+  const width = Number(m[1]), height = Number(m[2]);
+  if (width < 1 || height < 1 || width > STATIC_MAX_PX || height > STATIC_MAX_PX) {
+    throw bad(`width and height must be 1..${STATIC_MAX_PX}`);
+  }
+  const ratio = m[3] ? 2 : 1;
+  const format = m[4] === "png" ? "png" : "jpeg";
+
+  const styleName = spec.style || DEFAULT_STYLE;
+  const style = getStyle(styleName);
+  if (!style) throw bad(`unknown style "${styleName}"`);
+
+  const overlay = parseOverlay(spec.geojson);
+  const padding = spec.padding != null && spec.padding !== "" ? Number(spec.padding) : 20;
+  if (!Number.isFinite(padding) || padding < 0) throw bad("padding must be a number of px");
+
+  let center, zoom;
+  if (spec.view === "auto") {
+    const b = overlay && geojsonBounds(overlay);
+    if (!b) throw bad("auto needs a geojson overlay with coordinates");
+    // a single point (or a tiny route) would zoom in all the way
+    ({ center, zoom } = fitBounds(b, width, height, padding, 16));
+  } else if (spec.view) {
+    const parts = String(spec.view).split(",").map(Number);
+    if (parts.length !== 3 || !parts.every(Number.isFinite)) throw bad("view must be lon,lat,zoom");
+    const [lon, lat, z] = parts;
+    if (lon < -180 || lon > 180 || lat < -85.06 || lat > 85.06 || z < 0 || z > 22) {
+      throw bad("lon must be -180..180, lat -85..85, zoom 0..22");
+    }
+    center = [lon, lat];
+    zoom = z;
+  } else {
+    const b = parseBbox(spec.bbox);
+    if (!b) throw bad("bbox must be west,south,east,north");
+    ({ center, zoom } = fitBounds(b, width, height, padding));
+  }
+
+  return {
+    style: style.name,
+    center, zoom, width, height, ratio, format,
+    overlay,
+    attribution: isOff(spec.attribution) ? "" : styleAttribution(style.style),
+    scaleBar: !isOff(spec.scalebar),
+  };
+}
+
+// Fetch every vector tile the view needs, per style source (source zoom range + tile size)
+async function ensureViewTiles(style, { center, zoom, width, height }, L) {
+  const bbox = viewBounds(center, zoom, width, height);
+  const jobs = [];
+  for (const src of Object.values(style.sources || {})) {
+    if (src.type !== "vector" || !Array.isArray(src.tiles)) continue;
+    const name = providerNameForUrl(src.tiles[0]);
+    const provider = name && getProvider(name);
+    if (!provider) continue;
+    const tz = Math.floor(zoom + Math.log2(512 / (src.tileSize || 512)));
+    const z = Math.max(src.minzoom ?? 0, Math.min(src.maxzoom ?? 22, tz));
+    const { x1, x2, y1, y2 } = bboxTileRange(bbox, z);
+    for (let x = x1; x <= x2; x++) {
+      for (let y = y1; y <= y2; y++) jobs.push(ensureVectorTile(z, x, y, { provider, L }));
+    }
+  }
+  const rs = await Promise.allSettled(jobs);
+  const failed = rs.filter(r => r.status === "rejected").length;
+  if (failed) L?.warn?.("STATIC", `${failed}/${rs.length} vector tiles unavailable; rendering without them`);
+}
+
+/**
+ * Render a static map (see normalizeStaticSpec) to a temp file.
+ * The caller sends and deletes it. Rejects with code RENDER_QUEUE_FULL when busy.
+ * @returns {Promise<{path, format}>}
+ */
+async function renderStaticMap(spec, { L } = {}) {
+  const entry = getStyle(spec.style);
+  await ensureViewTiles(entry.style, spec, L);
+
+  const outPath = path.join(os.tmpdir(), `qtopo-static-${process.pid}-${nextTmp++}.${spec.format === "png" ? "png" : "jpg"}`);
+  const { style: _style, ...view } = spec;
+  const p = await renderStaticImage(view, { STYLE_PATH: entry.snapshotPath, outPath, L });
+  return { path: p, format: spec.format };
+}
+
+module.exports = {
+  normalizeStaticSpec,
+  renderStaticMap,
+  geojsonBounds,
+};
@@ -0,0 +1,298 @@
+// lib/styles.js
+// Named styles in STYLE_DIR:
+//   style.json         → "default" (or STYLE_PATH if overridden)
+//   style.<name>.json  → "<name>"  (e.g. style.mobile.json → "mobile")
+//   <name>.json        → "<name>"
+//
+// Each style is kept as its *last good* version: edits are validated before
+// they go live, a broken edit keeps the previous one serving. Every good
+// version gets a content hash and a snapshot file the render workers load,
+// so the raster cache can be keyed by it (RASTER_DIR/<name>/<hash>/...).
+// With a DEM configured every style also gets the terrain source/hillshade
+// (lib/dem); the DEM settings are part of the hash.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { validateStyleMin } = require("@maplibre/maplibre-gl-style-spec");
+const {
+  RASTER_DIR, STYLE_DIR, STYLE_PATH,
+  STYLE_SNAPSHOT_DIR, STYLE_WATCH_INTERVAL_MS,
+} = require("./config");
+const { ensureDir } = require("./utils");
+const { addTerrain, terrainSignature } = require("./dem");
+
+const DEFAULT_STYLE = "default";
+const STYLE_NAME_RE = /^[A-Za-z0-9_-]+$/;
+const DEFAULT_ATTRIBUTION = "© State of Queensland"; // QLD basemap data
+const STYLE_RESCAN_MS = Math.max(STYLE_WATCH_INTERVAL_MS * 5, 10000); // new/removed files in STYLE_DIR
+const SNAPSHOT_GRACE_MS = 60 * 1000; // queued renders may still point at the old snapshot/raster tree
+
+// name → { name, path, hash, snapshotPath, style, mtimeMs, error? }
+const registry = new Map();
+const watched = new Set(); // source paths under fs.watchFile
+const rejected = new Map(); // source path → mtimeMs of a broken file that never loaded (no retry spam)
+const pruneTimers = new Map(); // name → pending delayed pruneStaleRasterVersions
+let watchOpts = null;      // { L, onChange } once watchStyles() ran
+let scanned = false;       // STYLE_DIR read at least once (seedStyles/watchStyles do it at boot)
+
+function styleNameFromFile(file) {
+  if (file === "style.json") return DEFAULT_STYLE;
+  const m = /^(?:style\.)?([A-Za-z0-9_-]+)\.json$/.exec(file);
+  return m ? m[1] : null;
+}
+
+function scanStyleFiles() {
+  const out = new Map();
+  try {
+    for (const file of fs.readdirSync(STYLE_DIR).sort()) {
+      const name = styleNameFromFile(file);
+      if (!name || /^\d+$/.test(name)) continue; // numeric names would clash with /raster/{size}
+      out.set(name, path.join(STYLE_DIR, file));
+    }
+  } catch {}
+  out.set(DEFAULT_STYLE, STYLE_PATH); // STYLE_PATH always wins for "default"
+  return out;
+}
+
+function hashStyle(raw) {
+  return crypto.createHash("sha1").update(raw).digest("hex").slice(0, 12);
+}
+
+/** Parse + validate style JSON; throws with a readable message when broken. */
+function parseStyle(raw) {
+  const style = JSON.parse(raw);
+  const errors = validateStyleMin(style);
+  if (errors.length) {
+    const first = errors.slice(0, 3).map(e => e.message).join("; ");
+    throw new Error(`invalid style (${errors.length} error${errors.length > 1 ? "s" : ""}): ${first}`);
+  }
+  return style;
+}
+
+// (Re)load one style file; keeps the previous good entry when the new content is broken.
+// Returns "changed" | "unchanged" | "invalid".
+function loadStyleEntry(name, srcPath, L) {
+  const prev = registry.get(name);
+  let raw, mtimeMs;
+  try {
+    raw = fs.readFileSync(srcPath, "utf8");
+    mtimeMs = fs.statSync(srcPath).mtimeMs;
+  } catch (e) {
+    L?.err?.("STYLE", `${name}: read failed: ${e.message}`);
+    return "invalid";
+  }
+
+  const terrain = terrainSignature();
+  const hash = hashStyle(raw + terrain);
+  if (prev && prev.hash === hash) {
+    prev.mtimeMs = mtimeMs;
+    prev.error = null;
+    return "unchanged";
+  }
+
+  let style;
+  try {
+    style = parseStyle(raw);
+    if (terrain) style = parseStyle(JSON.stringify(addTerrain(style))); // re-validated with the DEM added
+  } catch (e) {
+    L?.err?.("STYLE", `${name}: ${e.message}; ${prev ? `keeping ${prev.hash}` : "not served"}`);
+    if (prev) prev.error = e.message;
+    else rejected.set(srcPath, mtimeMs);
+    return "invalid";
+  }
+  rejected.delete(srcPath);
+
+  ensureDir(STYLE_SNAPSHOT_DIR);
+  const snapshotPath = path.join(STYLE_SNAPSHOT_DIR, `${name}.${hash}.json`);
+  fs.writeFileSync(snapshotPath, terrain ? JSON.stringify(style) : raw);
+  registry.set(name, { name, path: srcPath, hash, snapshotPath, style, mtimeMs, error: null });
+
+  if (prev && prev.snapshotPath !== snapshotPath) {
+    setTimeout(() => fs.unlink(prev.snapshotPath, () => {}), SNAPSHOT_GRACE_MS).unref();
+  }
+  return "changed";
+}
+
+// Sync registry with the files in STYLE_DIR (new files load, removed ones drop).
+// Sync fs calls: runs at boot and on the watchStyles interval, never per request.
+function refreshStyles(L = watchOpts?.L) {
+  scanned = true;
+  const files = scanStyleFiles();
+  for (const [name, srcPath] of files) {
+    const cur = registry.get(name);
+    if (!cur || cur.path !== srcPath) {
+      if (cur) registry.delete(name);
+      let mtimeMs = null;
+      try { mtimeMs = fs.statSync(srcPath).mtimeMs; } catch {}
+      if (rejected.get(srcPath) !== mtimeMs) loadStyleEntry(name, srcPath, L);
+    }
+    if (watchOpts) watchStyleFile(name, srcPath);
+  }
+  for (const name of [...registry.keys()]) {
+    if (!files.has(name)) registry.delete(name);
+  }
+  return registry;
+}
+
+function watchStyleFile(name, srcPath) {
+  if (watched.has(srcPath)) return;
+  watched.add(srcPath);
+  // polling watch: fs.watch misses edits on bind mounts / network shares
+  fs.watchFile(srcPath, { interval: STYLE_WATCH_INTERVAL_MS }, (cur, prev) => {
+    if (cur.mtimeMs === prev.mtimeMs && cur.size === prev.size) return;
+    const { L, onChange } = watchOpts;
+    if (!cur.nlink) {
+      L?.warn?.("STYLE", `${name}: ${srcPath} removed`);
+      return;
+    }
+    const old = registry.get(name);
+    const result = loadStyleEntry(name, srcPath, L);
+    if (result === "changed") {
+      const entry = registry.get(name);
+      L?.log?.("STYLE", `${name}: reloaded ${old ? old.hash : "-"} → ${entry.hash}`);
+      onChange?.(entry, old || null);
+    }
+  });
+}
+
+/** All known styles as Map(name → entry). */
+function listStyles() {
+  return scanned ? registry : refreshStyles();
+}
+
+/**
+ * Last good version of a named style: { name, path, hash, snapshotPath, style }
+ * or null when unknown/invalid. New files in STYLE_DIR show up with the next
+ * watchStyles rescan, not on lookup (any client can ask for any name).
+ */
+function getStyle(name = DEFAULT_STYLE) {
+  if (!STYLE_NAME_RE.test(name)) return null;
+  return listStyles().get(name) || null;
+}
+
+/**
+ * Watch style files and hot-reload them.
+ * onChange(entry, previousEntry) fires after a valid change went live.
+ */
+function watchStyles({ L, onChange } = {}) {
+  watchOpts = { L, onChange };
+  refreshStyles(L);
+  // pick up styles added to STYLE_DIR later
+  setInterval(() => refreshStyles(L), STYLE_RESCAN_MS).unref();
+}
+
+/**
+ * Seed missing styles into STYLE_DIR from the baked styles folder.
+ * Copies style.json → STYLE_PATH and every baked style.<name>.json that is absent.
+ * Throws if the baked default is missing or the default style is broken at boot.
+ */
+function seedStyles(bakedDir, L) {
+  const bakedDefault = path.join(bakedDir, "style.json");
+  ensureDir(STYLE_DIR);
+  if (!fs.existsSync(STYLE_PATH)) {
+    if (!fs.existsSync(bakedDefault)) throw new Error(`baked style missing at ${bakedDefault}`);
+    fs.copyFileSync(bakedDefault, STYLE_PATH);
+    L?.warn?.("SEED", `missing style; seeded editable at ${STYLE_PATH}`);
+  }
+
+  for (const file of fs.readdirSync(bakedDir)) {
+    if (!/^style\.[A-Za-z0-9_-]+\.json$/.test(file)) continue;
+    const dst = path.join(STYLE_DIR, file);
+    if (fs.existsSync(dst)) continue;
+    fs.copyFileSync(path.join(bakedDir, file), dst);
+    L?.log?.("SEED", `seeded ${styleNameFromFile(file)} style at ${dst}`);
+  }
+
+  refreshStyles(L);
+  if (!registry.has(DEFAULT_STYLE)) throw new Error(`default style at ${STYLE_PATH} is not valid`);
+  pruneSnapshots();
+}
+
+/** Raster cache root for the live version of a style: RASTER_DIR/<name>/<hash> */
+function styleRasterRoot(entry) {
+  return path.join(RASTER_DIR, entry.name, entry.hash);
+}
+
+/**
+ * Remove raster trees of superseded style versions (RASTER_DIR/<name>/<other>)
+ * in the background. Safe to call at boot and after every reload.
+ * With `afterGrace` it waits SNAPSHOT_GRACE_MS first: renders queued against the old
+ * version would otherwise write its tree back after the prune. Another change within
+ * the wait restarts it; the prune then keeps whichever version is live.
+ */
+function pruneStaleRasterVersions(entry, L, { afterGrace = false } = {}) {
+  if (!afterGrace) return pruneRasterVersions(entry.name, entry.hash, L);
+  clearTimeout(pruneTimers.get(entry.name));
+  pruneTimers.set(entry.name, setTimeout(() => {
+    pruneTimers.delete(entry.name);
+    const live = registry.get(entry.name);
+    if (live) pruneRasterVersions(live.name, live.hash, L);
+  }, SNAPSHOT_GRACE_MS).unref());
+}
+
+async function pruneRasterVersions(name, keepHash, L) {
+  const root = path.join(RASTER_DIR, name);
+  let names;
+  try { names = await fs.promises.readdir(root); } catch { return; }
+  for (const n of names) {
+    if (n === keepHash) continue;
+    try {
+      await fs.promises.rm(path.join(root, n), { recursive: true, force: true });
+      L?.log?.("STYLE", `${name}: dropped stale raster cache ${n}`);
+    } catch (e) {
+      L?.warn?.("STYLE", `${name}: could not drop ${n}: ${e.message}`);
+    }
+  }
+}
+
+// Delete snapshot files no live style points at (leftovers from earlier runs)
+function pruneSnapshots() {
+  const live = new Set([...registry.values()].map(e => path.basename(e.snapshotPath)));
+  try {
+    for (const f of fs.readdirSync(STYLE_SNAPSHOT_DIR)) {
+      if (!live.has(f)) fs.unlinkSync(path.join(STYLE_SNAPSHOT_DIR, f));
+    }
+  } catch {}
+}
+
+/** Plain-text attribution of a parsed style (source attributions, HTML stripped). */
+function styleAttribution(style) {
+  const parts = new Set();
+  for (const src of Object.values(style.sources || {})) {
+    const text = String(src.attribution || "").replace(/<[^>]*>/g, "").replace(/&copy;/g, "©").trim();
+    if (text) parts.add(text);
+  }
+  return parts.size ? [...parts].join(" | ") : DEFAULT_ATTRIBUTION;
+}
+
+/** Clone a parsed style and make glyphs/tiles absolute to `origin` (for browser clients). */
+function styleForClient(style, origin) {
+  const ensureAbs = (u) => /^https?:\/\//i.test(u) ? u : origin + (u.startsWith("/") ? u : `/${u}`);
+
+  const out = JSON.parse(JSON.stringify(style));
+
+  // glyphs (default to /fonts/... if missing)
+  out.glyphs = ensureAbs(out.glyphs || "/fonts/{fontstack}/{range}.pbf");
+
+  // sources.tiles → absolute
+  if (out.sources) {
+    for (const src of Object.values(out.sources)) {
+      if (Array.isArray(src.tiles)) {
+        src.tiles = src.tiles.map(ensureAbs);
+      }
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_STYLE,
+  listStyles,
+  getStyle,
+  watchStyles,
+  seedStyles,
+  styleForClient,
+  styleAttribution,
+  styleRasterRoot,
+  pruneStaleRasterVersions,
+};
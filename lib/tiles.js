@@ -0,0 +1,142 @@
+// lib/tiles.js
+// XYZ (slippy map) tile math, Web Mercator.
+
+function lon2tile(lon, z) {
+  return Math.floor(((lon + 180) / 360) * Math.pow(2, z));
+}
+
+function lat2tile(lat, z) {
+  const r = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2) * Math.pow(2, z));
+}
+
+function tile2lon(x, z) {
+  return (x / Math.pow(2, z)) * 360 - 180;
+}
+
+function tile2lat(y, z) {
+  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
+  return (180 / Math.PI) * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+}
+
+/** [west, south, east, north] of a tile */
+function tileBounds(z, x, y) {
+  return [tile2lon(x, z), tile2lat(y + 1, z), tile2lon(x + 1, z), tile2lat(y, z)];
+}
+
+/** true when z/x/y are integers naming a tile that exists (0 ≤ x, y < 2^z). */
+function isValidTile(z, x, y) {
+  if (![z, x, y].every(Number.isSafeInteger) || z < 0 || z > 30) return false;
+  const n = Math.pow(2, z);
+  return x >= 0 && x < n && y >= 0 && y < n;
+}
+
+/** true when tile (z,x,y) touches bounds [w, s, e, n] (lon/lat). */
+function tileInBounds([w, s, e, n], z, x, y) {
+  return x >= lon2tile(w, z) && x <= lon2tile(e, z) && y >= lat2tile(n, z) && y <= lat2tile(s, z);
+}
+
+/** Inclusive tile range covering bbox [w, s, e, n] at zoom z (clamped to the world). */
+function bboxTileRange([w, s, e, n], z) {
+  const max = Math.pow(2, z) - 1;
+  const clamp = (v) => Math.min(max, Math.max(0, v));
+  const LAT_MAX = 85.0511287798;
+  return {
+    x1: clamp(lon2tile(w, z)),
+    x2: clamp(lon2tile(e, z)),
+    y1: clamp(lat2tile(Math.min(n, LAT_MAX), z)),
+    y2: clamp(lat2tile(Math.max(s, -LAT_MAX), z)),
+  };
+}
+
+/** Number of tiles covering bbox at each zoom in [minzoom, maxzoom]. */
+function countTiles(bbox, minzoom, maxzoom) {
+  const perZoom = {};
+  let total = 0;
+  for (let z = minzoom; z <= maxzoom; z++) {
+    const { x1, x2, y1, y2 } = bboxTileRange(bbox, z);
+    const n = (x2 - x1 + 1) * (y2 - y1 + 1);
+    perZoom[z] = n;
+    total += n;
+  }
+  return { total, perZoom };
+}
+
+/**
+ * Iterate tiles over bbox and zoom range in a stable order (z, then x, then y),
+ * optionally starting at `from` ({ z, x, y }, inclusive) to resume.
+ */
+function* iterateTiles(bbox, minzoom, maxzoom, from = null) {
+  for (let z = from ? Math.max(from.z, minzoom) : minzoom; z <= maxzoom; z++) {
+    const { x1, x2, y1, y2 } = bboxTileRange(bbox, z);
+    const resume = from && from.z === z;
+    for (let x = resume ? Math.max(from.x, x1) : x1; x <= x2; x++) {
+      const yStart = resume && x === from.x ? Math.max(from.y, y1) : y1;
+      for (let y = yStart; y <= y2; y++) yield { z, x, y };
+    }
+  }
+}
+
+// ── Views (MapLibre zoom: 512px world at z0) ───────────────────────────────────
+const VIEW_TILE_PX = 512;
+const LAT_LIMIT = 85.0511287798;
+
+// lon/lat ↔ world fraction [0, 1]
+const lonToFrac = (lon) => (lon + 180) / 360;
+const latToFrac = (lat) => {
+  const r = (Math.max(-LAT_LIMIT, Math.min(LAT_LIMIT, lat)) * Math.PI) / 180;
+  return (1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2;
+};
+const fracToLon = (f) => f * 360 - 180;
+const fracToLat = (f) => (180 / Math.PI) * Math.atan(Math.sinh(Math.PI * (1 - 2 * f)));
+
+/** [w, s, e, n] visible in a width×height px view at MapLibre zoom around center [lon, lat]. */
+function viewBounds([lon, lat], zoom, width, height) {
+  const world = VIEW_TILE_PX * Math.pow(2, zoom);
+  const cx = lonToFrac(lon), cy = latToFrac(lat);
+  const dx = width / 2 / world, dy = height / 2 / world;
+  return [
+    fracToLon(Math.max(0, cx - dx)), fracToLat(Math.min(1, cy + dy)),
+    fracToLon(Math.min(1, cx + dx)), fracToLat(Math.max(0, cy - dy)),
+  ];
+}
+
+/** Center + MapLibre zoom that fit bbox [w, s, e, n] into width×height px with `padding` px on every side. */
+function fitBounds([w, s, e, n], width, height, padding = 0, maxZoom = 22) {
+  const x1 = lonToFrac(w), x2 = lonToFrac(e);
+  const y1 = latToFrac(n), y2 = latToFrac(s);
+  const innerW = Math.max(1, width - 2 * padding), innerH = Math.max(1, height - 2 * padding);
+  const zx = Math.log2(innerW / Math.max(1e-12, (x2 - x1) * VIEW_TILE_PX));
+  const zy = Math.log2(innerH / Math.max(1e-12, (y2 - y1) * VIEW_TILE_PX));
+  return {
+    center: [fracToLon((x1 + x2) / 2), fracToLat((y1 + y2) / 2)],
+    zoom: Math.max(0, Math.min(maxZoom, zx, zy)),
+  };
+}
+
+/** "1:18" → { minzoom: 1, maxzoom: 18 }; "14" → 14..14; null when invalid. */
+function parseZoomRange(s) {
+  const m = /^\s*(\d{1,2})\s*(?:[:-]\s*(\d{1,2}))?\s*$/.exec(String(s ?? ""));
+  if (!m) return null;
+  const minzoom = Number(m[1]);
+  const maxzoom = m[2] === undefined ? minzoom : Number(m[2]);
+  return minzoom <= maxzoom ? { minzoom, maxzoom } : null;
+}
+
+/** "w,s,e,n" or [w,s,e,n] → [w,s,e,n] numbers; null when invalid. */
+function parseBbox(v) {
+  const parts = Array.isArray(v) ? v : String(v ?? "").split(",");
+  if (parts.length !== 4) return null;
+  const b = parts.map(Number);
+  if (!b.every(Number.isFinite)) return null;
+  const [w, s, e, n] = b;
+  if (w >= e || s >= n || w < -180 || e > 180 || s < -90 || n > 90) return null;
+  return b;
+}
+
+module.exports = {
+  lon2tile, lat2tile, tile2lon, tile2lat,
+  tileBounds, isValidTile, tileInBounds, bboxTileRange, countTiles, iterateTiles,
+  lonToFrac, latToFrac, fracToLon, fracToLat, viewBounds, fitBounds,
+  parseZoomRange, parseBbox,
+};
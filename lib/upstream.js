@@ -0,0 +1,233 @@
+// lib/upstream.js
+// Upstream tile fetches: concurrency/rate limits, retries and a circuit breaker per provider.
+// - network errors, timeouts, 5xx, 408 and 429 are retried UPSTREAM_RETRIES times with
+//   full-jitter exponential backoff (UPSTREAM_BACKOFF_MS × 2^n; a Retry-After is honoured up to 10 s)
+// - BREAKER_THRESHOLD failed fetches in a row open the provider's breaker: calls fail fast
+//   for BREAKER_COOLDOWN_MS, then a single probe goes through (half-open) and closes it again
+// - every attempt waits for a slot: UPSTREAM_CONCURRENCY overall, UPSTREAM_HOST_CONCURRENCY and a
+//   token bucket (UPSTREAM_RATE/s, UPSTREAM_BURST) per host; "interactive" requests go ahead of
+//   "background" ones (seeding, exports, revalidation). Past UPSTREAM_QUEUE_MAX waiting interactive
+//   requests, new ones are shed (background callers are bounded batches and always wait)
+// - OFFLINE=1: nothing goes upstream
+// Failures throw err.code "UPSTREAM_UNAVAILABLE", "UPSTREAM_BUSY" or "UPSTREAM_OFFLINE" with
+// err.retryAfter (s). Any other HTTP answer (200, 304, 404, …) is returned as { res, buf }.
+const {
+  OFFLINE, UPSTREAM_TIMEOUT_MS, UPSTREAM_RETRIES, UPSTREAM_BACKOFF_MS,
+  BREAKER_THRESHOLD, BREAKER_COOLDOWN_MS,
+  UPSTREAM_CONCURRENCY, UPSTREAM_HOST_CONCURRENCY, UPSTREAM_RATE, UPSTREAM_BURST, UPSTREAM_QUEUE_MAX,
+} = require("./config");
+const { counter, histogram, gauge, secondsSince } = require("./metrics");
+
+const MAX_RETRY_AFTER_MS = 10000;
+const OFFLINE_RETRY_AFTER_S = 300;
+const BUSY_RETRY_AFTER_S = 2;
+
+// provider name → { state: "closed"|"open", failures, openedAt, probing }
+const breakers = new Map();
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function unavailable(msg, retryAfter) {
+  const e = new Error(msg); e.code = "UPSTREAM_UNAVAILABLE"; e.retryAfter = retryAfter; return e;
+}
+
+function offlineError() {
+  const e = new Error("offline mode (OFFLINE=1)"); e.code = "UPSTREAM_OFFLINE"; e.retryAfter = OFFLINE_RETRY_AFTER_S; return e;
+}
+
+function busyError() {
+  const e = new Error(`upstream queue full (${UPSTREAM_QUEUE_MAX})`); e.code = "UPSTREAM_BUSY"; e.retryAfter = BUSY_RETRY_AFTER_S; return e;
+}
+
+// ── Limiter ────────────────────────────────────────────────────────────────────
+const queues = { interactive: [], background: [] }; // { host, url, fn, resolve, reject }
+const hosts = new Map(); // host → { active, tokens, refilledAt }
+let active = 0;
+let pumpTimer = null;
+
+function hostState(host) {
+  let h = hosts.get(host);
+  if (!h) hosts.set(host, h = { active: 0, tokens: UPSTREAM_BURST, refilledAt: Date.now() });
+  return h;
+}
+
+function refill(h) {
+  const now = Date.now();
+  h.tokens = Math.min(UPSTREAM_BURST, h.tokens + (now - h.refilledAt) * UPSTREAM_RATE / 1000);
+  h.refilledAt = now;
+}
+
+// Start whatever may run now, interactive first; re-arm a timer when only tokens are missing
+function pump() {
+  let waitMs = Infinity;
+  for (const q of [queues.interactive, queues.background]) {
+    for (let i = 0; i < q.length && active < UPSTREAM_CONCURRENCY;) {
+      const item = q[i];
+      const h = hostState(item.host);
+      if (h.active >= UPSTREAM_HOST_CONCURRENCY) { i++; continue; }
+      if (UPSTREAM_RATE > 0) {
+        refill(h);
+        if (h.tokens < 1) {
+          waitMs = Math.min(waitMs, ((1 - h.tokens) * 1000) / UPSTREAM_RATE);
+          i++;
+          continue;
+        }
+        h.tokens -= 1;
+      }
+      q.splice(i, 1);
+      h.active++;
+      active++;
+      item.fn().then(item.resolve, item.reject).finally(() => {
+        h.active--;
+        active--;
+        pump();
+      });
+    }
+  }
+  if (Number.isFinite(waitMs) && !pumpTimer) {
+    pumpTimer = setTimeout(() => { pumpTimer = null; pump(); }, Math.ceil(waitMs));
+  }
+}
+
+function schedule(url, priority, fn) {
+  const q = priority === "background" ? queues.background : queues.interactive;
+  if (q === queues.interactive && q.length >= UPSTREAM_QUEUE_MAX) return Promise.reject(busyError());
+  return new Promise((resolve, reject) => {
+    q.push({ host: new URL(url).host, url, fn, resolve, reject });
+    pump();
+  });
+}
+
+/** Someone is now waiting on this URL interactively: move its queued background fetch up. */
+function promoteUpstream(url) {
+  const i = queues.background.findIndex(item => item.url === url);
+  if (i < 0) return;
+  queues.interactive.push(...queues.background.splice(i, 1));
+  pump();
+}
+
+function breakerFor(name) {
+  let b = breakers.get(name);
+  if (!b) breakers.set(name, b = { state: "closed", failures: 0, openedAt: 0, probing: false });
+  return b;
+}
+
+const isRetryable = (status) => status >= 500 || status === 408 || status === 429;
+
+function retryAfterMs(res) {
+  const v = res?.headers.get("retry-after");
+  if (!v) return 0;
+  const ms = /^\d+$/.test(v) ? Number(v) * 1000 : Date.parse(v) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS) : 0;
+}
+
+// ── Metrics ────────────────────────────────────────────────────────────────────
+const fetchSeconds = histogram("qtopo_upstream_fetch_duration_seconds", "Upstream tile fetch attempts (excluding limiter wait)", ["provider"]);
+const fetchResults = counter("qtopo_upstream_responses_total", "Upstream fetch attempts by HTTP status (or timeout/error)", ["provider", "status"]);
+gauge("qtopo_upstream_inflight", "Upstream fetches in progress", () => active);
+gauge("qtopo_upstream_queued", "Upstream fetches waiting for a limiter slot", () =>
+  Object.entries(queues).map(([priority, q]) => ({ labels: { priority }, value: q.length })), ["priority"]);
+gauge("qtopo_upstream_breaker_open", "1 while the provider's circuit breaker is open", () =>
+  [...breakers].map(([provider, b]) => ({ labels: { provider }, value: b.state === "open" ? 1 : 0 })), ["provider"]);
+
+async function fetchOnce(name, url, headers, timeoutMs) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  const t0 = process.hrtime.bigint();
+  let status = "error";
+  try {
+    const res = await fetch(url, { signal: ctrl.signal, headers });
+    status = String(res.status);
+    return { res, buf: res.ok ? Buffer.from(await res.arrayBuffer()) : null };
+  } catch (e) {
+    if (e.name === "AbortError") status = "timeout";
+    throw e;
+  } finally {
+    clearTimeout(t);
+    fetchSeconds.observe({ provider: name }, secondsSince(t0));
+    fetchResults.inc({ provider: name, status });
+  }
+}
+
+function succeeded(name, b, L) {
+  if (b.state === "open") L?.log?.("UPSTREAM", `${name}: circuit closed (upstream back)`);
+  b.state = "closed";
+  b.failures = 0;
+  b.probing = false;
+}
+
+function failed(name, b, L, reason) {
+  b.failures++;
+  if (b.probing || (b.state === "closed" && b.failures >= BREAKER_THRESHOLD)) {
+    if (b.state === "closed") L?.warn?.("UPSTREAM", `${name}: circuit open for ${BREAKER_COOLDOWN_MS / 1000}s after ${b.failures} failures (${reason})`);
+    b.state = "open";
+    b.openedAt = Date.now();
+    b.probing = false;
+  }
+}
+
+/**
+ * GET a tile from a provider's upstream (limiter, retries, breaker, OFFLINE).
+ * `priority`: "interactive" (a client is waiting) or "background".
+ * @returns {Promise<{res: Response, buf: Buffer|null}>} buf is set for 2xx answers
+ */
+async function fetchUpstream(provider, url, {
+  headers = provider.headers,
+  timeoutMs = UPSTREAM_TIMEOUT_MS,
+  priority = "interactive",
+  L,
+} = {}) {
+  if (OFFLINE) throw offlineError();
+
+  const b = breakerFor(provider.name);
+  if (b.state === "open") {
+    const wait = b.openedAt + BREAKER_COOLDOWN_MS - Date.now();
+    if (wait > 0 || b.probing) throw unavailable(`${provider.name}: circuit open`, Math.max(1, Math.ceil(wait / 1000)));
+    b.probing = true; // half-open: this request decides
+  }
+
+  let lastErr = null, lastRes = null;
+  const attempts = b.probing ? 1 : UPSTREAM_RETRIES + 1;
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    if (attempt) {
+      const backoff = Math.random() * UPSTREAM_BACKOFF_MS * 2 ** attempt;
+      await sleep(Math.max(backoff, retryAfterMs(lastRes)));
+    }
+    try {
+      const r = await schedule(url, priority, () => fetchOnce(provider.name, url, headers, timeoutMs));
+      if (!isRetryable(r.res.status)) {
+        succeeded(provider.name, b, L);
+        return r;
+      }
+      lastRes = r.res;
+      lastErr = new Error(`HTTP ${r.res.status}`);
+    } catch (e) {
+      if (e.code === "UPSTREAM_BUSY") {
+        if (b.probing) b.probing = false; // the probe never went out
+        throw e;
+      }
+      lastRes = null;
+      lastErr = e.name === "AbortError" ? new Error(`timeout after ${timeoutMs}ms`) : e;
+    }
+  }
+
+  failed(provider.name, b, L, lastErr.message);
+  const retryAfter = b.state === "open" ? Math.ceil(BREAKER_COOLDOWN_MS / 1000) : Math.max(1, Math.ceil(retryAfterMs(lastRes) / 1000));
+  throw unavailable(`${provider.name}: ${lastErr.message}${attempts > 1 ? ` (after ${attempts} attempts)` : ""}`, retryAfter);
+}
+
+/** Breaker state per provider that has been called: { name: { state, failures, openedAt } } */
+function breakerStats() {
+  const out = {};
+  for (const [name, b] of breakers) {
+    out[name] = { state: b.state, failures: b.failures, openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null };
+  }
+  return out;
+}
+
+/** Limiter state: { active, queued: { interactive, background } } */
+function limiterStats() {
+  return { active, queued: { interactive: queues.interactive.length, background: queues.background.length } };
+}
+
+module.exports = { fetchUpstream, promoteUpstream, offlineError, breakerStats, limiterStats };
@@ -1,6 +1,8 @@
 // lib/utils.js
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { STALE_WHILE_REVALIDATE, RASTER_PNG_PALETTE } = require("./config");
 
 function ensureDir(dir) {
   fs.mkdirSync(dir, { recursive: true });
@@ -13,16 +15,84 @@ function fileExistsNonEmpty(p) {
   } catch { return false; }
 }
 
-function setTileHeaders(res) {
-  res.setHeader("Content-Type", "image/png");
-  res.setHeader("Cache-Control", "public, max-age=3600, stale-while-revalidate=600");
+// Raster tile encodings: file extension, Content-Type and cache-tree suffix
+// ("png8" = palette-quantised PNG, what .png means when RASTER_PNG_PALETTE is set)
+const RASTER_FORMATS = {
+  png:  { ext: "png",  contentType: "image/png",  suffix: "" },
+  png8: { ext: "png",  contentType: "image/png",  suffix: "-png8" },
+  webp: { ext: "webp", contentType: "image/webp", suffix: "-webp" },
+  jpeg: { ext: "jpg",  contentType: "image/jpeg", suffix: "-jpg" },
+};
+const RASTER_EXTS = [...new Set(Object.values(RASTER_FORMATS).map(f => f.ext))];
+
+/** URL extension (png | webp | jpg | jpeg) → encoding; null when unknown. */
+function rasterFormatFor(ext = "png") {
+  if (ext === "png") return RASTER_PNG_PALETTE ? "png8" : "png";
+  if (ext === "webp") return "webp";
+  if (ext === "jpg" || ext === "jpeg") return "jpeg";
+  return null;
+}
+
+// Raster cache tree per output variant: <rasterDir>/256, <rasterDir>/512@2x, <rasterDir>/256-webp, ...
+// and with overlays burnt in (lib/overlays, ids sorted): <rasterDir>/256+trip1[+trip2…]
+function rasterVariant(tilePx, ratio = 1, format = "png", overlayIds = []) {
+  return `${ratio > 1 ? `${tilePx}@${ratio}x` : String(tilePx)}${RASTER_FORMATS[format].suffix}${overlayIds.map(id => `+${id}`).join("")}`;
+}
+
+function rasterVariantDir(rasterDir, tilePx, ratio = 1, format = "png", overlayIds = []) {
+  return path.join(rasterDir, rasterVariant(tilePx, ratio, format, overlayIds));
+}
+
+// ── HTTP caching ───────────────────────────────────────────────────────────────
+/** max-age for zoom `z` from a policy (config maxAgeFromEnv). */
+function maxAgeFor(policy, z) {
+  const rule = policy.zooms.find(r => z >= r.minzoom && z <= r.maxzoom);
+  return rule ? rule.maxAge : policy.maxAge;
+}
+
+function cacheControl(maxAge) {
+  return maxAge > 0
+    ? `public, max-age=${maxAge}, stale-while-revalidate=${STALE_WHILE_REVALIDATE}`
+    : "no-cache";
+}
+
+// Strong validator from size + mtime (changes whenever the file is rewritten)
+function fileEtag(st) {
+  return `"${st.size.toString(16)}-${Math.floor(st.mtimeMs).toString(16)}"`;
 }
 
-function sendTileFile(res, filePath) {
-  setTileHeaders(res);
+function bufferEtag(buf) {
+  return `"${crypto.createHash("sha1").update(buf).digest("base64url").slice(0, 27)}"`;
+}
+
+/** Content-Type, Cache-Control and validators; `st` (fs.Stats) adds Last-Modified. */
+function setTileHeaders(res, { contentType = "image/png", maxAge, etag, st } = {}) {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Cache-Control", cacheControl(maxAge));
+  if (etag) res.setHeader("ETag", etag);
+  if (st) res.setHeader("Last-Modified", st.mtime.toUTCString());
+}
+
+/**
+ * Send a tile file with ETag/Last-Modified; answers 304 when the client's
+ * If-None-Match / If-Modified-Since still matches.
+ */
+function sendTileFile(req, res, filePath, { contentType, maxAge } = {}) {
+  const st = fs.statSync(filePath);
+  setTileHeaders(res, { contentType, maxAge, etag: fileEtag(st), st });
+  if (req.fresh) return res.status(304).end();
+  res.setHeader("Content-Length", st.size);
   fs.createReadStream(filePath).pipe(res);
 }
 
+/** Same for an in-memory tile (archives). */
+function sendTileBuffer(req, res, buf, { contentType, maxAge } = {}) {
+  setTileHeaders(res, { contentType, maxAge, etag: bufferEtag(buf) });
+  if (req.fresh) return res.status(304).end();
+  res.setHeader("Content-Length", buf.length);
+  res.end(buf);
+}
+
 const BLANK_1X1_BASE64 =
   "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMB/YYbL4QAAAAASUVORK5CYII=";
 
@@ -44,11 +114,29 @@ function writeBlankTile(outPath, blankPath) {
   return outPath;
 }
 
+// Cached copy of the blank tile? (same size, then same bytes; the blank is tiny)
+let blankBytes = null;
+function isBlankTileFile(p, blankPath) {
+  try {
+    blankBytes = blankBytes || fs.readFileSync(blankPath);
+    if (fs.statSync(p).size !== blankBytes.length) return false;
+    return fs.readFileSync(p).equals(blankBytes);
+  } catch { return false; }
+}
+
 module.exports = {
   ensureDir,
   fileExistsNonEmpty,
+  RASTER_FORMATS,
+  RASTER_EXTS,
+  rasterFormatFor,
+  rasterVariant,
+  rasterVariantDir,
+  maxAgeFor,
   setTileHeaders,
   sendTileFile,
+  sendTileBuffer,
   ensureBlankTilePresent,
   writeBlankTile,
+  isBlankTileFile,
 };
\ No newline at end of file
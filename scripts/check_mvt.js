@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/* Check lib/mvt.js against the vector tile code maplibre-gl ships with
+   (geojson-vt, @maplibre/vt-pbf, @mapbox/vector-tile, pbf; devDependencies):
+   - readFeatures: a tile encoded by vt-pbf, and hand-made values (negative int64, uint64,
+     sint, float, double, bool), decode the same as with @mapbox/vector-tile
+   - overzoomTile: children cut from a parent tile match geojson-vt clipping the same
+     parent geometry at the child zoom, vertex for vertex within 1 unit
+   Usage:
+     node scripts/check_mvt.js        # exits 1 and lists the differences on a mismatch
+*/
+const assert = require('assert');
+const { overzoomTile, readFeatures } = require('../lib/mvt');
+const { tile2lon, tile2lat } = require('../lib/tiles');
+
+const Z = 12, X = 3789, Y = 2373; // parent tile over Brisbane
+const DZ = [1, 2, 3];
+const EXTENT = 4096;
+const TOLERANCE = 1; // tile units at the child zoom
+const VT_OPTIONS = { extent: EXTENT, buffer: 64, tolerance: 0, indexMaxZoom: 0, maxZoom: Z + Math.max(...DZ) };
+
+const problems = [];
+const check = (ok, msg) => { if (!ok) problems.push(msg); };
+
+// Parent tile fraction (0..1 across the tile, may run outside) → [lon, lat]
+const lonLat = (fx, fy) => [tile2lon(X + fx, Z), tile2lat(Y + fy, Z)];
+
+// Shapes that cross the child tile edges at every depth, plus some that don't
+function fixture() {
+  const f = (id, type, coordinates, properties) => ({ type: 'Feature', id, geometry: { type, coordinates }, properties });
+  const circle = (cx, cy, r, n, dir = 1) => Array.from({ length: n + 1 }, (_, i) => {
+    const a = dir * 2 * Math.PI * (i % n) / n;
+    return lonLat(cx + r * Math.cos(a), cy + r * Math.sin(a));
+  });
+  const zigzag = Array.from({ length: 41 }, (_, i) => lonLat(-0.05 + i * 0.0275, 0.2 + 0.6 * (i % 2) + 0.01 * i));
+  return {
+    type: 'FeatureCollection',
+    features: [
+      f(1, 'LineString', zigzag, { name: 'zigzag', kind: 'track', rank: -3 }),
+      f(2, 'Polygon', [circle(0.5, 0.5, 0.3, 48), circle(0.5, 0.5, 0.12, 24, -1)], { name: 'ring park', area: 12.5 }),
+      f(3, 'Polygon', [circle(0.2, 0.8, 0.05, 12)], { name: 'pond', deep: true }),
+      f(4, 'MultiPoint', Array.from({ length: 30 }, (_, i) => lonLat((i * 0.37) % 1, (i * 0.61) % 1)), { kind: 'peaks' }),
+      f(5, 'MultiLineString', [
+        [lonLat(0.1, -0.1), lonLat(0.1, 1.1)],
+        [lonLat(-0.1, 0.52), lonLat(1.1, 0.48)],
+      ], { name: 'grid', zero: 0 }),
+      f(6, 'Polygon', [[lonLat(0.7, 0.05), lonLat(0.95, 0.05), lonLat(0.95, 0.3), lonLat(0.7, 0.3), lonLat(0.7, 0.05)]],
+        { name: 'block', height: 1e10 }),
+    ],
+  };
+}
+
+// ── Hand-made tile: one point feature carrying every Value kind ────────────────
+function varint(n) {
+  let v = BigInt.asUintN(64, BigInt(n)); // negative int64 → ten-byte two's complement
+  const out = [];
+  while (v >= 0x80n) { out.push(Number(v & 0x7fn) | 0x80); v >>= 7n; }
+  out.push(Number(v));
+  return Buffer.from(out);
+}
+const field = (tag, type, body) => Buffer.concat([varint(tag * 8 + type), body]);
+const bytes = (tag, buf) => field(tag, 2, Buffer.concat([varint(buf.length), buf]));
+const fixed = (n, size) => {
+  const b = Buffer.alloc(size);
+  if (size === 4) b.writeFloatLE(n); else b.writeDoubleLE(n);
+  return b;
+};
+
+const VALUES = [
+  ['int_neg', field(4, 0, varint(-123456789)), -123456789],
+  ['int_minus_one', field(4, 0, varint(-1)), -1],
+  ['int_big', field(4, 0, varint(2 ** 40)), 2 ** 40],
+  ['uint', field(5, 0, varint(4000000000)), 4000000000],
+  ['sint', field(6, 0, varint(13)), -7], // zigzag 13 → -7
+  ['float', field(2, 5, fixed(1.5, 4)), 1.5],
+  ['double', field(3, 1, fixed(-27.4698, 8)), -27.4698],
+  ['bool', field(7, 0, varint(1)), true],
+  ['string', bytes(1, Buffer.from('Mt Coot-tha')), 'Mt Coot-tha'],
+];
+
+function valuesTile() {
+  const tags = VALUES.flatMap((_, i) => [i, i]);
+  const feature = Buffer.concat([
+    field(1, 0, varint(7)),
+    bytes(2, Buffer.concat(tags.map(varint))),
+    field(3, 0, varint(1)),
+    bytes(4, Buffer.concat([9, 50, 34].map(varint))), // MoveTo(1) 25,17
+  ]);
+  const layer = Buffer.concat([
+    field(15, 0, varint(2)),
+    bytes(1, Buffer.from('values')),
+    bytes(2, feature),
+    ...VALUES.map(([key]) => bytes(3, Buffer.from(key))),
+    ...VALUES.map(([, value]) => bytes(4, value)),
+    field(5, 0, varint(EXTENT)),
+  ]);
+  return bytes(3, layer);
+}
+
+// ── Comparison helpers ─────────────────────────────────────────────────────────
+function decodeRef(VectorTile, Pbf, buf) {
+  const out = {};
+  if (!buf) return out;
+  const vt = new VectorTile(new Pbf(new Uint8Array(buf))); // own ArrayBuffer: pbf reads floats from buf.buffer
+  for (const [name, layer] of Object.entries(vt.layers)) {
+    out[name] = [];
+    for (let i = 0; i < layer.length; i++) {
+      const f = layer.feature(i);
+      out[name].push({
+        id: f.id, type: f.type, properties: f.properties,
+        parts: f.loadGeometry().map(part => part.map(p => [p.x, p.y])),
+      });
+    }
+  }
+  return out;
+}
+
+// Polygon rings without the closing point, starting at their smallest vertex
+function normalizeRing(ring) {
+  let r = ring.slice();
+  if (r.length > 1 && r[0][0] === r[r.length - 1][0] && r[0][1] === r[r.length - 1][1]) r.pop();
+  let best = 0;
+  for (let i = 1; i < r.length; i++) {
+    if (r[i][0] < r[best][0] || (r[i][0] === r[best][0] && r[i][1] < r[best][1])) best = i;
+  }
+  return [...r.slice(best), ...r.slice(0, best)];
+}
+
+function sameParts(a, b, type, tolerance) {
+  const norm = (parts) => {
+    let out = type === 3 ? parts.map(normalizeRing) : parts;
+    if (type === 1) out = out.flat().map(p => [p]).sort((p, q) => p[0][0] - q[0][0] || p[0][1] - q[0][1]);
+    return out;
+  };
+  const [pa, pb] = [norm(a), norm(b)];
+  if (pa.length !== pb.length) return `${pa.length} parts vs ${pb.length}`;
+  for (let i = 0; i < pa.length; i++) {
+    if (pa[i].length !== pb[i].length) return `part ${i}: ${pa[i].length} vertices vs ${pb[i].length}`;
+    for (let k = 0; k < pa[i].length; k++) {
+      const d = Math.max(Math.abs(pa[i][k][0] - pb[i][k][0]), Math.abs(pa[i][k][1] - pb[i][k][1]));
+      if (d > tolerance) return `part ${i} vertex ${k}: [${pa[i][k]}] vs [${pb[i][k]}]`;
+    }
+  }
+  return null;
+}
+
+function compareTiles(label, ours, ref, { properties = false } = {}) {
+  for (const name of new Set([...Object.keys(ours), ...Object.keys(ref)])) {
+    const a = ours[name] || [], b = ref[name] || [];
+    const byId = new Map(b.map(f => [f.id, f]));
+    check(a.length === b.length, `${label} ${name}: ${a.length} features vs ${b.length}` +
+      ` (ids ${a.map(f => f.id)} vs ${b.map(f => f.id)})`);
+    for (const f of a) {
+      const r = byId.get(f.id);
+      if (!r) { check(false, `${label} ${name}: feature ${f.id} not in the reference`); continue; }
+      check(f.type === r.type, `${label} ${name} #${f.id}: type ${f.type} vs ${r.type}`);
+      if (properties) {
+        try { assert.deepStrictEqual(f.properties, r.properties); } catch {
+          check(false, `${label} ${name} #${f.id}: properties ${JSON.stringify(f.properties)} vs ${JSON.stringify(r.properties)}`);
+        }
+      }
+      const diff = sameParts(f.parts, r.parts, f.type, properties ? 0 : TOLERANCE);
+      check(!diff, `${label} ${name} #${f.id}: ${diff}`);
+    }
+  }
+}
+
+async function main() {
+  // ESM-only packages
+  const geojsonvt = (await import('geojson-vt')).default;
+  const { fromGeojsonVt } = await import('@maplibre/vt-pbf');
+  const { VectorTile } = await import('@mapbox/vector-tile');
+  const Pbf = (await import('pbf')).default;
+  const encode = (tile) => tile && Buffer.from(fromGeojsonVt({ fixture: tile }, { version: 2, extent: EXTENT }));
+
+  // readFeatures: properties and geometry of an encoded tile
+  const parent = encode(geojsonvt(fixture(), VT_OPTIONS).getTile(Z, X, Y));
+  const refParent = decodeRef(VectorTile, Pbf, parent);
+  const ours = Object.fromEntries(readFeatures(parent).map(l => [l.name, l.features.map((f, i) => ({
+    ...f, id: refParent[l.name][i].id, // readFeatures has no ids
+  }))]));
+  compareTiles(`readFeatures z${Z}`, ours, refParent, { properties: true });
+
+  const values = valuesTile();
+  const [decoded] = readFeatures(values);
+  const expected = Object.fromEntries(VALUES.map(([key, , v]) => [key, v]));
+  try { assert.deepStrictEqual(decoded.features[0].properties, expected); } catch {
+    check(false, `readFeatures values: ${JSON.stringify(decoded.features[0].properties)} vs ${JSON.stringify(expected)}`);
+  }
+  const refValues = decodeRef(VectorTile, Pbf, values).values[0].properties;
+  try { assert.deepStrictEqual(decoded.features[0].properties, refValues); } catch {
+    check(false, `readFeatures values vs @mapbox/vector-tile: ${JSON.stringify(decoded.features[0].properties)} vs ${JSON.stringify(refValues)}`);
+  }
+
+  // overzoomTile: the reference clips the parent's own (already rounded) geometry
+  const parentGeojson = { type: 'FeatureCollection', features: [] };
+  const vt = new VectorTile(new Pbf(new Uint8Array(parent)));
+  for (let i = 0; i < vt.layers.fixture.length; i++) {
+    const f = vt.layers.fixture.feature(i);
+    parentGeojson.features.push({ ...f.toGeoJSON(X, Y, Z), id: f.id });
+  }
+  const ref = geojsonvt(parentGeojson, VT_OPTIONS);
+  let tiles = 0;
+  for (const dz of DZ) {
+    const n = 2 ** dz;
+    for (let dx = 0; dx < n; dx++) {
+      for (let dy = 0; dy < n; dy++) {
+        const z = Z + dz, x = X * n + dx, y = Y * n + dy;
+        compareTiles(`overzoom z${z}/${x}/${y}`, decodeRef(VectorTile, Pbf, overzoomTile(parent, dz, dx, dy)),
+          decodeRef(VectorTile, Pbf, encode(ref.getTile(z, x, y))));
+        tiles++;
+      }
+    }
+  }
+
+  if (problems.length) {
+    for (const p of problems) console.error(`[ERR] ${p}`);
+    console.error(`[ERR] lib/mvt.js: ${problems.length} difference(s)`);
+    process.exit(1);
+  }
+  console.log(`[OK] lib/mvt.js: readFeatures and ${tiles} overzoomed tiles match the reference`);
+}
+
+main().catch((e) => {
+  console.error(`[ERR] ${e.stack || e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/* Export tiles of a region or bbox to an .mbtiles file (offline GPS apps)
+   Usage:
+     node scripts/export_mbtiles.js --region "Main Range"                          # raster, zoom from regions.json
+     node scripts/export_mbtiles.js --region "Lamington" --zoom 12:16 --style mobile --size 512 --ratio 2
+     node scripts/export_mbtiles.js --bbox 152.9,-27.6,153.2,-27.4 --zoom 10:14 --kind vector --source qld
+     node scripts/export_mbtiles.js --region "Main Range" --no-fill --out /tmp/main-range.mbtiles
+   --no-fill   only export what is already cached (no upstream fetches / renders)
+   Output defaults to $EXPORT_DIR/<name>-<variant>-z<min>-<max>.mbtiles
+   Env: same as the server (DATA_DIR, STYLE_DIR, PROVIDERS_PATH, RENDER_WORKERS, ...)
+*/
+const L = require('../lib/logger');
+const { loadProviders, providerCacheDirs } = require('../lib/providers');
+const { seedStyles, getStyle, DEFAULT_STYLE } = require('../lib/styles');
+const { loadArchives, providerArchivePaths } = require('../lib/archives');
+const { startRenderPool } = require('../lib/render');
+const { normalizeExportSpec, exportMbtiles } = require('../lib/mbtiles');
+const path = require('path');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : fallback;
+}
+const flag = (name) => process.argv.includes(name);
+
+function printProgress(p) {
+  const pct = p.total ? (100 * p.done / p.total).toFixed(1) : '100.0';
+  process.stdout.write(`\r[EXPORT] ${p.done}/${p.total} (${pct}%) written ${p.written}   `);
+}
+
+(async () => {
+  const spec = {
+    region: arg('--region'),
+    bbox: arg('--bbox'),
+    zoom: arg('--zoom'),
+    kind: arg('--kind'),
+    style: arg('--style'),
+    size: arg('--size'),
+    ratio: arg('--ratio'),
+    source: arg('--source'),
+    fill: !flag('--no-fill'),
+  };
+  const out = arg('--out');
+
+  let n;
+  try {
+    loadProviders(L);
+    loadArchives(L);
+    seedStyles(path.resolve(__dirname, '..', 'styles'), L);
+    n = normalizeExportSpec(spec);
+  } catch (e) {
+    console.error(`[ERR] ${e.message}`);
+    process.exit(e.code === 'BAD_SEED_SPEC' ? 2 : 1);
+  }
+
+  if (n.kind === 'raster' && n.fill) {
+    startRenderPool({
+      STYLE_PATH: getStyle(DEFAULT_STYLE).snapshotPath,
+      sourceDirs: providerCacheDirs(),
+      archives: providerArchivePaths(),
+      L,
+    });
+  }
+
+  try {
+    const r = await exportMbtiles(spec, { out: out && path.resolve(out), L, onProgress: printProgress });
+    process.stdout.write('\n');
+    console.log(`[OK] ${r.file}: ${r.written} tiles (missing ${r.missing}, errors ${r.errors})`);
+    process.exit(r.errors ? 1 : 0);
+  } catch (e) {
+    process.stdout.write('\n');
+    console.error(`[ERR] ${e.message}`);
+    process.exit(1);
+  }
+})();
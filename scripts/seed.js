@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/* Pre-render (seed) tiles for a region or bbox
+   Usage:
+     node scripts/seed.js --region "Main Range"                       # zoom from regions.json
+     node scripts/seed.js --region "Lamington" --zoom 12:16 --style mobile --size 256
+     node scripts/seed.js --bbox 152.9,-27.6,153.2,-27.4 --zoom 10:14 --vector-only
+     node scripts/seed.js --region "SE QLD" --zoom 1:15 --dry-run     # tile count only
+     node scripts/seed.js --resume <job-id>                            # continue an interrupted run
+     node scripts/seed.js --list-regions
+   Env: same as the server (DATA_DIR, STYLE_DIR, PROVIDERS_PATH, RENDER_WORKERS, SEED_CONCURRENCY, ...)
+*/
+const L = require('../lib/logger');
+const { loadProviders, providerCacheDirs } = require('../lib/providers');
+const { seedStyles, getStyle, DEFAULT_STYLE } = require('../lib/styles');
+const { loadArchives, providerArchivePaths } = require('../lib/archives');
+const { startRenderPool } = require('../lib/render');
+const { loadRegions, planSeed, startSeedJob, resumeSeedJob } = require('../lib/seed');
+const path = require('path');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : fallback;
+}
+const flag = (name) => process.argv.includes(name);
+
+function printProgress(job) {
+  const pct = job.total ? (100 * job.done / job.total).toFixed(1) : '100.0';
+  process.stdout.write(`\r[SEED] ${job.id} z${job.zoom ?? '-'} ${job.done}/${job.total} (${pct}%)   `);
+}
+
+(async () => {
+  if (flag('--list-regions')) {
+    for (const r of loadRegions()) console.log(`${r.name}\t${r.zoom_levels}\t${r.lon_min},${r.lat_min},${r.lon_max},${r.lat_max}`);
+    return;
+  }
+
+  const spec = {
+    region: arg('--region'),
+    bbox: arg('--bbox'),
+    zoom: arg('--zoom'),
+    style: arg('--style'),
+    size: arg('--size'),
+    ratio: arg('--ratio'),
+    vectorOnly: flag('--vector-only'),
+  };
+  const resumeId = arg('--resume');
+
+  try {
+    loadProviders(L);
+    loadArchives(L);
+    seedStyles(path.resolve(__dirname, '..', 'styles'), L);
+  } catch (e) {
+    console.error(`[ERR] ${e.message}`);
+    process.exit(1);
+  }
+
+  if (flag('--dry-run')) {
+    try {
+      const plan = planSeed(spec);
+      for (const [z, n] of Object.entries(plan.perZoom)) console.log(`z${z}\t${n}`);
+      console.log(`total\t${plan.total}`);
+      return;
+    } catch (e) {
+      console.error(`[ERR] ${e.message}`);
+      process.exit(2);
+    }
+  }
+
+  startRenderPool({
+    STYLE_PATH: getStyle(DEFAULT_STYLE).snapshotPath,
+    sourceDirs: providerCacheDirs(),
+    archives: providerArchivePaths(),
+    L,
+  });
+
+  let run;
+  try {
+    run = resumeId
+      ? resumeSeedJob(resumeId, { L, onProgress: printProgress })
+      : startSeedJob(spec, { origin: 'cli', L, onProgress: printProgress });
+  } catch (e) {
+    console.error(`[ERR] ${e.message}`);
+    process.exit(2);
+  }
+  if (!run) {
+    console.error(`[ERR] unknown job "${resumeId}"`);
+    process.exit(2);
+  }
+
+  // Ctrl-C: state is persisted after every batch; resume with --resume <id>
+  process.on('SIGINT', () => {
+    console.log(`\n[SEED] interrupted; resume with: node scripts/seed.js --resume ${run.job.id}`);
+    process.exit(130);
+  });
+
+  const job = await run.done;
+  process.stdout.write('\n');
+  console.log(`[OK] ${job.id} ${job.status} ${job.done}/${job.total} ${JSON.stringify(job.counts)}`);
+  process.exit(job.status === 'done' ? 0 : 1);
+})();
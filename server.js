@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 // server.js
 const express = require("express");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
 
@@ -11,32 +12,63 @@ const L = require("./lib/logger");
 const {
   DATA_DIR, RASTER_DIR, VECTOR_DIR,
   STYLE_DIR, STYLE_PATH,
-  FONT_DIR,
-  CLEANER_INTERVAL_HOURS, RASTER_TTL_HOURS, VECTOR_TTL_HOURS
+  FONT_DIR, BLANK_TILE_PATH, ERROR_TILE_PATH,
+  CLEANER_INTERVAL_HOURS, RASTER_TTL_HOURS, VECTOR_TTL_HOURS,
+  RASTER_SIZES, TILE_PX, LABEL_SCALE, TILE_MIN_ZOOM, TILE_MAX_ZOOM,
+  RASTER_MAX_AGE, VECTOR_MAX_AGE, BLANK_MAX_AGE, OVERLAY_MAX_MB,
 } = require("./lib/config");
 
 // ── Utilities (dirs, tiles, blank) ─────────────────────────────────────────────
 const {
   ensureDir,
-  fileExistsNonEmpty,
+  maxAgeFor,
   setTileHeaders,
   sendTileFile,
+  sendTileBuffer,
   ensureBlankTilePresent,
-  writeBlankTile,
+  isBlankTileFile,
+  rasterFormatFor,
+  RASTER_FORMATS,
 } = require("./lib/utils");
 
-const { runCleanupOnce } = require("./lib/cleaner");
+const { runCleanupOnce, markServed } = require("./lib/cleaner");
 
-// ── PBF ensure + Render (worker spawn wrapper) ─────────────────────────────────
+// ── PBF ensure + Render (persistent worker pool) ───────────────────────────────
 const { ensureVectorTile } = require("./lib/pbf");
-const { renderSingleTile } = require("./lib/render");
+const { loadProviders, getProvider, providerCacheDirs } = require("./lib/providers");
+const { loadArchives, providerArchivePaths } = require("./lib/archives");
+const { loadServiceBounds } = require("./lib/bounds");
+const { isValidTile } = require("./lib/tiles");
+const { loadDem, hasDem, getDemTile } = require("./lib/dem");
+const { startRenderPool } = require("./lib/render");
+const { ensureRasterTile } = require("./lib/raster");
+const { normalizeStaticSpec, renderStaticMap } = require("./lib/static");
+const { planPrint, startPrintJob, getPrintJob, printFilePath } = require("./lib/print");
+const { elevationAt, elevationProfile } = require("./lib/elevation");
+const { startSearchIndex, searchFeatures, featuresAt } = require("./lib/search");
+const {
+  loadOverlays, saveOverlay, listOverlays, getOverlay, overlayGeojsonPath, deleteOverlay, resolveOverlays,
+} = require("./lib/overlays");
+
+// ── Metrics + readiness ────────────────────────────────────────────────────────
+const { counter, renderMetrics } = require("./lib/metrics");
+const { checkReadiness } = require("./lib/health");
+
+// ── Seeding + admin API ────────────────────────────────────────────────────────
+const { resumeSeedJobs } = require("./lib/seed");
+const { createAdminRouter, requireAdmin } = require("./lib/admin");
+
+// ── Named styles (STYLE_DIR/style.<name>.json) ─────────────────────────────────
+const {
+  DEFAULT_STYLE, listStyles, getStyle, watchStyles, seedStyles,
+  styleForClient, pruneStaleRasterVersions,
+} = require("./lib/styles");
 
 // ── Constants ──────────────────────────────────────────────────────────────────
 const PORT = Number(process.env.PORT || 8080);
 const app = express();
 
 // Fallback blank (1x1 transparent), ensure it exists
-const BLANK_TILE_PATH = process.env.BLANK_TILE_PATH || path.join(__dirname, "assets", "images", "blank.png");
 ensureBlankTilePresent(BLANK_TILE_PATH, L);
 
 // Ensure data dirs exist
@@ -44,139 +76,528 @@ ensureDir(VECTOR_DIR);
 ensureDir(RASTER_DIR);
 ensureDir(STYLE_DIR);
 
+// ── Elevation model (DEM_PATH; unset = no terrain) — styles pick it up when they load
+try {
+  loadDem(L);
+} catch (e) {
+  L.err("INIT", e.message);
+  process.exit(1);
+}
+
 // after ensureDir(VECTOR_DIR/RASTER_DIR/STYLE_DIR) in server.js
-const BAKED_STYLE = path.join(__dirname, "styles", "style.json");
+const BAKED_STYLES_DIR = path.join(__dirname, "styles");
 try {
-  if (!fs.existsSync(STYLE_PATH)) {
-    if (!fs.existsSync(BAKED_STYLE)) {
-      L.err("SEED", `baked style missing at ${BAKED_STYLE}`);
-      process.exit(1);
-    }
-    fs.copyFileSync(BAKED_STYLE, STYLE_PATH);
-    L.warn("SEED", `missing style; seeded editable at ${STYLE_PATH}`);
-  }
+  seedStyles(BAKED_STYLES_DIR, L);
 } catch (e) {
   L.err("SEED", `style seeding failed: ${e.message}`);
   process.exit(1);
 }
 
-// ── Upstream vector-tile URL builder (QLD) ─────────────────────────────────────
-// NOTE: QLD endpoint expects Z / Y / X order for vector tiles
-function qldUpstream(z, x, y) {
-  return `https://spatial.information.qld.gov.au/arcgis/rest/services/Hosted/Basemaps_QldBase_Topographic/VectorTileServer/tile/${z}/${y}/${x}.pbf`;
+// Hot-reload: a valid edit goes live at once and gets a fresh raster tree
+// (RASTER_DIR/<name>/<hash>); the superseded tree is removed once renders queued
+// against it have had time to finish.
+watchStyles({
+  L,
+  onChange: (entry) => { pruneStaleRasterVersions(entry, L, { afterGrace: true }); },
+});
+for (const entry of listStyles().values()) pruneStaleRasterVersions(entry, L);
+
+// ── Upstream providers (PROVIDERS_PATH or built-in QLD) ───────────────────────
+try {
+  loadProviders(L);
+} catch (e) {
+  L.err("INIT", `providers config failed: ${e.message}`);
+  process.exit(1);
+}
+loadArchives(L);
+
+// ── Service area (SERVICE_BOUNDS; unset = everywhere) ─────────────────────────
+try {
+  loadServiceBounds(L);
+} catch (e) {
+  L.err("INIT", e.message);
+  process.exit(1);
+}
+
+// ── Uploaded overlays (OVERLAY_DIR) ───────────────────────────────────────────
+try {
+  loadOverlays(L);
+} catch (e) {
+  L.err("INIT", `overlays: ${e.message}`);
+  process.exit(1);
 }
 
-// ── Middleware: basic request log (compact) ────────────────────────────────────
-app.use((req, _res, next) => {
+// ── Middleware: request id + access log ────────────────────────────────────────
+// A proxy's X-Request-Id is kept (when sane), otherwise one is made up; it's echoed back
+// and req.log carries it into tile/render/worker log lines. Every finished request gets
+// one "HTTP" line (status, bytes, cache result, duration); probes log at debug level.
+const REQUEST_ID_RE = /^[\w.:-]{1,64}$/;
+const QUIET_PATHS = new Set(["/healthz", "/readyz", "/metrics"]);
+// credentials someone put in a query string never reach the logs
+const SECRET_QUERY_RE = /([?&](?:token|access_token|key)=)[^&#]*/gi;
+const logUrl = (url) => url.replace(SECRET_QUERY_RE, "$1REDACTED");
+
+app.use((req, res, next) => {
+  const t0 = process.hrtime.bigint();
+  const given = req.headers["x-request-id"];
+  req.id = REQUEST_ID_RE.test(given || "") ? given : crypto.randomBytes(6).toString("hex");
+  req.log = L.child({ reqId: req.id });
+  res.setHeader("X-Request-Id", req.id);
+
   // Express's req.ip respects proxy headers if trust proxy is set; here we keep raw-ish
-  L.log("REQ", `${req.method} ${req.url} from ${req.headers["x-forwarded-for"] || req.socket.remoteAddress || "?"}`);
+  const ip = req.headers["x-forwarded-for"] || req.socket.remoteAddress || "?";
+  req.log.debug("REQ", `${req.method} ${logUrl(req.url)} from ${ip}`);
+
+  // body bytes actually written (streamed tiles have no Content-Length until they end)
+  let bytes = 0;
+  const { write, end } = res;
+  const count = (chunk, enc) => {
+    if (chunk && typeof chunk !== "function") bytes += Buffer.byteLength(chunk, typeof enc === "string" ? enc : undefined);
+  };
+  res.write = function (chunk, enc, cb) { count(chunk, enc); return write.call(this, chunk, enc, cb); };
+  res.end = function (chunk, enc, cb) { count(chunk, enc); return end.call(this, chunk, enc, cb); };
+
+  res.on("close", () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - t0) / 1e5) / 10;
+    const len = res.getHeader("content-length");
+    const cache = res.locals.cache || null;
+    // the client may hang up as soon as it has Content-Length bytes, before end()
+    const aborted = !res.writableEnded && (len === undefined || bytes < Number(len));
+    const url = logUrl(req.originalUrl);
+    const log = req.log.child({
+      method: req.method, url, status: res.statusCode, bytes, cache, durationMs, ip,
+      ...(aborted ? { aborted } : {}),
+    });
+    const msg = `${req.method} ${url} ${res.statusCode} ${bytes} B ${durationMs} ms` +
+      `${cache ? ` ${cache}` : ""}${aborted ? " (aborted)" : ""}`;
+    if (QUIET_PATHS.has(req.path)) log.debug("HTTP", msg);
+    else log.log("HTTP", msg);
+  });
   next();
 });
 
 // ── Fonts: serve from current FONT_DIR ─────────────────────────────────────────
 app.use("/fonts", express.static(FONT_DIR));
 
-// ── Style: serve editable style, make glyphs/tiles absolute to this origin ─────
-app.get("/style.json", (_req, res) => {
+// ── Styles: serve editable styles, make glyphs/tiles absolute to this origin ───
+function sendStyle(name, req, res) {
+  const entry = getStyle(name);
+  if (!entry) return res.status(404).send("unknown style");
   try {
-    const origin = `${res.req.protocol}://${res.req.get("host")}`;
-    const ensureAbs = (u) => /^https?:\/\//i.test(u) ? u : origin + (u.startsWith("/") ? u : `/${u}`);
-
-    const raw = fs.readFileSync(STYLE_PATH, "utf8");
-    const style = JSON.parse(raw);
-
-    // glyphs (default to /fonts/... if missing)
-    style.glyphs = ensureAbs(style.glyphs || "/fonts/{fontstack}/{range}.pbf");
-
-    // sources.tiles → absolute
-    if (style.sources) {
-      for (const src of Object.values(style.sources)) {
-        if (Array.isArray(src.tiles)) {
-          src.tiles = src.tiles.map(ensureAbs);
-        }
-      }
-    }
-
+    const origin = `${req.protocol}://${req.get("host")}`;
+    const style = styleForClient(entry.style, origin);
+    res.setHeader("ETag", `"${entry.hash}"`);
+    res.setHeader("Cache-Control", "no-cache"); // revalidate so edits show up on refresh
+    if (req.fresh) return res.status(304).end();
     res.type("application/json; charset=utf-8").send(style);
   } catch (e) {
-    L.err("SYS", `style.json error: ${e.message}`);
+    req.log.err("SYS", `style ${name} error: ${e.message}`);
     res.status(500).send("style error");
   }
+}
+
+app.get("/style.json", (req, res) => sendStyle(DEFAULT_STYLE, req, res));
+app.get("/styles/:name/style.json", (req, res) => sendStyle(req.params.name, req, res));
+
+// Style index (for viewer pickers)
+app.get("/styles", (_req, res) => {
+  const out = [...listStyles().values()].map(({ name, hash, error }) => ({
+    name,
+    version: hash,
+    ...(error ? { error } : {}),
+    style: `/styles/${name}/style.json`,
+    raster: `/raster/${name}/{z}/{x}/{y}.png`,
+  }));
+  res.json(out);
 });
 
-// ── Vector tile route: GET /vector/:z/:x/:y.pbf  (download-on-miss)
-app.get("/vector/:z/:x/:y.pbf", async (req, res) => {
-  const z = Number(req.params.z), x = Number(req.params.x), y = Number(req.params.y);
+// Upstream down / circuit open / shedding load / OFFLINE: 503 so clients retry later (nothing is cached)
+const UPSTREAM_DOWN = {
+  UPSTREAM_UNAVAILABLE: "upstream unavailable",
+  UPSTREAM_BUSY: "upstream busy",
+  UPSTREAM_OFFLINE: "not cached (offline mode)",
+};
+
+// Tile requests per cache tree and outcome
+//   vector: hit | stale | archive | miss (downloaded) | empty | error
+//   raster: hit | blank | miss (rendered) | error
+//   terrain: hit | empty | error
+const tileRequests = counter("qtopo_tile_requests_total", "Tile requests by cache tree and outcome", ["tree", "result"]);
+
+// Count the outcome and note it for the access log
+function tileResult(res, tree, result) {
+  res.locals.cache = result;
+  tileRequests.inc({ tree, result });
+}
+
+function vectorResult(r) {
+  if (r.outside) return "outside";
+  if (r.fromArchive) return "archive";
+  if (r.status === "empty") return "empty";
+  if (!r.fromCache) return "miss";
+  return r.stale ? "stale" : "hit";
+}
+
+// Route params → { z, x, y }, or null after answering 400 (not a number) / 404 (no such
+// tile, or a zoom outside TILE_MIN_ZOOM..TILE_MAX_ZOOM). Nothing touches the disk before this.
+const TILE_COORD_RE = /^\d{1,10}$/;
+
+function tileCoords(res, tree, zs, xs, ys) {
+  if (![zs, xs, ys].every(v => TILE_COORD_RE.test(v))) {
+    tileResult(res, tree, "invalid");
+    res.status(400).send("bad tile coordinates");
+    return null;
+  }
+  const z = Number(zs), x = Number(xs), y = Number(ys);
+  if (z < TILE_MIN_ZOOM || z > TILE_MAX_ZOOM || !isValidTile(z, x, y)) {
+    tileResult(res, tree, "invalid");
+    res.status(404).send("tile out of range");
+    return null;
+  }
+  return { z, x, y };
+}
+
+function isUpstreamDown(err) {
+  return Object.hasOwn(UPSTREAM_DOWN, err.code || "");
+}
+
+function sendUpstreamDown(res, err) {
+  res.setHeader("Retry-After", String(err.retryAfter || 30));
+  res.setHeader("Cache-Control", "no-store");
+  res.status(503).send(UPSTREAM_DOWN[err.code]);
+}
+
+// ── Vector tile routes (download-on-miss):
+//   GET /vector/:z/:x/:y.pbf           → default provider
+//   GET /vector/:source/:z/:x/:y.pbf   → named provider
+async function handleVector(req, res) {
+  const provider = getProvider(req.params.source);
+  if (!provider) return res.status(404).send("unknown source");
+
+  const t = tileCoords(res, "vector", req.params.z, req.params.x, req.params.y);
+  if (!t) return;
+  const { z, x, y } = t;
   try {
-    const r = await ensureVectorTile(z, x, y, {
-      vectorDir: VECTOR_DIR,
-      upstreamUrlBuilder: qldUpstream,
-      L,
-    });
+    const r = await ensureVectorTile(z, x, y, { provider, L: req.log });
+    tileResult(res, "vector", vectorResult(r));
 
     if (r.status === "empty") {
+      // outside the service area for good; other empties may fill in upstream
+      const maxAge = r.outside ? maxAgeFor(VECTOR_MAX_AGE, z) : BLANK_MAX_AGE;
+      res.setHeader("Cache-Control", `public, max-age=${maxAge}`);
       return res.status(204).end();
     }
 
-    res.setHeader("Content-Type", "application/x-protobuf");
-    res.setHeader("Cache-Control", "public, max-age=3600, stale-while-revalidate=600");
-    fs.createReadStream(r.path).pipe(res);
+    const opts = { contentType: "application/x-protobuf", maxAge: maxAgeFor(VECTOR_MAX_AGE, z) };
+    if (r.data) return sendTileBuffer(req, res, r.data, opts);
+    markServed(r.path);
+    sendTileFile(req, res, r.path, opts);
   } catch (err) {
-    L.err("PBF-ERR", `${z}/${x}/${y}: ${err.message}`);
+    tileResult(res, "vector", "error");
+    if (isUpstreamDown(err)) return sendUpstreamDown(res, err);
+    req.log.err("PBF-ERR", `${provider.name} ${z}/${x}/${y}: ${err.message}`);
     res.status(502).send("upstream error");
   }
-});
+}
 
-// ── Raster route: GET /raster/:z/:x/:y.png  (cache-or-render)
-app.get("/raster/:z/:x/:y.png", async (req, res) => {
-  const z = Number(req.params.z), x = Number(req.params.x), y = Number(req.params.y);
-  const outDir  = path.join(RASTER_DIR, String(z), String(x));
-  const outPath = path.join(outDir, `${y}.png`);
+app.get("/vector/:z/:x/:y.pbf", handleVector);
+app.get("/vector/:source/:z/:x/:y.pbf", handleVector);
+
+// ── Raster routes (cache-or-render), one cache tree per style + size + format variant:
+//   GET /raster/:z/:x/:y.png                   → default style, TILE_PX
+//   GET /raster/:size/:z/:x/:y.png             → 256 | 512 | 1024
+//   GET /raster/:style/:z/:x/:y.png            → named style (non-numeric name)
+//   GET /raster/:style/:size/:z/:x/:y.png
+//   …/:y@2x.png                                → retina (pixel ratio 2)
+//   …/:y.webp, …/:y.jpg                        → WebP / JPEG (opaque); no extension → by Accept
+//   …?overlay=trip1[,trip2]                    → uploaded overlays drawn on top (own cache tree;
+//                                                at most OVERLAY_MAX_PER_TILE ids)
+const RASTER_FILE_RE = /^(\d+)(@2x)?(?:\.(png|webp|jpe?g))?$/;
+
+// No extension: WebP for clients that ask for it, PNG otherwise
+function negotiatedFormat(req, res) {
+  res.vary("Accept");
+  return req.accepts(["image/png", "image/webp"]) === "image/webp" ? "webp" : rasterFormatFor("png");
+}
 
+async function handleRaster(req, res) {
+  let { style: styleName, size } = req.params;
+  if (req.params.styleOrSize !== undefined) {
+    if (/^\d+$/.test(req.params.styleOrSize)) size = req.params.styleOrSize;
+    else styleName = req.params.styleOrSize;
+  }
+  styleName = styleName || DEFAULT_STYLE;
+
+  const m = RASTER_FILE_RE.exec(req.params.file);
+  const tilePx = size === undefined ? TILE_PX : Number(size);
+  const style = getStyle(styleName);
+  if (!RASTER_SIZES.includes(tilePx) || !style) return res.status(404).send("not found");
+
+  const t = tileCoords(res, "raster", req.params.z, req.params.x, m ? m[1] : "");
+  if (!t) return;
+  const { z, x, y } = t;
+  const ratio = m[2] ? 2 : 1;
+  const format = m[3] ? rasterFormatFor(m[3]) : negotiatedFormat(req, res);
+  let overlays;
+  try {
+    overlays = resolveOverlays(req.query.overlay);
+  } catch (err) {
+    tileResult(res, "raster", "invalid");
+    return res.status(400).send(err.message);
+  }
   try {
-    if (fileExistsNonEmpty(outPath)) {
-      setTileHeaders(res);
-      return fs.createReadStream(outPath).pipe(res);
+    const r = await ensureRasterTile(z, x, y, { style, tilePx, ratio, format, overlays, L: req.log });
+    if (r.outside) {
+      tileResult(res, "raster", "outside");
+      return sendTileFile(req, res, r.path, { maxAge: maxAgeFor(RASTER_MAX_AGE, z) });
     }
-
-    const pbf = await ensureVectorTile(z, x, y, {
-      vectorDir: VECTOR_DIR,
-      upstreamUrlBuilder: qldUpstream,
-      L,
+    tileResult(res, "raster", r.status === "rendered" ? "miss" : r.status);
+    markServed(r.path);
+    const blank = r.status === "blank" || isBlankTileFile(r.path, BLANK_TILE_PATH);
+    sendTileFile(req, res, r.path, {
+      contentType: blank ? "image/png" : RASTER_FORMATS[format].contentType, // blanks stay the blank PNG
+      maxAge: blank ? BLANK_MAX_AGE : maxAgeFor(RASTER_MAX_AGE, z),
     });
+  } catch (err) {
+    tileResult(res, "raster", "error");
+    if (err.code === "RENDER_QUEUE_FULL") {
+      req.log.warn("RENDER", `Busy on ${z}/${x}/${y}: ${err.message}`);
+      res.setHeader("Retry-After", "5");
+      return res.status(503).send("render queue full");
+    }
+    if (isUpstreamDown(err)) return sendUpstreamDown(res, err);
+    // short-lived error tile; never written to the cache, so the next request retries
+    req.log.err("RENDER", `Failed on ${z}/${x}/${y}: ${err.message}`);
+    setTileHeaders(res, { maxAge: BLANK_MAX_AGE });
+    fs.createReadStream(ERROR_TILE_PATH)
+      .on("error", () => res.status(500).end("render failed"))
+      .pipe(res);
+  }
+}
+
+app.get("/raster/:z/:x/:file", handleRaster);
+app.get("/raster/:styleOrSize/:z/:x/:file", handleRaster);
+app.get("/raster/:style/:size/:z/:x/:file", handleRaster);
 
-    if (pbf.status === "empty") {
-      writeBlankTile(outPath, BLANK_TILE_PATH);
-      setTileHeaders(res);
-      return fs.createReadStream(outPath).pipe(res);
+// ── Terrain-RGB tiles from DEM_PATH (raster-dem source "terrain" in every style):
+//   GET /terrain/:z/:x/:y.png   (a .webp DEM is served as stored under the same URL)
+const TERRAIN_FILE_RE = /^(\d+)\.(?:png|webp)$/;
+
+app.get("/terrain/:z/:x/:file", async (req, res) => {
+  if (!hasDem()) return res.status(404).send("no DEM configured");
+  const m = TERRAIN_FILE_RE.exec(req.params.file);
+  const t = tileCoords(res, "terrain", req.params.z, req.params.x, m ? m[1] : "");
+  if (!t) return;
+  const { z, x, y } = t;
+  try {
+    const tile = await getDemTile(z, x, y);
+    tileResult(res, "terrain", tile ? "hit" : "empty");
+    if (!tile) {
+      res.setHeader("Cache-Control", `public, max-age=${maxAgeFor(RASTER_MAX_AGE, z)}`);
+      return res.status(204).end();
     }
+    sendTileBuffer(req, res, tile.data, { contentType: tile.contentType, maxAge: maxAgeFor(RASTER_MAX_AGE, z) });
+  } catch (err) {
+    tileResult(res, "terrain", "error");
+    req.log.err("DEM", `${z}/${x}/${y}: ${err.message}`);
+    res.status(500).send("terrain read failed");
+  }
+});
 
-    const renderedPath = await renderSingleTile(z, x, y, {
-      rasterDir: RASTER_DIR,
-      STYLE_PATH,
-      FONT_DIR,
-      L,
-    });
+// ── Static map images (not cached; rendered per request):
+//   GET|POST /static/:lon,:lat,:zoom/:WxH.png     → center + MapLibre zoom
+//   GET|POST /static/auto/:WxH.png                → fit the geojson overlay
+//   GET|POST /static/:WxH.png?bbox=w,s,e,n        → fit a bbox
+//   …@2x.png for retina, .jpg for JPEG; geojson/style/padding/attribution/scalebar in query or JSON body
+function staticSpec(req) {
+  const q = req.query, b = req.body || {};
+  return {
+    view: req.params.view,
+    file: req.params.file,
+    bbox: b.bbox ?? q.bbox,
+    padding: b.padding ?? q.padding,
+    geojson: b.geojson ?? q.geojson,
+    style: b.style ?? q.style,
+    attribution: b.attribution ?? q.attribution,
+    scalebar: b.scalebar ?? q.scalebar,
+  };
+}
 
-    setTileHeaders(res);
-    fs.createReadStream(renderedPath).pipe(res);
+async function handleStatic(req, res) {
+  let spec;
+  try {
+    spec = normalizeStaticSpec(staticSpec(req));
+  } catch (err) {
+    return res.status(400).send(err.message);
+  }
+
+  try {
+    const r = await renderStaticMap(spec, { L: req.log });
+    res.setHeader("Content-Type", r.format === "png" ? "image/png" : "image/jpeg");
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    const stream = fs.createReadStream(r.path);
+    stream.on("close", () => fs.unlink(r.path, () => {}));
+    stream.pipe(res);
+  } catch (err) {
+    if (err.code === "RENDER_QUEUE_FULL") {
+      req.log.warn("STATIC", `Busy: ${err.message}`);
+      res.setHeader("Retry-After", "5");
+      return res.status(503).send("render queue full");
+    }
+    req.log.err("STATIC", `Failed on ${req.params.view || spec.center.join(",")} ${req.params.file}: ${err.message}`);
+    res.status(500).send("render failed");
+  }
+}
+
+const staticBody = express.json({ limit: "1mb" });
+for (const route of ["/static/:view/:file", "/static/:file"]) {
+  app.get(route, handleStatic);
+  app.post(route, staticBody, handleStatic);
+}
+
+// ── Printable map sheets (PDF/PNG at a map scale; rendered in the background):
+//   POST /print { center: "lon,lat" | bbox, scale?: "1:25000", paper?, orientation?, dpi?,
+//                 format?: pdf|png, grid?: utm|latlon|none, title?, style?, dryRun? }
+//   GET  /print/:id          → job status/progress
+//   GET  /print/:id/file     → the finished sheet
+app.post("/print", express.json({ limit: "64kb" }), (req, res) => {
+  const b = req.body || {};
+  try {
+    if (b.dryRun) return res.json(planPrint(b));
+    const job = startPrintJob(b, { L: req.log });
+    res.status(202).location(`/print/${job.id}`).json(job);
   } catch (err) {
-    L.err("RENDER", `Failed on ${z}/${x}/${y}: ${err.message}`);
-    try {
-      writeBlankTile(outPath, BLANK_TILE_PATH);
-      setTileHeaders(res);
-      fs.createReadStream(outPath).pipe(res);
-    } catch {
-      res.status(500).send("render failed");
+    if (err.code === "BAD_PRINT_SPEC") return res.status(400).json({ error: err.message });
+    if (err.code === "PRINT_QUEUE_FULL") {
+      res.setHeader("Retry-After", "30");
+      return res.status(503).json({ error: err.message });
     }
+    req.log.err("PRINT", err.message);
+    res.status(500).json({ error: "print failed" });
+  }
+});
+
+app.get("/print/:id", (req, res) => {
+  const job = getPrintJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "unknown print" });
+  res.json(job);
+});
+
+app.get("/print/:id/file", (req, res) => {
+  const job = getPrintJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "unknown print" });
+  if (job.status !== "done") return res.status(409).json({ error: `print is ${job.status}` });
+  res.download(printFilePath(job.id), job.file);
+});
+
+// ── Elevation (DEM, else interpolated from contours in the vector tiles):
+//   GET  /api/elevation?lat=&lon=              → { lon, lat, elevation, source }
+//   POST /api/profile { LineString | Feature, samples? } → samples, ascent/descent, min/max
+function sendElevationError(req, res, err) {
+  if (err.code === "BAD_ELEVATION_SPEC") return res.status(400).json({ error: err.message });
+  req.log.err("ELEV", err.message);
+  res.status(500).json({ error: "elevation lookup failed" });
+}
+
+app.get("/api/elevation", async (req, res) => {
+  try {
+    res.json(await elevationAt(req.query.lon, req.query.lat, { L: req.log }));
+  } catch (err) {
+    sendElevationError(req, res, err);
+  }
+});
+
+app.post("/api/profile", express.json({ limit: "1mb" }), async (req, res) => {
+  try {
+    res.json(await elevationProfile(req.body, { L: req.log }));
+  } catch (err) {
+    sendElevationError(req, res, err);
   }
 });
 
+// ── Place search + feature lookup (index of named features in the cached vector tiles):
+//   GET /api/search?q=&limit=&bbox=             → [{ name, layer, provider, lon, lat }]
+//   GET /api/features?lat=&lon=&z=&source=      → features under the point in that tile
+function sendSearchError(req, res, err) {
+  if (err.code === "BAD_SEARCH_SPEC") return res.status(400).json({ error: err.message });
+  if (isUpstreamDown(err)) return sendUpstreamDown(res, err);
+  req.log.err("SEARCH", err.message);
+  res.status(500).json({ error: "search failed" });
+}
+
+app.get("/api/search", (req, res) => {
+  try {
+    res.json(searchFeatures({ q: req.query.q, limit: req.query.limit, bbox: req.query.bbox }));
+  } catch (err) {
+    sendSearchError(req, res, err);
+  }
+});
+
+app.get("/api/features", async (req, res) => {
+  const { lat, lon, z, source } = req.query;
+  try {
+    res.json(await featuresAt({ lat, lon, z, source }, { L: req.log }));
+  } catch (err) {
+    sendSearchError(req, res, err);
+  }
+});
+
+// ── Overlays (GPX/KML/GeoJSON uploads, stored as GeoJSON):
+//   GET    /api/overlays                  → [{ id, name, format, features, bbox, created, updated, url }]
+//   POST   /api/overlays?name=&filename=&format=   (file as the request body) → 201 + metadata
+//   PUT    /api/overlays/:id?…            → replace (or create) that overlay
+//   GET    /api/overlays/:id              → metadata
+//   GET    /api/overlays/:id.geojson      → the converted GeoJSON
+//   DELETE /api/overlays/:id
+// Reads are public; POST/PUT/DELETE need ADMIN_TOKEN (checked before the body is read).
+const overlayBody = express.raw({ type: () => true, limit: OVERLAY_MAX_MB * 1024 * 1024 });
+
+function uploadOverlay(req, res) {
+  const { name, filename, format } = req.query;
+  const existed = req.params.id !== undefined && !!getOverlay(req.params.id);
+  try {
+    const meta = saveOverlay(req.body, {
+      id: req.params.id, name, filename, format, contentType: req.get("Content-Type"),
+    }, { L: req.log });
+    res.status(existed ? 200 : 201).location(`/api/overlays/${meta.id}`).json(meta);
+  } catch (err) {
+    if (err.code === "BAD_OVERLAY_SPEC") return res.status(400).json({ error: err.message });
+    if (err.code === "OVERLAY_LIMIT") return res.status(507).json({ error: err.message });
+    req.log.err("OVERLAY", err.message);
+    res.status(500).json({ error: "overlay upload failed" });
+  }
+}
+
+app.get("/api/overlays", (_req, res) => res.json(listOverlays()));
+app.post("/api/overlays", requireAdmin, overlayBody, uploadOverlay);
+app.put("/api/overlays/:id", requireAdmin, overlayBody, uploadOverlay);
+
+app.get("/api/overlays/:id.geojson", (req, res) => {
+  const file = overlayGeojsonPath(req.params.id);
+  if (!file) return res.status(404).json({ error: "unknown overlay" });
+  res.setHeader("Cache-Control", "no-cache");
+  res.type("application/geo+json").sendFile(file);
+});
+
+app.get("/api/overlays/:id", (req, res) => {
+  const meta = getOverlay(req.params.id);
+  if (!meta) return res.status(404).json({ error: "unknown overlay" });
+  res.json(meta);
+});
+
+app.delete("/api/overlays/:id", requireAdmin, (req, res) => {
+  if (!deleteOverlay(req.params.id, { L: req.log })) return res.status(404).json({ error: "unknown overlay" });
+  res.status(204).end();
+});
+
+// ── Admin API (ADMIN_TOKEN): seeding, exports, cache inspection/purge
+app.use("/admin", createAdminRouter({ L }));
+
 // ── Legacy redirects (compat)
-app.get("/tiles_raster/:z/:x/:y.png", (req, res) => {
-  const { z, x, y } = req.params;
+app.get("/tiles_raster/:z/:x/:file", (req, res) => {
+  const { z, x, file } = req.params;
   const qs = req.url.includes("?") ? req.url.slice(req.url.indexOf("?")) : "";
-  res.redirect(302, `/raster/${z}/${x}/${y}.png${qs}`);
+  res.redirect(302, `/raster/${z}/${x}/${file}${qs}`);
 });
 app.get("/tiles_vector/:z/:x/:y.pbf", (req, res) => {
   const { z, x, y } = req.params;
@@ -190,9 +611,20 @@ app.get("/raster", (_req, res) => {
   res.sendFile(path.join(__dirname, "public", "index_raster.html"));
 });
 
-// Health
+// ── Health: liveness, readiness (style, writable dirs, test render), metrics
 app.get("/healthz", (_req, res) => res.type("text/plain").send("ok"));
 
+app.get("/readyz", async (_req, res) => {
+  const r = await checkReadiness({ L });
+  res.setHeader("Cache-Control", "no-store");
+  res.status(r.ready ? 200 : 503).json(r);
+});
+
+app.get("/metrics", (_req, res) => {
+  res.setHeader("Cache-Control", "no-store");
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
 
 // Run Cleanup and Set Schedule
 function scheduleCleanup() {
@@ -209,6 +641,15 @@ function scheduleCleanup() {
 }
 
 scheduleCleanup();
+startSearchIndex({ L });
+startRenderPool({
+  FONT_DIR,
+  STYLE_PATH: getStyle(DEFAULT_STYLE).snapshotPath,
+  sourceDirs: providerCacheDirs(),
+  archives: providerArchivePaths(),
+  L,
+});
+resumeSeedJobs({ origin: "http", L });
 // ── Start server ───────────────────────────────────────────────────────────────
 app.listen(PORT, "0.0.0.0", () => {
   L.sys(`Tile server running on http://0.0.0.0:${PORT}`);
@@ -216,4 +657,6 @@ app.listen(PORT, "0.0.0.0", () => {
   L.log("INIT", `RASTER_DIR = ${RASTER_DIR}`);
   L.log("INIT", `STYLE_DIR  = ${STYLE_DIR}`);
   L.log("INIT", `STYLE_PATH = ${STYLE_PATH}`);
+  L.log("INIT", `STYLES     = ${[...listStyles().keys()].join(", ")}`);
+  L.log("INIT", `TILE_PX    = ${TILE_PX} (LABEL_SCALE = ${LABEL_SCALE})`);
 });
\ No newline at end of file